@@ -7,6 +7,82 @@ const RECORDING_CONSTANTS = {
   // Segments are created on-the-fly from continuous PCM data, not stored separately
   TRANSCRIPTION_CHUNK_INTERVAL_MS: 300000, // 300 seconds = 5 minutes
 
+  // Silence-aware segment boundaries
+  // The cut is moved to the quietest frame within this distance of the nominal boundary
+  TRANSCRIPTION_SILENCE_SEARCH_MS: 2000,
+  TRANSCRIPTION_SILENCE_FRAME_MS: 20, // Energy is measured over frames of this length
+
+  // Context carried from one transcription segment into the next segment's prompt
+  TRANSCRIPTION_CONTEXT_TAIL_CHARS: 300, // End of the previous segment's transcript
+  TRANSCRIPTION_CONTEXT_GLOSSARY_SIZE: 50, // Most recently seen proper nouns and acronyms
+
+  // Languages offered for transcription (ISO 639-1 code -> English name)
+  TRANSCRIPTION_LANGUAGES: {
+    ar: "Arabic",
+    zh: "Chinese",
+    nl: "Dutch",
+    en: "English",
+    fr: "French",
+    de: "German",
+    hi: "Hindi",
+    id: "Indonesian",
+    it: "Italian",
+    ja: "Japanese",
+    ko: "Korean",
+    fa: "Persian",
+    pl: "Polish",
+    pt: "Portuguese",
+    ru: "Russian",
+    es: "Spanish",
+    sv: "Swedish",
+    tr: "Turkish",
+    uk: "Ukrainian",
+    vi: "Vietnamese",
+  },
+
+  // Gemini API host; point it at a local mock server to test requests and uploads offline
+  GEMINI_API_BASE_URL: "https://generativelanguage.googleapis.com",
+
+  // Audio larger than this is uploaded through the Gemini Files API instead of being
+  // sent inline (requests are capped at 20 MB, and base64 makes audio 4/3 larger)
+  GEMINI_INLINE_AUDIO_MAX_BYTES: 14 * 1024 * 1024,
+  GEMINI_FILE_POLL_INTERVAL_MS: 2000, // How often to check whether an upload is processed
+  GEMINI_FILE_PROCESSING_TIMEOUT_MS: 600000, // Give up on an upload still processing after 10 minutes
+
+  // Retrying Gemini requests that fail with a rate limit (429) or an overload (5xx)
+  // Waits double from the base delay up to the cap, with jitter; a RetryInfo delay sent
+  // by the API is used instead, unless it is longer than the cap (e.g. a daily quota)
+  GEMINI_RETRY_MAX_ATTEMPTS: 5,
+  GEMINI_RETRY_BASE_DELAY_MS: 2000,
+  GEMINI_RETRY_MAX_DELAY_MS: 60000,
+
+  // Gemini paid-tier prices in USD per million tokens, used for cost estimates only
+  // Audio input is billed at its own rate; thinking tokens count as output.
+  // Versioned model names ("gemini-2.5-flash-preview-...") use the longest matching entry.
+  GEMINI_PRICING_USD_PER_MILLION: {
+    "gemini-2.5-pro": { input: 1.25, audioInput: 1.25, output: 10.0 },
+    "gemini-2.5-flash": { input: 0.3, audioInput: 1.0, output: 2.5 },
+    "gemini-2.5-flash-lite": { input: 0.1, audioInput: 0.3, output: 0.4 },
+  },
+
+  // Budget estimates before a job starts: Gemini bills 32 tokens per second of audio,
+  // and speech transcribes to roughly 4 output tokens per second
+  GEMINI_AUDIO_TOKENS_PER_SECOND: 32,
+  TRANSCRIPT_TOKENS_PER_SECOND_ESTIMATE: 4,
+
+  // Post-processing prompts with an output schema: answers that fail validation are
+  // sent back to the model with the problems found, up to this many requests in all
+  STRUCTURED_OUTPUT_MAX_ATTEMPTS: 3,
+
+  // Background job queue (transcription and post-processing jobs run by the offscreen document)
+  // Finished jobs are kept this long so their outcome still shows in the history page
+  JOB_QUEUE_RETENTION_MS: 86400000, // 24 hours
+
+  // Uploaded files are decoded to mono PCM at this rate and stored in chunks of this
+  // length, so they are transcribed segment by segment like live recordings
+  UPLOAD_PCM_SAMPLE_RATE: 16000,
+  UPLOAD_PCM_CHUNK_MS: 60000,
+
   // Crash recovery data save interval (in milliseconds)
   // Raw audio data saved more frequently for crash recovery
   // Set to 0 to disable crash recovery chunks
@@ -4,6 +4,10 @@ let currentlyPlayingAudio = null;
 let currentlyPlayingButton = null;
 let chunkPlaybackState = null; // Track sequential chunk playback
 let userSettingsCache = null;
+// Queued and running background jobs (see utils/job-queue.js), keyed by job ID
+const activeJobs = new Map();
+// Uploads whose PCM chunks are stored before their recording, so recovery leaves them alone
+const uploadsInProgress = new Set();
 
 async function loadUserSettingsCache() {
   try {
@@ -32,14 +36,9 @@ function getChunkDurationSeconds() {
 
 // Helper function to play chunks sequentially
 async function playChunksSequentially(recordingKey, audioElement, playButton) {
-  // Get chunks (use transcription chunks - 'recording-chunk' source)
-  const allRecordings = await window.StorageUtils.getAllRecordings();
-  const chunks = allRecordings
-    .filter(
-      (r) =>
-        r.source === "recording-chunk" && r.parentRecordingId === recordingKey,
-    )
-    .sort((a, b) => a.chunkNumber - b.chunkNumber);
+  // Get chunks (ordered by chunk number)
+  const chunks =
+    await window.StorageUtils.getRecordingChunksWithData(recordingKey);
 
   if (chunks.length === 0) {
     throw new Error("No chunks found");
@@ -313,6 +312,461 @@ function formatDuration(seconds) {
   return `${mins}:${secs.toString().padStart(2, "0")}`;
 }
 
+// Escape HTML and preserve line breaks for transcription display
+function escapeTranscriptionHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;")
+    .replace(/\n/g, "<br>");
+}
+
+// Timed segments render one block per segment with its start time;
+// older recordings only have the plain string
+function renderTranscriptionHtml(text, segments, speakerNames = {}) {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return escapeTranscriptionHtml(text || "");
+  }
+
+  return segments
+    .filter((segment) => segment.text)
+    .map(
+      (segment) => `
+        <div class="transcript-segment" data-start="${segment.start}" data-end="${segment.end}">
+          <span class="transcript-timestamp" title="${formatDuration(segment.start)} - ${formatDuration(segment.end)}">${formatDuration(segment.start)}</span>
+          <span class="transcript-segment-text">${
+            segment.utterances
+              ? segment.utterances
+                  .map(
+                    (utterance) =>
+                      `<div class="transcript-utterance"><strong class="transcript-speaker">${escapeTranscriptionHtml(speakerNames[utterance.speaker] || utterance.speaker)}:</strong> ${escapeTranscriptionHtml(utterance.text)}</div>`,
+                  )
+                  .join("")
+              : escapeTranscriptionHtml(segment.text)
+          }</span>
+        </div>
+      `,
+    )
+    .join("");
+}
+
+// Speaker labels of a diarized transcript, in order of first appearance
+function getTranscriptSpeakers(segments) {
+  const labels = new Set();
+  for (const segment of segments || []) {
+    for (const utterance of segment.utterances || []) {
+      labels.add(utterance.speaker);
+    }
+  }
+  return [...labels];
+}
+
+// Rename buttons for each speaker of a diarized transcript
+function renderSpeakersBar(recordingId, segments, speakerNames = {}) {
+  const speakers = getTranscriptSpeakers(segments);
+  if (speakers.length === 0) return "";
+
+  const buttons = speakers
+    .map((label) => {
+      const escapedLabel = escapeTranscriptionHtml(label);
+      return `
+        <button class="speaker-rename-btn" data-recording-id="${recordingId}" data-speaker="${escapedLabel}" title="Rename ${escapedLabel}">
+          ${escapeTranscriptionHtml(speakerNames[label] || label)}
+          <i class="fas fa-pen"></i>
+        </button>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="transcript-speakers">
+      <span class="transcript-speakers-label"><i class="fas fa-users"></i> Speakers</span>
+      ${buttons}
+    </div>
+  `;
+}
+
+// Show a transcription (or the selected translation) with its speakers bar
+// in the transcription section
+function renderTranscriptionBody(
+  recordingId,
+  recording,
+  language = getSelectedTranscriptVariant(recordingId),
+) {
+  const transcriptionText = document.querySelector(
+    `#transcription-content-${recordingId} .transcription-text`,
+  );
+  const speakersBar = document.querySelector(
+    `#transcription-content-${recordingId} .transcript-speakers`,
+  );
+  const variantBar = document.getElementById(
+    `transcript-variants-${recordingId}`,
+  );
+  if (!transcriptionText) return;
+
+  const variant = getTranscriptVariant(recording, language);
+  transcriptionText.innerHTML = renderTranscriptionHtml(
+    variant.text,
+    variant.segments,
+    recording.speakerNames,
+  );
+  if (variantBar) {
+    variantBar.innerHTML = renderTranscriptVariantBar(
+      recordingId,
+      recording,
+      language,
+    );
+  }
+  if (speakersBar) {
+    speakersBar.outerHTML = renderSpeakersBar(
+      recordingId,
+      recording.transcriptionSegments,
+      recording.speakerNames,
+    );
+  }
+}
+
+// Rename a diarized speaker for one recording and re-derive the plain transcription
+async function renameSpeaker(recordingId, label) {
+  const key = `recording-${recordingId}`;
+  const recording = await window.StorageUtils.getRecording(key);
+  if (!recording?.transcriptionSegments) return;
+
+  const speakerNames = { ...(recording.speakerNames || {}) };
+  const newName = prompt(`Name for ${label}:`, speakerNames[label] || label);
+  if (newName === null) return;
+
+  const trimmed = newName.trim();
+  if (trimmed && trimmed !== label) {
+    speakerNames[label] = trimmed;
+  } else {
+    delete speakerNames[label];
+  }
+
+  const transcription = ChunkedTranscriptionService.joinTranscriptSegments(
+    recording.transcriptionSegments,
+    { channelLayout: recording.channelLayout, speakerNames },
+  );
+  await window.StorageUtils.updateSpeakerNames(key, speakerNames, transcription);
+
+  renderTranscriptionBody(recordingId, {
+    ...recording,
+    speakerNames,
+    transcription,
+  });
+}
+
+// Badge listing a recording's detected languages, most spoken first
+function renderLanguageBadge(languages) {
+  if (!languages?.length) return "";
+
+  const names = window.RECORDING_CONSTANTS?.TRANSCRIPTION_LANGUAGES || {};
+  const title = languages.map((code) => names[code] || code).join(", ");
+  return `<span class="language-badge" title="Detected: ${escapeTranscriptionHtml(title)}"><i class="fas fa-language"></i> ${escapeTranscriptionHtml(languages.join(", ").toUpperCase())}</span>`;
+}
+
+function updateLanguageBadge(recordingId, languages) {
+  const slot = document.getElementById(`languages-${recordingId}`);
+  if (slot) {
+    slot.innerHTML = renderLanguageBadge(languages);
+  }
+}
+
+// Prompt used to translate one transcript segment; speaker labels must survive
+// so translated lines can be matched back to their speakers
+const TRANSLATION_PROMPT = `Translate the following transcript excerpt into {{LANGUAGE}}.
+
+Rules:
+- Output only the translation, with no introduction or notes.
+- Keep every line break. Each line of the excerpt becomes exactly one line of the translation.
+- Keep speaker labels at the start of a line (the text before the first colon, such as "Speaker 1:", "Them:" or "Me:") exactly as written, untranslated.
+- Keep names, numbers and technical terms as they are unless they have a standard {{LANGUAGE}} form.
+- If part of the excerpt is already in {{LANGUAGE}}, keep it unchanged.
+
+Transcript excerpt:
+{{TRANSCRIPTION}}`;
+
+function getTranscriptionLanguageName(code) {
+  return window.RECORDING_CONSTANTS?.TRANSCRIPTION_LANGUAGES?.[code] || code;
+}
+
+// The text and segments of the original transcription or one of its translations
+function getTranscriptVariant(recording, language) {
+  const translation = language && recording.translations?.[language];
+  if (!translation) {
+    return {
+      text: recording.transcription,
+      segments: recording.transcriptionSegments,
+    };
+  }
+
+  // Translated utterances keep the original labels, so speaker renames apply to them too
+  const diarized = translation.segments?.some((segment) => segment.utterances);
+  return {
+    text: diarized
+      ? ChunkedTranscriptionService.joinTranscriptSegments(translation.segments, {
+          channelLayout: recording.channelLayout,
+          speakerNames: recording.speakerNames,
+        })
+      : translation.text,
+    segments: translation.segments,
+  };
+}
+
+// Language code of the transcript variant currently shown for a recording ("" for the original)
+function getSelectedTranscriptVariant(recordingId) {
+  return (
+    document.getElementById(`transcript-variant-${recordingId}`)?.value || ""
+  );
+}
+
+// Switcher between the original transcription and its translations
+function renderTranscriptVariantBar(recordingId, recording, selected = "") {
+  const languages = Object.keys(recording.translations || {});
+  if (languages.length === 0) return "";
+
+  const options = languages
+    .map(
+      (code) =>
+        `<option value="${escapeTranscriptionHtml(code)}" ${code === selected ? "selected" : ""}>${escapeTranscriptionHtml(getTranscriptionLanguageName(code))}</option>`,
+    )
+    .join("");
+
+  return `
+    <span class="transcript-variants-label"><i class="fas fa-language"></i> Showing</span>
+    <select class="transcript-variant-select" id="transcript-variant-${recordingId}" data-recording-id="${recordingId}">
+      <option value="">Original</option>
+      ${options}
+    </select>
+  `;
+}
+
+// Target language picker and button for translating a transcription
+function renderTranslateControls(recordingId) {
+  const languages = window.RECORDING_CONSTANTS?.TRANSCRIPTION_LANGUAGES || {};
+  const options = Object.entries(languages)
+    .map(
+      ([code, name]) =>
+        `<option value="${code}" ${code === "en" ? "selected" : ""}>${name}</option>`,
+    )
+    .join("");
+
+  return `
+    <select class="translation-language-select" id="translation-language-${recordingId}" title="Translate into">
+      ${options}
+    </select>
+    <button class="transcription-translate-btn" data-recording-id="${recordingId}" title="Translate the transcription into the selected language">
+      <i class="fas fa-language"></i>
+      Translate
+    </button>
+  `;
+}
+
+// Translate one timed segment, keeping its timing and, where the labels
+// survived, its speaker turns
+async function translateTranscriptSegment(
+  provider,
+  segment,
+  systemPrompt,
+  onUsage,
+) {
+  const translatedSegment = {
+    index: segment.index,
+    start: segment.start,
+    end: segment.end,
+    text: "",
+  };
+  if (!segment.text) return translatedSegment;
+
+  const source = segment.utterances
+    ? ChunkedTranscriptionService.formatUtterances(segment.utterances)
+    : segment.text;
+  const translated = (
+    await provider.processTranscription(source, systemPrompt, null, { onUsage })
+  ).trim();
+  translatedSegment.text = translated;
+
+  if (segment.utterances) {
+    const labels = new Set(segment.utterances.map((u) => u.speaker));
+    const utterances = [];
+
+    for (const line of translated.split("\n")) {
+      if (!line.trim()) continue;
+
+      const separator = line.indexOf(":");
+      const speaker = separator > 0 ? line.slice(0, separator).trim() : null;
+      if (labels.has(speaker)) {
+        utterances.push({ speaker, text: line.slice(separator + 1).trim() });
+      } else if (utterances.length > 0) {
+        utterances[utterances.length - 1].text += ` ${line.trim()}`;
+      } else {
+        // The model dropped the labels; keep the translation as plain text
+        return translatedSegment;
+      }
+    }
+
+    if (utterances.length > 0) {
+      translatedSegment.utterances = utterances;
+    }
+  }
+
+  return translatedSegment;
+}
+
+// Translate a transcription segment by segment and store it as a language variant
+async function translateTranscription(recordingId, button) {
+  const key = `recording-${recordingId}`;
+  const recording = await window.StorageUtils.getRecording(key);
+  if (!recording?.transcription) return;
+
+  const language = document.getElementById(
+    `translation-language-${recordingId}`,
+  )?.value;
+  if (!language) return;
+
+  const languageName = getTranscriptionLanguageName(language);
+  if (
+    recording.translations?.[language] &&
+    !confirm(`Replace the existing ${languageName} translation?`)
+  ) {
+    return;
+  }
+
+  // Transcripts from before timed segments are translated as one segment
+  let segments = recording.transcriptionSegments;
+  if (!Array.isArray(segments) || segments.length === 0) {
+    segments = [
+      {
+        index: 0,
+        start: 0,
+        end: recording.duration || 0,
+        text: recording.transcription,
+      },
+    ];
+  }
+
+  const originalHTML = button.innerHTML;
+  button.disabled = true;
+  const updateProgress = (message) => {
+    button.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${escapeTranscriptionHtml(message)}`;
+  };
+
+  try {
+    updateProgress("Preparing...");
+    const provider =
+      await window.PostProcessingProviderFactory.createForPrompt(
+        null,
+        updateProgress,
+      );
+    const systemPrompt = TRANSLATION_PROMPT.replace(
+      /\{\{LANGUAGE\}\}/g,
+      languageName,
+    );
+
+    const providerInfo = provider.getInfo();
+    const sourceChars = segments.reduce(
+      (sum, segment) => sum + (segment.text || "").length,
+      0,
+    );
+    const estimatedCostUsd = providerInfo.local
+      ? null
+      : window.UsageTracker.estimateTextCost(
+          providerInfo.model,
+          sourceChars + systemPrompt.length * segments.length,
+          sourceChars,
+        );
+    if (
+      !(await confirmWithinBudget(
+        estimatedCostUsd,
+        `The ${languageName} translation`,
+      ))
+    ) {
+      return;
+    }
+
+    const onUsage = (usage) =>
+      window.UsageTracker.recordUsage(
+        key,
+        window.UsageTracker.USAGE_KINDS.TRANSLATION,
+        usage,
+        { language },
+      );
+    const translatedSegments = [];
+    for (const segment of segments) {
+      updateProgress(
+        `Translating ${translatedSegments.length + 1}/${segments.length}...`,
+      );
+      translatedSegments.push(
+        await translateTranscriptSegment(
+          provider,
+          segment,
+          systemPrompt,
+          onUsage,
+        ),
+      );
+    }
+
+    const translation = {
+      language,
+      text: ChunkedTranscriptionService.joinTranscriptSegments(
+        translatedSegments,
+        { channelLayout: recording.channelLayout },
+      ),
+      segments: translatedSegments,
+      createdAt: Date.now(),
+    };
+    await window.UsageTracker.flushUsage();
+    await window.StorageUtils.updateTranslation(key, language, translation);
+
+    renderTranscriptionBody(
+      recordingId,
+      {
+        ...recording,
+        translations: { ...recording.translations, [language]: translation },
+      },
+      language,
+    );
+  } catch (error) {
+    console.error("Translation error:", error);
+    alert(`Translation failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+    button.innerHTML = originalHTML;
+  }
+}
+
+// Edit the glossary terms used when (re)transcribing one recording
+async function editRecordingGlossary(recordingId, button) {
+  const key = `recording-${recordingId}`;
+  const recording = await window.StorageUtils.getRecording(key);
+  if (!recording) return;
+
+  const input = prompt(
+    "Names and terms for this recording (comma-separated). They are added to the global glossary from Settings the next time it is transcribed:",
+    (recording.glossary || []).join(", "),
+  );
+  if (input === null) return;
+
+  const seen = new Set();
+  const glossary = input
+    .split(",")
+    .map((term) => term.replace(/\s+/g, " ").trim())
+    .filter((term) => {
+      const lower = term.toLowerCase();
+      if (!term || seen.has(lower)) return false;
+      seen.add(lower);
+      return true;
+    });
+  await window.StorageUtils.updateGlossary(key, glossary);
+
+  button.classList.toggle("has-glossary", glossary.length > 0);
+  button.title = glossary.length
+    ? `Glossary: ${glossary.join(", ")}`
+    : "Add glossary terms for this recording";
+}
+
 function formatDate(timestamp) {
   const date = new Date(timestamp);
   const now = new Date();
@@ -348,6 +802,62 @@ function formatDate(timestamp) {
   }
 }
 
+// Download the shown transcript (original or translation) as plain text or SRT/WebVTT subtitles
+async function downloadTranscription(recordingId, format) {
+  const key = `recording-${recordingId}`;
+  const recording = await window.StorageUtils.getRecording(key);
+  if (!recording?.transcription) return;
+
+  const language = getSelectedTranscriptVariant(recordingId);
+  const variant = getTranscriptVariant(recording, language);
+  const date = new Date(recording.timestamp);
+  const dateStr = date.toISOString().slice(0, 19).replace(/[T:]/g, "-");
+  const suffix = recording.translations?.[language] ? `-${language}` : "";
+
+  if (format === "txt") {
+    downloadBlob(
+      new Blob([variant.text], { type: "text/plain;charset=utf-8" }),
+      `tabtalk-${dateStr}-transcript${suffix}.txt`,
+    );
+    return;
+  }
+
+  // Transcripts from before timed segments become one segment over the whole recording
+  let segments = variant.segments;
+  if (!Array.isArray(segments) || segments.length === 0) {
+    if (!recording.duration) {
+      alert(
+        "This transcription has no timing information. Transcribe it again to export subtitles.",
+      );
+      return;
+    }
+    segments = [
+      {
+        index: 0,
+        start: 0,
+        end: recording.duration,
+        text: variant.text,
+      },
+    ];
+  }
+
+  const cues = window.SubtitleUtils.buildSubtitleCues(segments, {
+    maxLineLength: userSettingsCache?.subtitleMaxLineLength,
+    maxLines: userSettingsCache?.subtitleMaxLines,
+    speakerNames: recording.speakerNames,
+  });
+
+  const content =
+    format === "vtt"
+      ? window.SubtitleUtils.cuesToVtt(cues)
+      : window.SubtitleUtils.cuesToSrt(cues);
+  const mimeType = format === "vtt" ? "text/vtt" : "application/x-subrip";
+  downloadBlob(
+    new Blob([content], { type: `${mimeType};charset=utf-8` }),
+    `tabtalk-${dateStr}${suffix}.${format}`,
+  );
+}
+
 // Download recording (handles both single and chunked recordings)
 async function downloadRecording(recordingKey, recordingId) {
   const allRecordings = await window.StorageUtils.getAllRecordings();
@@ -415,17 +925,40 @@ async function downloadRecording(recordingKey, recordingId) {
       // Convert PCM chunks to WAV using user's quality setting
       console.log("Converting PCM chunks to WAV...");
       const recordedSampleRate = recording.sampleRate || 48000;
-      const wavBlob = await convertPcmChunksToWav(
-        chunks,
-        recordedSampleRate,
-        recording.numberOfChannels || 1,
-        userSampleRate, // Pass user's desired sample rate
-      );
-      const filename = `tabtalk-${dateStr}.wav`;
-      downloadBlob(wavBlob, filename);
-      console.log(
-        `Downloaded: ${filename} (${(wavBlob.size / 1024 / 1024).toFixed(2)} MB) at ${userSampleRate} Hz`,
-      );
+      const numberOfChannels =
+        recording.numberOfChannels || chunks[0].numberOfChannels || 1;
+
+      // Dual-track recordings keep tab (left) and mic (right) apart; the
+      // export mode decides whether they stay stereo, get mixed or split
+      const isDualTrack =
+        (recording.channelLayout || chunks[0].channelLayout) === "tab-mic" &&
+        numberOfChannels === 2;
+      const exportMode = isDualTrack
+        ? window.configManager?.get("dualTrackExportMode") || "stereo"
+        : "stereo";
+
+      const outputs =
+        exportMode === "split"
+          ? [
+              { selection: 0, suffix: "-tab" },
+              { selection: 1, suffix: "-mic" },
+            ]
+          : [{ selection: exportMode === "mix" ? "mix" : null, suffix: "" }];
+
+      for (const output of outputs) {
+        const wavBlob = await convertPcmChunksToWav(
+          chunks,
+          recordedSampleRate,
+          numberOfChannels,
+          userSampleRate, // Pass user's desired sample rate
+          output.selection,
+        );
+        const filename = `tabtalk-${dateStr}${output.suffix}.wav`;
+        downloadBlob(wavBlob, filename);
+        console.log(
+          `Downloaded: ${filename} (${(wavBlob.size / 1024 / 1024).toFixed(2)} MB) at ${userSampleRate} Hz`,
+        );
+      }
     } else {
       // Old WebM chunk format - merge them
       console.log("Merging WebM chunks...");
@@ -442,33 +975,39 @@ async function downloadRecording(recordingKey, recordingId) {
 }
 
 // Convert PCM Float32 chunks to WAV file (memory-efficient streaming)
+// Chunks hold interleaved samples when numberOfChannels > 1. channelSelection
+// controls the output: null keeps every channel, "mix" averages them to mono,
+// and a channel index extracts that single channel as mono.
 async function convertPcmChunksToWav(
   chunks,
   sampleRate,
   numberOfChannels,
   targetSampleRate = null,
+  channelSelection = null,
 ) {
   const finalSampleRate = targetSampleRate || sampleRate;
   const totalSamples = chunks.reduce(
     (sum, chunk) => sum + (chunk.samplesCount || 0),
     0,
   );
+  const totalFrames = Math.floor(totalSamples / numberOfChannels);
+  const outputChannels = channelSelection === null ? numberOfChannels : 1;
 
-  // Calculate final sample count after downsampling if needed
+  // Calculate final frame count after downsampling if needed
   const ratio = sampleRate / finalSampleRate;
-  const finalSampleCount = Math.floor(totalSamples / ratio);
+  const finalFrameCount = Math.floor(totalFrames / ratio);
 
   // Detect format from first chunk (support both old Float32 and new Int16)
   const isInt16Format = chunks[0]?.format === "pcm-int16";
   console.log(
-    `Converting ${chunks.length} ${isInt16Format ? "Int16" : "Float32"} PCM chunks (${totalSamples} samples @ ${sampleRate}Hz -> ${finalSampleCount} samples @ ${finalSampleRate}Hz) to WAV...`,
+    `Converting ${chunks.length} ${isInt16Format ? "Int16" : "Float32"} PCM chunks (${totalFrames} frames x ${numberOfChannels}ch @ ${sampleRate}Hz -> ${finalFrameCount} frames x ${outputChannels}ch @ ${finalSampleRate}Hz) to WAV...`,
   );
 
   // Prepare WAV header
   const bytesPerSample = 2; // 16-bit output
-  const blockAlign = numberOfChannels * bytesPerSample;
+  const blockAlign = outputChannels * bytesPerSample;
   const byteRate = finalSampleRate * blockAlign;
-  const dataSize = finalSampleCount * bytesPerSample;
+  const dataSize = finalFrameCount * blockAlign;
   const headerSize = 44;
   const totalSize = headerSize + dataSize;
 
@@ -482,7 +1021,7 @@ async function convertPcmChunksToWav(
   writeString(view, 12, "fmt ");
   view.setUint32(16, 16, true);
   view.setUint16(20, 1, true); // PCM format
-  view.setUint16(22, numberOfChannels, true);
+  view.setUint16(22, outputChannels, true);
   view.setUint32(24, finalSampleRate, true);
   view.setUint32(28, byteRate, true);
   view.setUint16(32, blockAlign, true);
@@ -490,72 +1029,101 @@ async function convertPcmChunksToWav(
   writeString(view, 36, "data");
   view.setUint32(40, dataSize, true);
 
+  // Value of one output channel for a source frame
+  const readSample = (pcmSamples, frame, outputChannel) => {
+    const base = frame * numberOfChannels;
+    if (channelSelection === "mix") {
+      let sum = 0;
+      for (let channel = 0; channel < numberOfChannels; channel++) {
+        sum += pcmSamples[base + channel];
+      }
+      return sum / numberOfChannels;
+    }
+    const channel =
+      typeof channelSelection === "number" ? channelSelection : outputChannel;
+    return pcmSamples[base + channel];
+  };
+
   // Process chunks and write audio data directly to WAV (memory-efficient)
   let writeOffset = 44;
-  let totalProcessedSamples = 0;
+  let totalProcessedFrames = 0;
+  const finalDataEnd = headerSize + dataSize;
 
   for (let chunkIdx = 0; chunkIdx < chunks.length; chunkIdx++) {
-    // Decode base64 data
-    const base64Data = chunks[chunkIdx].data.split(",")[1];
-    const binaryString = atob(base64Data);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let j = 0; j < binaryString.length; j++) {
-      bytes[j] = binaryString.charCodeAt(j);
-    }
+    const bytes = pcmChunkBytes(chunks[chunkIdx].data);
 
     // Parse based on format
     let pcmSamples;
     if (isInt16Format || chunks[chunkIdx].format === "pcm-int16") {
       // Int16 format - already in the right format for WAV
-      pcmSamples = new Int16Array(bytes.buffer);
+      pcmSamples = new Int16Array(
+        bytes.buffer,
+        bytes.byteOffset,
+        bytes.byteLength / 2,
+      );
     } else {
       // Float32 format (legacy) - convert to Int16
-      const float32Data = new Float32Array(bytes.buffer);
+      const float32Data = new Float32Array(
+        bytes.buffer,
+        bytes.byteOffset,
+        bytes.byteLength / 4,
+      );
       pcmSamples = new Int16Array(float32Data.length);
       for (let i = 0; i < float32Data.length; i++) {
         const sample = Math.max(-1, Math.min(1, float32Data[i]));
         pcmSamples[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
       }
     }
+    const chunkFrames = Math.floor(pcmSamples.length / numberOfChannels);
 
-    // Write samples to WAV with optional downsampling
+    // Write frames to WAV with optional downsampling
     if (targetSampleRate && targetSampleRate !== sampleRate) {
-      // Downsample: for each chunk, determine which output samples to write
-      const chunkStartSample = totalProcessedSamples;
-      const chunkEndSample = totalProcessedSamples + pcmSamples.length;
+      // Downsample: for each chunk, determine which output frames to write
+      const chunkStartFrame = totalProcessedFrames;
+      const chunkEndFrame = totalProcessedFrames + chunkFrames;
 
-      const outputStartIndex = Math.floor(chunkStartSample / ratio);
-      const outputEndIndex = Math.floor(chunkEndSample / ratio);
+      const outputStartIndex = Math.floor(chunkStartFrame / ratio);
+      const outputEndIndex = Math.floor(chunkEndFrame / ratio);
 
       for (
         let outputIdx = outputStartIndex;
-        outputIdx < outputEndIndex && outputIdx < finalSampleCount;
+        outputIdx < outputEndIndex && outputIdx < finalFrameCount;
         outputIdx++
       ) {
         // Calculate source position in the original sample rate
-        const sourcePosition = outputIdx * ratio - chunkStartSample;
+        const sourcePosition = outputIdx * ratio - chunkStartFrame;
 
-        if (sourcePosition >= 0 && sourcePosition < pcmSamples.length - 1) {
+        if (sourcePosition >= 0 && sourcePosition < chunkFrames - 1) {
           // Linear interpolation for Int16
           const index0 = Math.floor(sourcePosition);
-          const index1 = Math.min(index0 + 1, pcmSamples.length - 1);
+          const index1 = Math.min(index0 + 1, chunkFrames - 1);
           const fraction = sourcePosition - index0;
-          const sample =
-            pcmSamples[index0] * (1 - fraction) + pcmSamples[index1] * fraction;
+          for (let channel = 0; channel < outputChannels; channel++) {
+            const sample =
+              readSample(pcmSamples, index0, channel) * (1 - fraction) +
+              readSample(pcmSamples, index1, channel) * fraction;
 
-          view.setInt16(writeOffset, Math.round(sample), true);
-          writeOffset += 2;
+            view.setInt16(writeOffset, Math.round(sample), true);
+            writeOffset += 2;
+          }
         }
       }
 
-      totalProcessedSamples += pcmSamples.length;
+      totalProcessedFrames += chunkFrames;
     } else {
       // Direct write without downsampling
-      for (let i = 0; i < pcmSamples.length; i++) {
-        view.setInt16(writeOffset, pcmSamples[i], true);
-        writeOffset += 2;
+      for (let frame = 0; frame < chunkFrames; frame++) {
+        for (let channel = 0; channel < outputChannels; channel++) {
+          if (writeOffset >= finalDataEnd) break;
+          view.setInt16(
+            writeOffset,
+            Math.round(readSample(pcmSamples, frame, channel)),
+            true,
+          );
+          writeOffset += 2;
+        }
       }
-      totalProcessedSamples += pcmSamples.length;
+      totalProcessedFrames += chunkFrames;
     }
 
     // Allow garbage collection between chunks
@@ -565,11 +1133,29 @@ async function convertPcmChunksToWav(
   }
 
   console.log(
-    `Completed WAV conversion: ${totalProcessedSamples} samples processed, ${writeOffset} bytes written`,
+    `Completed WAV conversion: ${totalProcessedFrames} frames processed, ${writeOffset} bytes written`,
   );
   return new Blob([arrayBuffer], { type: "audio/wav" });
 }
 
+// Raw bytes of a PCM chunk: binary chunks are stored as ArrayBuffers,
+// older ones as base64 data URLs
+function pcmChunkBytes(data) {
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  const binaryString = atob(data.split(",")[1]);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let j = 0; j < binaryString.length; j++) {
+    bytes[j] = binaryString.charCodeAt(j);
+  }
+  return bytes;
+}
+
 // Downsample PCM data from one sample rate to another
 function downsamplePcm(pcmData, fromSampleRate, toSampleRate) {
   if (fromSampleRate === toSampleRate) {
@@ -953,6 +1539,9 @@ async function loadHistory(skipRecovery = false) {
     const transcribeTitle = recording.transcription
       ? "View Transcription"
       : "Transcribe";
+    const glossaryTitle = recording.glossary?.length
+      ? `Glossary: ${escapeTranscriptionHtml(recording.glossary.join(", "))}`
+      : "Add glossary terms for this recording";
 
     // Check if this is an uploaded file or incomplete recording
     const isUploaded = recording.source === "upload";
@@ -1005,6 +1594,8 @@ async function loadHistory(skipRecovery = false) {
                 <span class="duration-text">Loading...</span>
               </span>
               ${isUploaded ? '<span class="upload-badge"><i class="fas fa-upload"></i> Uploaded</span>' : ""}
+              <span class="language-badge-slot" id="languages-${recordingId}">${renderLanguageBadge(recording.languages)}</span>
+              ${recording.channelLayout === "tab-mic" ? '<span class="dual-track-badge" title="Tab audio (left) and microphone (right) on separate channels"><i class="fas fa-headphones"></i> Dual-track</span>' : ""}
               ${isIncomplete ? `<span class="recording-badge"><i class="fas fa-circle"></i> Recording...</span>` : ""}
               ${recording.transcription ? '<span class="transcription-badge"><i class="fas fa-check-circle"></i> Transcribed</span>' : ""}
             </div>
@@ -1052,6 +1643,9 @@ async function loadHistory(skipRecovery = false) {
           <button class="action-btn transcribe-btn ${hasTranscription}" data-key="${key}" data-recording-id="${recordingId}" title="${transcribeTitle}" ${isIncomplete ? 'disabled style="opacity: 0.5; cursor: not-allowed;"' : ""}>
             <i class="fas fa-file-alt"></i>
           </button>
+          <button class="action-btn glossary-btn ${recording.glossary?.length ? "has-glossary" : ""}" data-recording-id="${recordingId}" title="${glossaryTitle}">
+            <i class="fas fa-book"></i>
+          </button>
           <button class="action-btn download-btn" data-key="${key}" data-recording-id="${recordingId}" title="Download" ${isIncomplete ? 'disabled style="opacity: 0.5; cursor: not-allowed;"' : ""}>
             <i class="fas fa-download"></i>
           </button>
@@ -1218,33 +1812,62 @@ async function loadHistory(skipRecovery = false) {
       }
     }
   }
+
+  await showActiveJobs();
 }
 
-// Helper function to check if recording has chunks
-async function recordingHasChunks(recordingKey) {
-  const allRecordings = await window.StorageUtils.getAllRecordings();
-  const chunks = allRecordings.filter(
-    (r) =>
-      r.source === "recording-chunk" && r.parentRecordingId === recordingKey,
-  );
-  console.log(`Checking chunks for ${recordingKey}:`, {
-    totalRecordings: allRecordings.length,
-    chunkRecordings: allRecordings.filter((r) => r.source === "recording-chunk")
-      .length,
-    matchingChunks: chunks.length,
-    chunkKeys: chunks.map((c) => c.key),
-    allChunkParents: allRecordings
-      .filter((r) => r.source === "recording-chunk")
-      .map((c) => c.parentRecordingId),
-  });
-  return chunks.length > 0;
+// A cancelled job rejects with the AbortError of its signal
+function isAbortError(error) {
+  return error?.name === "AbortError";
 }
 
-// Real transcription function
-async function transcribeAudio(recordingId) {
-  const transcriptionSection = document.getElementById(
-    `transcription-${recordingId}`,
-  );
+function renderTranscriptionCancelButton(job) {
+  return `
+    <button class="transcription-cancel-btn" data-job-id="${job.id}" title="Stop transcribing; finished segments are kept so you can resume later">
+      <i class="fas fa-stop"></i>
+      Cancel
+    </button>
+  `;
+}
+
+// Status and content of a transcription that failed or was cancelled
+function renderTranscriptionFailure(error, { title, actions }) {
+  const cancelled = isAbortError(error);
+  return {
+    status: cancelled
+      ? `
+      <span class="status-badge status-cancelled">
+        <i class="fas fa-stop-circle"></i>
+        Cancelled
+      </span>
+    `
+      : `
+      <span class="status-badge" style="background: #ffebee; color: #c62828;">
+        <i class="fas fa-exclamation-circle"></i>
+        Error
+      </span>
+    `,
+    content: cancelled
+      ? `
+      <div class="transcription-cancelled">
+        <i class="fas fa-stop-circle" style="font-size: 32px; margin-bottom: 12px;"></i>
+        <p><strong>Transcription cancelled</strong></p>
+        ${actions}
+      </div>
+    `
+      : `
+      <div style="padding: 20px; text-align: center; color: #c62828;">
+        <i class="fas fa-exclamation-triangle" style="font-size: 32px; margin-bottom: 12px;"></i>
+        <p><strong>${title}</strong></p>
+        <p style="font-size: 13px; margin-top: 8px;">${error.message}</p>
+        ${actions}
+      </div>
+    `,
+  };
+}
+
+// Show a finished transcription with its actions and any AI results
+function showCompletedTranscription(recordingId, recording) {
   const transcriptionStatus = document.getElementById(
     `transcription-status-${recordingId}`,
   );
@@ -1252,195 +1875,335 @@ async function transcribeAudio(recordingId) {
     `transcription-content-${recordingId}`,
   );
 
-  // Show transcription section with loading state
-  transcriptionSection.style.display = "block";
+  transcriptionStatus.innerHTML = `
+    <span class="status-badge status-completed">
+      <i class="fas fa-check-circle"></i>
+      Completed
+    </span>
+    <button class="transcription-retry-btn" data-recording-id="${recordingId}">
+      <i class="fas fa-redo"></i>
+      Retry
+    </button>
+  `;
 
-  try {
-    // Get the recording data
-    const key = `recording-${recordingId}`;
-    const recording = await window.StorageUtils.getRecording(key);
+  transcriptionContent.innerHTML = `
+    ${renderSpeakersBar(recordingId, recording.transcriptionSegments, recording.speakerNames)}
+    <div class="transcript-variants" id="transcript-variants-${recordingId}">${renderTranscriptVariantBar(recordingId, recording)}</div>
+    <div class="transcription-text-container">
+      <div class="transcription-text">${renderTranscriptionHtml(recording.transcription, recording.transcriptionSegments, recording.speakerNames)}</div>
+    </div>
+    <div class="transcription-actions">
+      <button class="transcription-copy-btn" data-recording-id="${recordingId}">
+        <i class="fas fa-copy"></i>
+        Copy
+      </button>
+      <button class="transcription-download-btn" data-recording-id="${recordingId}" data-format="txt" title="Download as plain text">
+        <i class="fas fa-download"></i>
+        TXT
+      </button>
+      <button class="transcription-download-btn" data-recording-id="${recordingId}" data-format="srt" title="Download SubRip subtitles">
+        <i class="fas fa-closed-captioning"></i>
+        SRT
+      </button>
+      <button class="transcription-download-btn" data-recording-id="${recordingId}" data-format="vtt" title="Download WebVTT subtitles">
+        <i class="fas fa-closed-captioning"></i>
+        VTT
+      </button>
+      ${renderTranslateControls(recordingId)}
+      <button class="transcription-process-btn" data-recording-id="${recordingId}">
+        <i class="fas fa-magic"></i>
+        AI Process
+      </button>
+    </div>
+    <div class="post-processing-section" id="post-processing-${recordingId}" style="display: none;">
+      <div class="post-processing-header">
+        <h4><i class="fas fa-robot"></i> AI Post-Processing</h4>
+      </div>
+      <div class="post-processing-content" id="post-processing-content-${recordingId}">
+        <!-- Will be populated dynamically -->
+      </div>
+    </div>
+  `;
 
-    if (!recording) {
-      throw new Error("Recording not found");
-    }
+  // Load any existing processed transcriptions
+  if (recording.processedTranscriptions) {
+    loadProcessedTranscriptions(
+      recordingId,
+      recording.processedTranscriptions,
+    );
+  }
+}
 
-    // Check if this recording has chunks (PCM recordings don't have data field, only chunks)
-    const hasChunks = await recordingHasChunks(key);
+// The queued or running transcription job of a recording, if any
+function getActiveTranscriptionJob(recordingId) {
+  const key = `recording-${recordingId}`;
+  return [...activeJobs.values()].find(
+    (job) =>
+      job.type === window.JobQueue.JOB_TYPES.TRANSCRIPTION &&
+      job.recordingKey === key,
+  );
+}
 
-    // For non-chunked recordings, we need the data field
-    if (!recording.data && !hasChunks) {
-      throw new Error("Recording data not found");
-    }
+// Number of jobs that will run before a queued job
+function getJobsAhead(job) {
+  return [...activeJobs.values()].filter(
+    (other) =>
+      other.id !== job.id &&
+      (other.status === window.JobQueue.JOB_STATUS.RUNNING ||
+        other.createdAt < job.createdAt),
+  ).length;
+}
 
-    // Wait for transcription service to be available
-    let attempts = 0;
-    while (!window.transcriptionService && attempts < 50) {
-      await new Promise((resolve) => setTimeout(resolve, 100));
-      attempts++;
-    }
+// Status line of a queued or running job, shared by transcription and post-processing
+function renderJobProgress(job, cancelButton) {
+  if (job.status === window.JobQueue.JOB_STATUS.QUEUED) {
+    const ahead = getJobsAhead(job);
+    return `
+      <span class="status-badge status-queued">
+        <i class="fas fa-clock"></i>
+        Queued${ahead > 0 ? ` (${ahead} ${ahead === 1 ? "job" : "jobs"} ahead)` : ""}
+      </span>
+      ${cancelButton}
+    `;
+  }
 
-    if (!window.transcriptionService) {
-      throw new Error("Transcription service not available");
-    }
+  const { message = "Starting...", current = null, total = null } =
+    job.progress || {};
+  const showSegmentInfo = Number.isFinite(current) && current >= 0 && total > 0;
+  const progress = showSegmentInfo
+    ? Math.round(((current + 1) / total) * 100)
+    : 0;
 
-    console.log(`Recording ${key} has chunks:`, hasChunks);
-    let transcriptionText;
+  return `
+    <span class="status-badge status-transcribing">
+      <i class="fas fa-spinner fa-spin"></i>
+      ${message}
+      ${
+        showSegmentInfo
+          ? `<div class="transcription-progress-bar" style="margin-top: 8px;">
+        <div class="transcription-progress-fill" style="width: ${progress}%"></div>
+      </div>
+      <span class="progress-indicator">${progress}% (${current + 1}/${total})</span>`
+          : ""
+      }
+    </span>
+    ${cancelButton}
+  `;
+}
 
-    if (hasChunks) {
-      console.log("Using chunked transcription for recording:", key);
+// Reflect a transcription job in its recording's transcription section
+async function renderTranscriptionJob(job) {
+  const recordingId = job.recordingKey.replace("recording-", "");
+  const transcriptionStatus = document.getElementById(
+    `transcription-status-${recordingId}`,
+  );
+  const transcriptionContent = document.getElementById(
+    `transcription-content-${recordingId}`,
+  );
+  if (!transcriptionStatus || !transcriptionContent) return;
 
-      // Use chunked transcription for recordings with chunks
-      const updateStatus = (message, chunkIndex, totalChunks) => {
-        const progress =
-          totalChunks > 0
-            ? Math.round(((chunkIndex + 1) / totalChunks) * 100)
-            : 0;
-        const showSegmentInfo =
-          chunkIndex >= 0 &&
-          totalChunks > 0 &&
-          !isNaN(chunkIndex) &&
-          !isNaN(totalChunks);
-
-        // Update status badge and progress bar
-        transcriptionStatus.innerHTML = `
-          <span class="status-badge status-transcribing">
-            <i class="fas fa-spinner fa-spin"></i>
-            ${message}
-            <div class="transcription-progress-bar" style="margin-top: 8px;">
-              <div class="transcription-progress-fill" style="width: ${progress}%"></div>
-            </div>
-            ${showSegmentInfo ? `<span class="progress-indicator">${progress}% (${chunkIndex + 1}/${totalChunks})</span>` : ""}
-          </span>
-        `;
-      };
+  const { JOB_STATUS } = window.JobQueue;
 
-      updateStatus("Initializing chunked transcription...", -1, 1);
+  if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING) {
+    transcriptionStatus.innerHTML = renderJobProgress(
+      job,
+      renderTranscriptionCancelButton(job),
+    );
+    if (!transcriptionContent.querySelector(".transcription-placeholder")) {
+      transcriptionContent.innerHTML = `
+        <div class="transcription-placeholder">
+          <i class="fas fa-circle-notch fa-spin"></i>
+          <p>Processing audio...</p>
+        </div>
+      `;
+    }
+    return;
+  }
 
-      try {
-        // Use chunked transcription
-        transcriptionText = await window.transcriptionService.transcribeChunked(
-          key,
-          updateStatus,
-        );
+  if (job.status === JOB_STATUS.COMPLETED) {
+    const recording = await window.StorageUtils.getRecording(job.recordingKey);
+    if (!recording?.transcription) return;
 
-        // Clear transcription state after successful completion
-        await window.transcriptionService.clearTranscriptionState(key);
-      } catch (err) {
-        console.error("Transcription error:", err);
-        throw err;
-      }
-    } else {
-      console.log("Using regular transcription for recording:", key);
-      // Use regular transcription for single-file recordings
-      const updateStatus = (message) => {
-        transcriptionStatus.innerHTML = `
-          <span class="status-badge status-transcribing">
-            <i class="fas fa-spinner fa-spin"></i>
-            ${message}
-          </span>
-        `;
-      };
-
-      updateStatus("Initializing...");
+    showCompletedTranscription(recordingId, recording);
+    updateLanguageBadge(recordingId, recording.transcriptionLanguages);
 
-      transcriptionText = await window.transcriptionService.transcribe(
-        recording.data,
-        updateStatus,
-      );
+    const transcribeBtn = document.querySelector(
+      `.transcribe-btn[data-recording-id="${recordingId}"]`,
+    );
+    if (transcribeBtn) {
+      transcribeBtn.classList.add("has-transcription");
+      transcribeBtn.title = "View Transcription";
     }
+    return;
+  }
 
-    // Save transcription to storage
-    await window.StorageUtils.updateTranscription(key, transcriptionText);
+  // Failed or cancelled: offer a fresh start, and a resume when segments were saved
+  const hasIncomplete =
+    (await window.transcriptionService?.hasIncompleteTranscription(
+      job.recordingKey,
+    )) || false;
 
-    // Update status to completed with retry button
-    transcriptionStatus.innerHTML = `
-      <span class="status-badge status-completed">
-        <i class="fas fa-check-circle"></i>
-        Completed
-      </span>
-      <button class="transcription-retry-btn" data-recording-id="${recordingId}">
+  const resumeButton = hasIncomplete
+    ? `
+      <button class="transcription-copy-btn transcription-resume-btn" data-recording-id="${recordingId}" style="margin-top: 12px; background: #ff9800;">
+        <i class="fas fa-play"></i>
+        Resume Transcription
+      </button>
+    `
+    : "";
+
+  const error =
+    job.status === JOB_STATUS.CANCELLED
+      ? { name: "AbortError" }
+      : { message: job.error || "Unknown error" };
+
+  const failure = renderTranscriptionFailure(error, {
+    title: job.resume ? "Resume failed" : "Transcription failed",
+    actions: `
+      <button class="transcription-copy-btn transcription-retry-btn" data-recording-id="${recordingId}" style="margin-top: 12px; background: #f44336;">
         <i class="fas fa-redo"></i>
         Retry
       </button>
-    `;
+      ${resumeButton}
+    `,
+  });
+  transcriptionStatus.innerHTML = failure.status;
+  transcriptionContent.innerHTML = failure.content;
+}
 
-    // Escape HTML and preserve line breaks for transcription display
-    const escapedText = transcriptionText
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;")
-      .replace(/\n/g, "<br>");
-
-    // Show transcription text
-    transcriptionContent.innerHTML = `
-      <div class="transcription-text-container">
-        <div class="transcription-text">${escapedText}</div>
-      </div>
-      <div class="transcription-actions">
-        <button class="transcription-copy-btn" data-recording-id="${recordingId}">
-          <i class="fas fa-copy"></i>
-          Copy
-        </button>
-        <button class="transcription-process-btn" data-recording-id="${recordingId}">
-          <i class="fas fa-magic"></i>
-          AI Process
+// Reflect a post-processing job in the AI results area, when it is open
+async function renderPostProcessingJob(job) {
+  const recordingId = job.recordingKey.replace("recording-", "");
+  const resultsDiv = document.getElementById(
+    `processing-results-${recordingId}`,
+  );
+  if (!resultsDiv) return;
+
+  const { JOB_STATUS } = window.JobQueue;
+
+  if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING) {
+    const { message = "Processing with AI..." } = job.progress || {};
+    resultsDiv.innerHTML = `
+      <div class="processing-progress">
+        <i class="fas fa-spinner fa-spin"></i>
+        <p>${
+          job.status === JOB_STATUS.QUEUED
+            ? `Queued: ${escapeTranscriptionHtml(job.prompt.name)}`
+            : message
+        }</p>
+        <button class="processing-cancel-btn" data-job-id="${job.id}">
+          <i class="fas fa-stop"></i>
+          Cancel
         </button>
       </div>
-      <div class="post-processing-section" id="post-processing-${recordingId}" style="display: none;">
-        <div class="post-processing-header">
-          <h4><i class="fas fa-robot"></i> AI Post-Processing</h4>
-        </div>
-        <div class="post-processing-content" id="post-processing-content-${recordingId}">
-          <!-- Will be populated dynamically -->
-        </div>
-      </div>
     `;
-  } catch (error) {
-    console.error("Transcription error:", error);
+    return;
+  }
 
-    // Show error status
-    transcriptionStatus.innerHTML = `
-      <span class="status-badge" style="background: #ffebee; color: #c62828;">
-        <i class="fas fa-exclamation-circle"></i>
-        Error
-      </span>
+  if (job.status === JOB_STATUS.CANCELLED) {
+    resultsDiv.innerHTML = `
+      <div class="processing-cancelled">
+        <i class="fas fa-stop-circle"></i>
+        <p><strong>Processing cancelled</strong></p>
+      </div>
     `;
+    return;
+  }
 
-    // Check if this was a chunked transcription that can be resumed
-    const key = `recording-${recordingId}`;
-    const hasChunks = await recordingHasChunks(key);
-    const hasIncomplete =
-      hasChunks &&
-      (await window.transcriptionService.hasIncompleteTranscription(key));
-
-    const resumeButton = hasIncomplete
-      ? `
-      <button class="transcription-copy-btn transcription-resume-btn" data-recording-id="${recordingId}" style="margin-top: 12px; background: #ff9800;">
-        <i class="fas fa-play"></i>
-        Resume Transcription
-      </button>
-    `
-      : "";
-
-    transcriptionContent.innerHTML = `
+  if (job.status === JOB_STATUS.FAILED) {
+    resultsDiv.innerHTML = `
       <div style="padding: 20px; text-align: center; color: #c62828;">
         <i class="fas fa-exclamation-triangle" style="font-size: 32px; margin-bottom: 12px;"></i>
-        <p><strong>Transcription failed</strong></p>
-        <p style="font-size: 13px; margin-top: 8px;">${error.message}</p>
-        <button class="transcription-copy-btn transcription-retry-btn" data-recording-id="${recordingId}" style="margin-top: 12px; background: #f44336;">
-          <i class="fas fa-redo"></i>
-          Retry
-        </button>
-        ${resumeButton}
+        <p><strong>Processing failed</strong></p>
+        <p style="font-size: 13px; margin-top: 8px;">${job.error}</p>
       </div>
     `;
+    return;
+  }
+
+  // Completed: show a short confirmation, then the results
+  const updatedRecording = await window.StorageUtils.getRecording(
+    job.recordingKey,
+  );
+  resultsDiv.innerHTML = `
+    <div style="padding: 20px; text-align: center; color: #2e7d32;">
+      <i class="fas fa-check-circle" style="font-size: 32px; margin-bottom: 12px;"></i>
+      <p><strong>Processing completed successfully!</strong></p>
+    </div>
+  `;
+
+  setTimeout(() => {
+    resultsDiv.innerHTML = "";
+    loadProcessedTranscriptions(
+      recordingId,
+      updatedRecording?.processedTranscriptions,
+    );
+  }, 1500);
+}
+
+// Apply a job update sent by the runner (or made on this page)
+async function handleJobUpdate(job) {
+  if (!job) return;
+
+  if (window.JobQueue.isJobActive(job)) {
+    activeJobs.set(job.id, job);
+  } else {
+    activeJobs.delete(job.id);
+  }
+
+  if (job.type === window.JobQueue.JOB_TYPES.TRANSCRIPTION) {
+    await renderTranscriptionJob(job);
+  } else if (job.type === window.JobQueue.JOB_TYPES.POST_PROCESSING) {
+    await renderPostProcessingJob(job);
+  }
+}
+
+// Show queued and running jobs after the list is (re)built
+async function showActiveJobs() {
+  try {
+    const jobs = await window.JobQueue.getJobs();
+    activeJobs.clear();
+    for (const job of jobs.filter(window.JobQueue.isJobActive)) {
+      activeJobs.set(job.id, job);
+    }
+
+    for (const job of activeJobs.values()) {
+      if (job.type !== window.JobQueue.JOB_TYPES.TRANSCRIPTION) continue;
+
+      const recordingId = job.recordingKey.replace("recording-", "");
+      const transcriptionSection = document.getElementById(
+        `transcription-${recordingId}`,
+      );
+      if (transcriptionSection) {
+        transcriptionSection.style.display = "block";
+        await renderTranscriptionJob(job);
+      }
+    }
+  } catch (error) {
+    console.error("Error loading background jobs:", error);
   }
 }
 
-// Resume chunked transcription function
-async function resumeChunkedTranscription(recordingId) {
+// Ask before starting a job that would take this month's estimated Gemini spend
+// past the budget from Settings; returns whether to go ahead
+async function confirmWithinBudget(estimatedCostUsd, jobName) {
+  await loadUserSettingsCache();
+  const check = await window.UsageTracker.checkMonthlyBudget(
+    estimatedCostUsd,
+    Number(userSettingsCache?.monthlyBudgetUsd) || 0,
+  );
+  if (!check?.overBudget) return true;
+
+  const { formatUsd } = window.UsageTracker;
+  return confirm(
+    `${jobName} is estimated to cost about ${formatUsd(check.estimatedCostUsd)}, ` +
+      `and ${formatUsd(check.spentUsd)} of your ${formatUsd(check.budgetUsd)} monthly budget is already spent.\n\n` +
+      "Start it anyway?",
+  );
+}
+
+// Queue a transcription; the offscreen document runs it and reports back with job updates
+async function transcribeAudio(recordingId, { resume = false } = {}) {
   const transcriptionSection = document.getElementById(
     `transcription-${recordingId}`,
   );
@@ -1451,11 +2214,10 @@ async function resumeChunkedTranscription(recordingId) {
     `transcription-content-${recordingId}`,
   );
 
+  const previousDisplay = transcriptionSection.style.display;
   transcriptionSection.style.display = "block";
 
   try {
-    const key = `recording-${recordingId}`;
-
     // Wait for transcription service to be available
     let attempts = 0;
     while (!window.transcriptionService && attempts < 50) {
@@ -1467,109 +2229,43 @@ async function resumeChunkedTranscription(recordingId) {
       throw new Error("Transcription service not available");
     }
 
-    const updateStatus = (message, chunkIndex, totalChunks) => {
-      const progress =
-        totalChunks > 0
-          ? Math.round(((chunkIndex + 1) / totalChunks) * 100)
-          : 0;
-      const showSegmentInfo =
-        chunkIndex >= 0 &&
-        totalChunks > 0 &&
-        !isNaN(chunkIndex) &&
-        !isNaN(totalChunks);
-      transcriptionStatus.innerHTML = `
-        <span class="status-badge status-transcribing">
-          <i class="fas fa-spinner fa-spin"></i>
-          ${message}
-          <div class="transcription-progress-bar" style="margin-top: 8px;">
-            <div class="transcription-progress-fill" style="width: ${progress}%"></div>
-          </div>
-          ${showSegmentInfo ? `<span class="progress-indicator">${progress}% (${chunkIndex + 1}/${totalChunks} segments)</span>` : ""}
-        </span>
-      `;
-    };
-
-    updateStatus("Resuming transcription...", -1, 1);
-
-    // Resume chunked transcription
-    const transcriptionText =
-      await window.transcriptionService.resumeChunkedTranscription(
-        key,
-        updateStatus,
-      );
-
-    // Save transcription to storage
-    await window.StorageUtils.updateTranscription(key, transcriptionText);
-
-    // Clear transcription state after successful completion
-    await window.transcriptionService.clearTranscriptionState(key);
+    // Ask for a missing API key here; the background runner can't show the modal
+    await window.transcriptionService.initialize();
 
-    // Update status to completed with retry button
-    transcriptionStatus.innerHTML = `
-      <span class="status-badge status-completed">
-        <i class="fas fa-check-circle"></i>
-        Completed
-      </span>
-      <button class="transcription-retry-btn" data-recording-id="${recordingId}">
-        <i class="fas fa-redo"></i>
-        Retry
-      </button>
-    `;
+    const recording = await window.StorageUtils.getRecording(
+      `recording-${recordingId}`,
+    );
+    const withinBudget = await confirmWithinBudget(
+      window.UsageTracker.estimateTranscriptionCost(
+        window.transcriptionService.model,
+        recording?.duration,
+      ),
+      "This transcription",
+    );
+    if (!withinBudget) {
+      transcriptionSection.style.display = previousDisplay;
+      return;
+    }
 
-    // Escape HTML and preserve line breaks for transcription display
-    const escapedText = transcriptionText
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;")
-      .replace(/\n/g, "<br>");
-
-    // Show transcription text
-    transcriptionContent.innerHTML = `
-      <div class="transcription-text-container">
-        <div class="transcription-text">${escapedText}</div>
-      </div>
-      <div class="transcription-actions">
-        <button class="transcription-copy-btn" data-recording-id="${recordingId}">
-          <i class="fas fa-copy"></i>
-          Copy
-        </button>
-        <button class="transcription-process-btn" data-recording-id="${recordingId}">
-          <i class="fas fa-magic"></i>
-          AI Process
-        </button>
-      </div>
-      <div class="post-processing-section" id="post-processing-${recordingId}" style="display: none;">
-        <div class="post-processing-header">
-          <h4><i class="fas fa-robot"></i> AI Post-Processing</h4>
-        </div>
-        <div class="post-processing-content" id="post-processing-content-${recordingId}">
-          <!-- Will be populated dynamically -->
-        </div>
-      </div>
-    `;
+    const job = await window.JobQueue.enqueueTranscription(
+      `recording-${recordingId}`,
+      { resume },
+    );
+    await handleJobUpdate(job);
   } catch (error) {
-    console.error("Resume transcription error:", error);
-
-    transcriptionStatus.innerHTML = `
-      <span class="status-badge" style="background: #ffebee; color: #c62828;">
-        <i class="fas fa-exclamation-circle"></i>
-        Error
-      </span>
-    `;
+    console.error("Transcription error:", error);
 
-    transcriptionContent.innerHTML = `
-      <div style="padding: 20px; text-align: center; color: #c62828;">
-        <i class="fas fa-exclamation-triangle" style="font-size: 32px; margin-bottom: 12px;"></i>
-        <p><strong>Resume failed</strong></p>
-        <p style="font-size: 13px; margin-top: 8px;">${error.message}</p>
-        <button class="transcription-copy-btn transcription-resume-btn" data-recording-id="${recordingId}" style="margin-top: 12px; background: #ff9800;">
-          <i class="fas fa-play"></i>
-          Try Again
+    const failure = renderTranscriptionFailure(error, {
+      title: "Transcription failed",
+      actions: `
+        <button class="transcription-copy-btn transcription-retry-btn" data-recording-id="${recordingId}" style="margin-top: 12px; background: #f44336;">
+          <i class="fas fa-redo"></i>
+          Retry
         </button>
-      </div>
-    `;
+      `,
+    });
+    transcriptionStatus.innerHTML = failure.status;
+    transcriptionContent.innerHTML = failure.content;
   }
 }
 
@@ -1586,6 +2282,9 @@ historyList.addEventListener("click", async (e) => {
     // Toggle transcription section
     if (transcriptionSection.style.display === "block") {
       transcriptionSection.style.display = "none";
+    } else if (getActiveTranscriptionJob(recordingId)) {
+      // Still queued or transcribing - just show its progress again
+      transcriptionSection.style.display = "block";
     } else {
       // Check if transcription exists in storage
       const key = `recording-${recordingId}`;
@@ -1593,65 +2292,7 @@ historyList.addEventListener("click", async (e) => {
 
       if (recording && recording.transcription) {
         // Load existing transcription from storage
-        const transcriptionStatus = document.getElementById(
-          `transcription-status-${recordingId}`,
-        );
-        const transcriptionContent = document.getElementById(
-          `transcription-content-${recordingId}`,
-        );
-
-        transcriptionStatus.innerHTML = `
-          <span class="status-badge status-completed">
-            <i class="fas fa-check-circle"></i>
-            Completed
-          </span>
-          <button class="transcription-retry-btn" data-recording-id="${recordingId}">
-            <i class="fas fa-redo"></i>
-            Retry
-          </button>
-        `;
-
-        // Escape HTML and preserve line breaks for existing transcription display
-        const escapedText = recording.transcription
-          .replace(/&/g, "&amp;")
-          .replace(/</g, "&lt;")
-          .replace(/>/g, "&gt;")
-          .replace(/"/g, "&quot;")
-          .replace(/'/g, "&#039;")
-          .replace(/\n/g, "<br>");
-
-        transcriptionContent.innerHTML = `
-          <div class="transcription-text-container">
-            <div class="transcription-text">${escapedText}</div>
-          </div>
-          <div class="transcription-actions">
-            <button class="transcription-copy-btn" data-recording-id="${recordingId}">
-              <i class="fas fa-copy"></i>
-              Copy
-            </button>
-            <button class="transcription-process-btn" data-recording-id="${recordingId}">
-              <i class="fas fa-magic"></i>
-              AI Process
-            </button>
-          </div>
-          <div class="post-processing-section" id="post-processing-${recordingId}" style="display: none;">
-            <div class="post-processing-header">
-              <h4><i class="fas fa-robot"></i> AI Post-Processing</h4>
-            </div>
-            <div class="post-processing-content" id="post-processing-content-${recordingId}">
-              <!-- Will be populated dynamically -->
-            </div>
-          </div>
-        `;
-
-        // Load any existing processed transcriptions
-        if (recording.processedTranscriptions) {
-          loadProcessedTranscriptions(
-            recordingId,
-            recording.processedTranscriptions,
-          );
-        }
-
+        showCompletedTranscription(recordingId, recording);
         transcriptionSection.style.display = "block";
       } else {
         // No existing transcription, start new transcription
@@ -1682,15 +2323,36 @@ historyList.addEventListener("click", async (e) => {
     transcribeBtn.click();
   } else if (target.classList.contains("transcription-resume-btn")) {
     const recordingId = target.dataset.recordingId;
-    await resumeChunkedTranscription(recordingId);
+    await transcribeAudio(recordingId, { resume: true });
+  } else if (target.classList.contains("transcription-download-btn")) {
+    await downloadTranscription(
+      target.dataset.recordingId,
+      target.dataset.format,
+    );
+  } else if (target.classList.contains("glossary-btn")) {
+    await editRecordingGlossary(target.dataset.recordingId, target);
+  } else if (target.classList.contains("transcription-cancel-btn")) {
+    target.disabled = true;
+    target.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Cancelling...';
+    await window.JobQueue.cancelJob(target.dataset.jobId);
+  } else if (target.classList.contains("transcription-translate-btn")) {
+    await translateTranscription(target.dataset.recordingId, target);
+  } else if (target.classList.contains("speaker-rename-btn")) {
+    await renameSpeaker(target.dataset.recordingId, target.dataset.speaker);
   } else if (target.classList.contains("transcription-copy-btn")) {
     const recordingId = target.dataset.recordingId;
-    const transcriptionText = document.querySelector(
-      `#transcription-content-${recordingId} .transcription-text`,
+    const recording = await window.StorageUtils.getRecording(
+      `recording-${recordingId}`,
     );
 
-    if (transcriptionText) {
-      navigator.clipboard.writeText(transcriptionText.textContent);
+    // Copy the plain text of the shown transcript, not the timestamped display
+    if (recording?.transcription) {
+      navigator.clipboard.writeText(
+        getTranscriptVariant(
+          recording,
+          getSelectedTranscriptVariant(recordingId),
+        ).text,
+      );
 
       // Show feedback
       const originalHTML = target.innerHTML;
@@ -1899,14 +2561,8 @@ historyList.addEventListener("click", async (e) => {
       await window.StorageUtils.deleteRecording(key);
 
       // Also delete all associated chunks
-      const allRecordings = await window.StorageUtils.getAllRecordings();
-      const chunks = allRecordings.filter(
-        (r) => r.source === "recording-chunk" && r.parentRecordingId === key,
-      );
-
-      for (const chunk of chunks) {
-        await window.StorageUtils.deleteRecording(chunk.key);
-      }
+      const deletedChunks =
+        await window.StorageUtils.deleteRecordingChunks(key);
 
       // Clear any transcription state for this recording
       if (
@@ -1917,13 +2573,35 @@ historyList.addEventListener("click", async (e) => {
       }
 
       console.log(
-        `Deleted recording ${key} and ${chunks.length} associated chunks`,
+        `Deleted recording ${key} and ${deletedChunks} associated chunks`,
       );
       loadHistory();
     }
   }
 });
 
+// Switch the shown transcript between the original and its translations
+historyList.addEventListener("change", async (e) => {
+  const select = e.target.closest(".transcript-variant-select");
+  if (!select) return;
+
+  const recordingId = select.dataset.recordingId;
+  const recording = await window.StorageUtils.getRecording(
+    `recording-${recordingId}`,
+  );
+  if (recording) {
+    renderTranscriptionBody(recordingId, recording, select.value);
+  }
+});
+
+// Filter the action items of a meeting-minutes result
+historyList.addEventListener("change", (e) => {
+  const select = e.target.closest(".minutes-filter");
+  if (!select) return;
+
+  filterMinutesActions(select.dataset.uniqueId);
+});
+
 // Click handler for progress bar seeking
 historyList.addEventListener("click", async (e) => {
   const progressBar = e.target.closest(".progress-bar.seekable");
@@ -2086,6 +2764,20 @@ function dataURLtoBlob(dataURL) {
   return new Blob([u8arr], { type: mime });
 }
 
+// Build a base64 data URL from binary data, a slice at a time so no intermediate
+// copy of the whole file is made besides the URL itself
+function arrayBufferToDataURL(buffer, mimeType) {
+  const bytes = new Uint8Array(buffer);
+  const sliceSize = 0x6000; // Multiple of 3, so slices encode without padding
+  const parts = [];
+  for (let i = 0; i < bytes.length; i += sliceSize) {
+    parts.push(
+      btoa(String.fromCharCode.apply(null, bytes.subarray(i, i + sliceSize))),
+    );
+  }
+  return `data:${mimeType || "application/octet-stream"};base64,${parts.join("")}`;
+}
+
 // Recover incomplete recordings from orphaned chunks
 // Returns true if any recovery was performed (requires data reload)
 async function recoverIncompleteRecordings(recordings, chunks) {
@@ -2110,7 +2802,10 @@ async function recoverIncompleteRecordings(recordings, chunks) {
 
     // Find incomplete recordings (have chunks but no final recording)
     for (const [parentId, parentChunks] of Object.entries(chunksByParent)) {
-      if (!finalRecordingIds.has(parentId)) {
+      if (
+        !finalRecordingIds.has(parentId) &&
+        !uploadsInProgress.has(parentId)
+      ) {
         console.log(
           `Recovering incomplete recording ${parentId} (${parentChunks.length} chunks)...`,
         );
@@ -2129,9 +2824,12 @@ async function recoverIncompleteRecordings(recordings, chunks) {
           );
           const sampleRate = parentChunks[0]?.sampleRate || 48000;
           const numberOfChannels = parentChunks[0]?.numberOfChannels || 1;
+          const channelLayout = parentChunks[0]?.channelLayout || null;
 
-          // Duration from actual samples (most accurate)
-          const estimatedDuration = Math.floor(totalSamples / sampleRate);
+          // Duration from actual samples (most accurate); samples are interleaved
+          const estimatedDuration = Math.floor(
+            totalSamples / numberOfChannels / sampleRate,
+          );
 
           const totalSize = parentChunks.reduce((sum, chunk) => {
             // Use chunkSize from metadata, fallback to samplesCount * bytes per sample
@@ -2159,6 +2857,7 @@ async function recoverIncompleteRecordings(recordings, chunks) {
             isPcm: true, // PCM recording
             sampleRate: sampleRate,
             numberOfChannels: numberOfChannels,
+            channelLayout: channelLayout,
             totalSamples: totalSamples,
             recovered: true,
           });
@@ -2199,6 +2898,19 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   }
 
+  // Convert base64 PCM chunks to binary in the background (not awaited)
+  if (!localStorage.getItem("pcm_binary_migration_done")) {
+    window.StorageUtils.migrateChunksToBinary()
+      .then((result) => {
+        if (result.failed === 0) {
+          localStorage.setItem("pcm_binary_migration_done", "true");
+        }
+      })
+      .catch((error) => {
+        console.error("Binary chunk migration failed:", error);
+      });
+  }
+
   await loadUserSettingsCache();
 
   // Load history - recovery check is now integrated to avoid double DB queries
@@ -2212,9 +2924,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     if (message.type === "recording-stopped") {
       console.log("Recording stopped - reloading history");
       loadHistory();
-    } else if (message.type === "transcription-updated") {
-      console.log("Transcription updated - reloading history");
-      loadHistory();
+    } else if (message.type === "job-updated") {
+      handleJobUpdate(message.data.job);
     }
   });
 
@@ -2532,59 +3243,151 @@ async function handleFiles(files) {
 
 // Upload a single audio file
 async function uploadAudioFile(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
+  // The file is read once: the data URL is built from this buffer, and decoding
+  // then takes the buffer over (decodeAudioData detaches it)
+  const fileBuffer = await file.arrayBuffer().catch(() => {
+    throw new Error("Failed to read file");
+  });
+  const audioDataUrl = arrayBufferToDataURL(fileBuffer, file.type);
+
+  const timestamp = Date.now();
+  const key = `recording-${timestamp}`;
+  const metadata = {
+    key,
+    timestamp,
+    filename: file.name,
+    fileSize: file.size,
+    mimeType: file.type,
+    source: "upload", // Mark as uploaded
+  };
 
-    reader.onload = async (e) => {
-      try {
-        const audioDataUrl = e.target.result;
+  // The original file is kept for playback and download; the PCM chunks are
+  // what transcription works on
+  uploadsInProgress.add(key);
+  try {
+    let pcm = null;
+    try {
+      pcm = await saveUploadPcmChunks(fileBuffer, key);
+    } catch (error) {
+      console.warn(
+        `Could not decode ${file.name}, it will be transcribed as a single file:`,
+        error,
+      );
+    }
+
+    await saveUploadRecording(audioDataUrl, metadata, pcm);
+  } finally {
+    uploadsInProgress.delete(key);
+  }
+}
 
-        // Convert data URL to blob URL to avoid CSP issues
-        const blob = dataURLtoBlob(audioDataUrl);
-        const blobUrl = URL.createObjectURL(blob);
+// Save an upload's recording entry, with the duration and chunk details of its
+// PCM chunks when it could be decoded
+async function saveUploadRecording(audioDataUrl, metadata, pcm) {
+  if (pcm) {
+    Object.assign(metadata, pcm);
+  } else {
+    // Convert data URL to blob URL to avoid CSP issues
+    const blobUrl = URL.createObjectURL(dataURLtoBlob(audioDataUrl));
 
-        // Get audio duration
-        const audio = new Audio(blobUrl);
-        await new Promise((res) => {
-          audio.addEventListener("loadedmetadata", res);
-        });
+    // Get audio duration
+    const audio = new Audio(blobUrl);
+    await new Promise((res) => {
+      audio.addEventListener("loadedmetadata", res);
+    });
 
-        // Clean up blob URL after getting duration
-        URL.revokeObjectURL(blobUrl);
-
-        // Create recording object
-        const recording = {
-          data: audioDataUrl,
-          duration: audio.duration,
-          timestamp: Date.now(),
-          filename: file.name,
-          fileSize: file.size,
-          mimeType: file.type,
-          source: "upload", // Mark as uploaded
-        };
-
-        // Save to storage using IndexedDB
-        await window.StorageUtils.saveRecording(audioDataUrl, {
-          duration: audio.duration,
-          timestamp: recording.timestamp,
-          filename: file.name,
-          fileSize: file.size,
-          mimeType: file.type,
-          source: "upload",
-        });
+    // Clean up blob URL after getting duration
+    URL.revokeObjectURL(blobUrl);
+    metadata.duration = audio.duration;
+  }
+
+  // Save to storage using IndexedDB
+  try {
+    await window.StorageUtils.saveRecording(audioDataUrl, metadata);
+  } catch (error) {
+    if (pcm) {
+      await window.StorageUtils.deleteRecordingChunks(metadata.key);
+    }
+    throw error;
+  }
+}
+
+// Decode an uploaded file to 16 kHz mono and store it as pcm-int16 chunks, like a
+// live recording, so it is transcribed segment by segment with progress and resume
+// The decoded audio is held in full while chunking (about 64 KB per second per
+// channel), so fileBuffer is handed to the decoder rather than copied
+async function saveUploadPcmChunks(fileBuffer, recordingKey) {
+  const sampleRate =
+    window.RECORDING_CONSTANTS?.UPLOAD_PCM_SAMPLE_RATE || 16000;
+  const chunkSamples = Math.round(
+    ((window.RECORDING_CONSTANTS?.UPLOAD_PCM_CHUNK_MS || 60000) / 1000) *
+      sampleRate,
+  );
+
+  // decodeAudioData resamples to the context's sample rate
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  let audioBuffer = await context.decodeAudioData(fileBuffer);
+  if (audioBuffer.length === 0) {
+    throw new Error("No audio in file");
+  }
+  const { duration, length: totalSamples } = audioBuffer;
 
-        resolve();
-      } catch (error) {
-        reject(error);
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+
+  let chunkNumber = 0;
+  try {
+    for (let start = 0; start < totalSamples; start += chunkSamples) {
+      const end = Math.min(start + chunkSamples, totalSamples);
+
+      // Mix down to mono and convert to Int16, as offscreen.js does for live chunks
+      const int16Array = new Int16Array(end - start);
+      for (let i = start; i < end; i++) {
+        let sum = 0;
+        for (const channel of channels) {
+          sum += channel[i];
+        }
+        const clamped = Math.max(-1, Math.min(1, sum / channels.length));
+        int16Array[i - start] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
       }
-    };
 
-    reader.onerror = () => {
-      reject(new Error("Failed to read file"));
-    };
+      await window.StorageUtils.saveRecording(int16Array.buffer, {
+        key: `${recordingKey}-chunk-${chunkNumber}`,
+        source: "recording-chunk",
+        parentRecordingId: recordingKey,
+        chunkNumber,
+        chunkSize: int16Array.length * 2, // Int16 = 2 bytes per sample
+        chunkTimestamp: Date.now(),
+        sampleRate,
+        numberOfChannels: 1,
+        channelLayout: null,
+        samplesCount: int16Array.length,
+        format: "pcm-int16",
+      });
+      chunkNumber++;
+    }
+  } catch (error) {
+    await window.StorageUtils.deleteRecordingChunks(recordingKey);
+    throw error;
+  } finally {
+    // Let the decoded audio go before the original file is saved
+    channels.length = 0;
+    audioBuffer = null;
+  }
 
-    reader.readAsDataURL(file);
-  });
+  console.log(
+    `Decoded upload into ${chunkNumber} PCM chunks (${duration.toFixed(1)}s at ${sampleRate} Hz)`,
+  );
+
+  return {
+    duration,
+    chunksCount: chunkNumber,
+    sampleRate,
+    numberOfChannels: 1,
+    totalSamples,
+  };
 }
 
 // Show notification
@@ -2677,6 +3480,26 @@ historyList.addEventListener("click", async (e) => {
     await showPostProcessingUI(recordingId);
   }
 
+  // Handle cancelling a running post-processing request
+  if (target.classList.contains("processing-cancel-btn")) {
+    target.disabled = true;
+    await window.JobQueue.cancelJob(target.dataset.jobId);
+  }
+
+  // Handle exporting meeting-minutes tasks
+  if (target.classList.contains("minutes-export-btn")) {
+    await exportMeetingTasks(
+      target.dataset.recordingId,
+      target.dataset.promptId,
+      target.dataset.format,
+    );
+  }
+
+  // Handle switching meeting minutes between formatted and raw JSON
+  if (target.classList.contains("minutes-view-toggle")) {
+    toggleMinutesView(target.dataset.uniqueId, target);
+  }
+
   // Handle expand/collapse toggle buttons
   if (target.classList.contains("expand-toggle")) {
     const uniqueId = target.dataset.uniqueId;
@@ -2818,6 +3641,17 @@ async function showPostProcessingUI(recordingId) {
     // Show section
     postProcessingSection.style.display = "block";
 
+    // Pick up a run that is still queued or in progress
+    const recordingKey = `recording-${recordingId}`;
+    for (const job of activeJobs.values()) {
+      if (
+        job.type === window.JobQueue.JOB_TYPES.POST_PROCESSING &&
+        job.recordingKey === recordingKey
+      ) {
+        await renderPostProcessingJob(job);
+      }
+    }
+
     // Setup event listeners
     const promptSelect = document.getElementById(
       `prompt-select-${recordingId}`,
@@ -2888,14 +3722,6 @@ async function runPostProcessing(recordingId) {
     `processing-results-${recordingId}`,
   );
 
-  // Show progress
-  resultsDiv.innerHTML = `
-    <div class="processing-progress">
-      <i class="fas fa-spinner fa-spin"></i>
-      <p>Processing with AI...</p>
-    </div>
-  `;
-
   try {
     // Get the recording and transcription
     const key = `recording-${recordingId}`;
@@ -2911,58 +3737,26 @@ async function runPostProcessing(recordingId) {
       throw new Error("Prompt not found");
     }
 
-    // Apply transcription to prompt
-    const processedPrompt = await promptsManager.applyTranscription(
-      selectedPromptId,
-      recording.transcription,
-    );
-
-    // Process with Gemini
-    const updateProgress = (message) => {
-      resultsDiv.innerHTML = `
-        <div class="processing-progress">
-          <i class="fas fa-spinner fa-spin"></i>
-          <p>${message}</p>
-        </div>
-      `;
-    };
-
-    const processedText =
-      await window.transcriptionService.processTranscription(
-        recording.transcription,
-        processedPrompt,
-        updateProgress,
-      );
-
-    // Save processed transcription
-    await window.StorageUtils.updateProcessedTranscription(
-      key,
-      processedText,
-      selectedPromptId,
-    );
-
-    // Load and display all processed transcriptions
-    const updatedRecording = await window.StorageUtils.getRecording(key);
-    loadProcessedTranscriptions(
-      recordingId,
-      updatedRecording.processedTranscriptions,
-    );
-
-    // Show success message briefly
-    resultsDiv.innerHTML = `
-      <div style="padding: 20px; text-align: center; color: #2e7d32;">
-        <i class="fas fa-check-circle" style="font-size: 32px; margin-bottom: 12px;"></i>
-        <p><strong>Processing completed successfully!</strong></p>
-      </div>
-    `;
+    // Set up the provider here so a missing API key can still be asked for
+    const provider =
+      await window.PostProcessingProviderFactory.createForPrompt(prompt);
+
+    // The output is assumed to be about as long as the transcription
+    const providerInfo = provider.getInfo();
+    const estimatedCostUsd = providerInfo.local
+      ? null
+      : window.UsageTracker.estimateTextCost(
+          providerInfo.model,
+          prompt.systemPrompt.length + recording.transcription.length,
+          recording.transcription.length,
+        );
+    if (!(await confirmWithinBudget(estimatedCostUsd, `"${prompt.name}"`))) {
+      return;
+    }
 
-    setTimeout(() => {
-      resultsDiv.innerHTML = "";
-      loadProcessedTranscriptions(
-        recordingId,
-        updatedRecording.processedTranscriptions,
-      );
-    }, 1500);
+    // The offscreen document runs the job and reports back with job updates
+    const job = await window.JobQueue.enqueuePostProcessing(key, prompt);
+    await handleJobUpdate(job);
   } catch (error) {
     console.error("Post-processing error:", error);
     resultsDiv.innerHTML = `
@@ -2996,6 +3790,7 @@ async function loadProcessedTranscriptions(
     const promptNameEscaped = promptName.replace(/'/g, "\\'");
     const timestamp = new Date(processed.timestamp).toLocaleString();
     const uniqueId = `${recordingId}-${processed.promptId}`;
+    const minutes = window.MeetingMinutes.parseMeetingMinutes(processed);
 
     // Check if content is long (more than 500 characters)
     const isLongContent = processed.text.length > 500;
@@ -3012,6 +3807,13 @@ async function loadProcessedTranscriptions(
             <small style="color: #999; font-size: 11px;">${timestamp}</small>
           </div>
           <div class="processed-result-actions">
+            ${
+              minutes
+                ? `<button class="minutes-view-toggle" data-unique-id="${uniqueId}" title="Switch between the formatted minutes and the raw JSON">
+              <i class="fas fa-code"></i> Raw JSON
+            </button>`
+                : ""
+            }
             <button class="copy-processed-btn" data-recording-id="${recordingId}" data-prompt-id="${processed.promptId}" title="Copy to clipboard">
               <i class="fas fa-copy"></i> Copy
             </button>
@@ -3023,18 +3825,21 @@ async function loadProcessedTranscriptions(
             </button>
           </div>
         </div>
-        <div class="processed-result-content ${collapsedClass}" id="processed-content-${uniqueId}">
-          ${processed.text}
+        ${minutes ? renderMeetingMinutesHtml(minutes, recordingId, processed.promptId) : ""}
+        <div id="processed-raw-${uniqueId}" ${minutes ? 'style="display: none;"' : ""}>
+          <div class="processed-result-content ${collapsedClass}" id="processed-content-${uniqueId}">
+            ${processed.text}
+          </div>
+          ${
+            isLongContent
+              ? `
+            <button class="expand-toggle" data-unique-id="${uniqueId}" id="toggle-${uniqueId}">
+              <i class="fas fa-chevron-down"></i> Show More
+            </button>
+          `
+              : ""
+          }
         </div>
-        ${
-          isLongContent
-            ? `
-          <button class="expand-toggle" data-unique-id="${uniqueId}" id="toggle-${uniqueId}">
-            <i class="fas fa-chevron-down"></i> Show More
-          </button>
-        `
-            : ""
-        }
       </div>
     `;
   }
@@ -3042,6 +3847,304 @@ async function loadProcessedTranscriptions(
   resultsDiv.innerHTML = resultsHTML;
 }
 
+// Structured view of meeting-minutes JSON (or an action-item list); the raw result
+// stays in the page (hidden) for the Raw JSON toggle, Copy and Download
+function renderMeetingMinutesHtml(minutes, recordingId, promptId) {
+  const uniqueId = `${recordingId}-${promptId}`;
+  const escapeValue = (value) => escapeTranscriptionHtml(String(value ?? ""));
+  const slug = (value) =>
+    String(value || "")
+      .toLowerCase()
+      .replace(/[^a-z]+/g, "-");
+  const meta = minutes.meeting_meta || {};
+  // Results parsed from older text output may hold any JSON in these fields
+  const asArray = (value) => (Array.isArray(value) ? value : []);
+
+  const renderList = (title, items) => {
+    const entries = asArray(items).filter(Boolean);
+    if (entries.length === 0) return "";
+    return `
+      <div class="minutes-list">
+        <div class="minutes-list-title">${title}</div>
+        <ul>${entries.map((entry) => `<li>${escapeValue(entry)}</li>`).join("")}</ul>
+      </div>
+    `;
+  };
+
+  const metaDetails = [
+    meta.date,
+    meta.time,
+    meta.location,
+    meta.facilitator && `Facilitator: ${meta.facilitator}`,
+    meta.scribe && `Scribe: ${meta.scribe}`,
+  ].filter(Boolean);
+
+  const attendees = asArray(minutes.attendees).filter((a) => a?.name);
+  const attendeesHtml = attendees.length
+    ? `
+      <div class="minutes-section">
+        <h5><i class="fas fa-users"></i> Attendees</h5>
+        <div class="minutes-attendees">
+          ${attendees
+            .map(
+              (attendee) => `
+            <span class="minutes-attendee ${attendee.present === false ? "absent" : ""}" title="${attendee.present === false ? "Absent" : "Present"}">
+              ${escapeValue(attendee.name)}${attendee.role ? ` <small>${escapeValue(attendee.role)}</small>` : ""}
+            </span>
+          `,
+            )
+            .join("")}
+        </div>
+      </div>
+    `
+    : "";
+
+  const projects = asArray(minutes.projects).filter((p) => p?.project_name);
+  const projectsHtml = projects.length
+    ? `
+      <div class="minutes-section">
+        <h5><i class="fas fa-folder-open"></i> Projects</h5>
+        ${projects
+          .map(
+            (project) => `
+          <div class="minutes-project">
+            <div class="minutes-project-name">${escapeValue(project.project_name)}</div>
+            ${project.status ? `<p class="minutes-project-status">${escapeValue(project.status)}</p>` : ""}
+            ${renderList("Highlights", project.highlights)}
+            ${renderList("Decisions", project.decisions)}
+            ${renderList("Risks", project.risks)}
+            ${renderList("Dependencies", project.dependencies)}
+            ${renderList("Open questions", project.open_questions)}
+          </div>
+        `,
+          )
+          .join("")}
+      </div>
+    `
+    : "";
+
+  const actionItems = window.MeetingMinutes.collectActionItems(minutes).sort(
+    (a, b) =>
+      window.MeetingMinutes.getPriorityRank(a.priority) -
+      window.MeetingMinutes.getPriorityRank(b.priority),
+  );
+  const assignees = [...new Set(actionItems.map((item) => item.assignee))].sort(
+    (a, b) => a.localeCompare(b),
+  );
+  const priorities = [...new Set(actionItems.map((item) => item.priority))].sort(
+    (a, b) =>
+      window.MeetingMinutes.getPriorityRank(a) -
+      window.MeetingMinutes.getPriorityRank(b),
+  );
+  const renderFilter = (filter, label, values) => `
+    <select class="minutes-filter" data-unique-id="${uniqueId}" data-filter="${filter}">
+      <option value="">${label}</option>
+      ${values.map((value) => `<option value="${escapeValue(value)}">${escapeValue(value)}</option>`).join("")}
+    </select>
+  `;
+  const actionsHtml = actionItems.length
+    ? `
+      <div class="minutes-section">
+        <div class="minutes-section-header">
+          <h5>
+            <i class="fas fa-tasks"></i> Action Items
+            <span class="minutes-count" id="minutes-count-${uniqueId}">${actionItems.length}</span>
+          </h5>
+          <div class="minutes-filters">
+            ${renderFilter("assignee", "All assignees", assignees)}
+            ${renderFilter("priority", "All priorities", priorities)}
+          </div>
+        </div>
+        <table class="minutes-actions-table">
+          <thead>
+            <tr>
+              <th>Task</th>
+              <th>Assignee</th>
+              <th>Project</th>
+              <th>Priority</th>
+              <th>Status</th>
+              <th>Due</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${actionItems
+              .map(
+                (item) => `
+              <tr data-assignee="${escapeValue(item.assignee)}" data-priority="${escapeValue(item.priority)}">
+                <td>
+                  ${escapeValue(item.title)}
+                  ${item.notes ? `<div class="minutes-action-notes">${escapeValue(item.notes)}</div>` : ""}
+                </td>
+                <td>${escapeValue(item.assignee)}</td>
+                <td>${escapeValue(item.project)}</td>
+                <td><span class="minutes-badge priority-${slug(item.priority)}">${escapeValue(item.priority)}</span></td>
+                <td><span class="minutes-badge status-${slug(item.status)}">${escapeValue(item.status)}</span></td>
+                <td>${item.dueDate ? escapeValue(item.dueDate) : "—"}</td>
+              </tr>
+            `,
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </div>
+    `
+    : "";
+
+  const timeline = window.MeetingMinutes.getSortedTimeline(minutes);
+  const timelineHtml = timeline.length
+    ? `
+      <div class="minutes-section">
+        <h5><i class="fas fa-stream"></i> Timeline</h5>
+        <ul class="minutes-timeline">
+          ${timeline
+            .map(
+              (milestone) => `
+            <li>
+              <span class="minutes-timeline-date">${milestone.target_date ? escapeValue(milestone.target_date) : "No date"}</span>
+              <span class="minutes-timeline-name">${escapeValue(milestone.milestone)}</span>
+              <span class="minutes-timeline-details">
+                ${[milestone.project_name, milestone.owner].filter(Boolean).map(escapeValue).join(" · ")}
+              </span>
+              ${milestone.status ? `<span class="minutes-badge status-${slug(milestone.status)}">${escapeValue(milestone.status)}</span>` : ""}
+            </li>
+          `,
+            )
+            .join("")}
+        </ul>
+      </div>
+    `
+    : "";
+
+  const notes = renderList("Notes", minutes.notes);
+
+  // Action-item lists have no meeting details
+  const metaHtml = minutes.meeting_meta
+    ? `
+      <div class="minutes-meta">
+        <div class="minutes-title">${escapeValue(meta.title || "Meeting minutes")}</div>
+        ${metaDetails.length ? `<div class="minutes-meta-details">${metaDetails.map(escapeValue).join(" · ")}</div>` : ""}
+      </div>
+    `
+    : "";
+
+  const renderExportButton = (format, icon, label, title) => `
+    <button class="minutes-export-btn" data-recording-id="${recordingId}" data-prompt-id="${promptId}" data-format="${format}" title="${title}">
+      <i class="fas ${icon}"></i> ${label}
+    </button>
+  `;
+  const exportHtml =
+    actionItems.length || timeline.length
+      ? `
+      <div class="minutes-export">
+        <span>Export tasks:</span>
+        ${renderExportButton("csv", "fa-file-csv", "CSV", "Action items as a spreadsheet")}
+        ${renderExportButton("ics", "fa-calendar-alt", "Calendar", "Due dates and milestones as an iCalendar file")}
+        ${renderExportButton("json", "fa-file-code", "Tracker JSON", "Action items and milestones for Jira, Linear or GitHub issue import")}
+      </div>
+    `
+      : "";
+
+  return `
+    <div class="meeting-minutes" id="meeting-minutes-${uniqueId}">
+      ${metaHtml}
+      ${attendeesHtml}
+      ${projectsHtml}
+      ${actionsHtml}
+      ${timelineHtml}
+      ${notes ? `<div class="minutes-section">${notes}</div>` : ""}
+      ${exportHtml}
+    </div>
+  `;
+}
+
+// Show only the action items matching the assignee and priority filters
+function filterMinutesActions(uniqueId) {
+  const minutesDiv = document.getElementById(`meeting-minutes-${uniqueId}`);
+  if (!minutesDiv) return;
+
+  const filters = {};
+  minutesDiv.querySelectorAll(".minutes-filter").forEach((select) => {
+    filters[select.dataset.filter] = select.value;
+  });
+
+  let visible = 0;
+  const rows = minutesDiv.querySelectorAll(".minutes-actions-table tbody tr");
+  rows.forEach((row) => {
+    const matches =
+      (!filters.assignee || row.dataset.assignee === filters.assignee) &&
+      (!filters.priority || row.dataset.priority === filters.priority);
+    row.style.display = matches ? "" : "none";
+    if (matches) visible++;
+  });
+
+  const count = document.getElementById(`minutes-count-${uniqueId}`);
+  if (count) {
+    count.textContent =
+      visible === rows.length ? `${rows.length}` : `${visible} of ${rows.length}`;
+  }
+}
+
+// Download the action items and milestones of a meeting-minutes result for a
+// spreadsheet, a calendar or a task tracker
+async function exportMeetingTasks(recordingId, promptId, format) {
+  const key = `recording-${recordingId}`;
+  const recording = await window.StorageUtils.getRecording(key);
+  const minutes = window.MeetingMinutes.parseMeetingMinutes(
+    recording?.processedTranscriptions?.[promptId],
+  );
+  if (!minutes) return;
+
+  const dateStr = new Date(recording.timestamp)
+    .toISOString()
+    .slice(0, 19)
+    .replace(/[T:]/g, "-");
+  const filename = `tabtalk-${dateStr}-tasks.${format}`;
+
+  if (format === "csv") {
+    downloadBlob(
+      new Blob([window.TaskExport.tasksToCsv(minutes)], {
+        type: "text/csv;charset=utf-8",
+      }),
+      filename,
+    );
+  } else if (format === "ics") {
+    const { content, todos, events } = window.TaskExport.tasksToIcs(minutes, {
+      uidPrefix: `${key}-${promptId}`,
+    });
+    if (todos + events === 0) {
+      alert(
+        "None of the action items or milestones has a date, so there is nothing to add to a calendar.",
+      );
+      return;
+    }
+    downloadBlob(
+      new Blob([content], { type: "text/calendar;charset=utf-8" }),
+      filename,
+    );
+  } else if (format === "json") {
+    downloadBlob(
+      new Blob([window.TaskExport.tasksToIssuesJson(minutes)], {
+        type: "application/json;charset=utf-8",
+      }),
+      filename,
+    );
+  }
+}
+
+// Switch a meeting-minutes result between the formatted view and the raw JSON
+function toggleMinutesView(uniqueId, button) {
+  const minutesDiv = document.getElementById(`meeting-minutes-${uniqueId}`);
+  const rawDiv = document.getElementById(`processed-raw-${uniqueId}`);
+  if (!minutesDiv || !rawDiv) return;
+
+  const showRaw = rawDiv.style.display === "none";
+  rawDiv.style.display = showRaw ? "" : "none";
+  minutesDiv.style.display = showRaw ? "none" : "";
+  button.innerHTML = showRaw
+    ? '<i class="fas fa-table"></i> Formatted'
+    : '<i class="fas fa-code"></i> Raw JSON';
+}
+
 // Copy processed text to clipboard
 async function copyProcessedText(event, recordingId, promptId, button) {
   const uniqueId = `${recordingId}-${promptId}`;
@@ -3188,21 +4291,9 @@ async function deleteProcessedText(recordingId, promptId) {
   }
 
   try {
-    // Get the recording
-    const key = `recording-${recordingId}`;
-    const recording = await window.StorageUtils.getRecording(key);
-
-    if (!recording || !recording.processedTranscriptions) {
-      throw new Error("Recording or processed transcriptions not found");
-    }
-
     // Delete the specific processed transcription
-    delete recording.processedTranscriptions[promptId];
-
-    // Save the updated recording using the IndexedDB manager directly
-    // We need to import it first
-    const dbModule = await import("./utils/indexeddb.js");
-    await dbModule.default.saveRecording(key, recording);
+    const key = `recording-${recordingId}`;
+    await window.StorageUtils.deleteProcessedTranscription(key, promptId);
 
     // Remove from UI with animation
     const uniqueId = `${recordingId}-${promptId}`;
@@ -3264,11 +4355,8 @@ async function checkForIncompleteRecordings() {
     return true; // Always refresh if there's an active recording
   }
 
-  const allRecordings = await window.StorageUtils.getAllRecordings();
-  const finalRecordings = allRecordings.filter(
-    (r) => r.source !== "recording-chunk",
-  );
-  const chunks = allRecordings.filter((r) => r.source === "recording-chunk");
+  const { recordings: finalRecordings, chunkMetadata: chunks } =
+    await window.StorageUtils.getAllRecordingsMetadata();
 
   // Group chunks by parent recording ID
   const chunksByParent = {};
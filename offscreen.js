@@ -7,11 +7,21 @@ let currentRecordingId = null;
 let audioContext = null;
 let destination = null;
 let pcmChunks = []; // Store PCM Float32Array chunks
-let scriptProcessor = null;
+let pcmRecorderNode = null; // AudioWorkletNode running pcm-recorder-worklet.js
+let pendingPcmFlushes = []; // resolvers waiting for the worklet's "flushed" reply
 let lastSavedPcmIndex = 0; // Track which PCM chunks we've saved
+let nextChunkNumber = 0; // In-memory chunk counter for the active recording
 let sampleRate = 48000;
 let numberOfChannels = 1;
-let autoTranscriptionTasks = new Map();
+let channelLayout = null; // "tab-mic" when tab and mic are stored on separate channels
+let jobQueueRun = null; // Promise of the running job queue loop
+let jobQueueRerun = false; // A wake-up arrived while the loop was running
+let interruptedJobsRequeued = false;
+let lastJobFinishedAt = 0;
+const jobControllers = new Map(); // Job ID -> AbortController of the running job
+let isPaused = false;
+let pauseStartTime = null;
+let pausedSpans = []; // [{ start, end }] wall-clock spans excluded from the recording
 
 // Get constants from centralized config (loaded via constants.js)
 const getChunkIntervalMs = () =>
@@ -70,9 +80,18 @@ async function loadOffscreenUserConfig() {
           micGain: 1.5,
           audioQuality: 48000,
           enableMicrophoneCapture: false,
+          dualTrackRecording: false,
           autoTranscribe: false,
           transcriptionChunkIntervalMs: 60000,
+          transcriptionOverlapMs: 2000,
+          transcriptionSilenceCut: true,
+          transcriptionContextCarryOver: true,
+          transcriptionLanguageMode: "auto",
+          transcriptionLanguages: [],
+          transcriptionVerbatim: true,
           geminiTranscriptionMaxOutputTokens: 16384,
+          geminiRequestsPerMinute: 15,
+          geminiConcurrency: 1,
         };
 
   // Prefer direct read with literal key in offscreen context (more robust than relying on shared globals)
@@ -101,41 +120,50 @@ async function loadOffscreenUserConfig() {
   return defaults;
 }
 
+// Created per job so changes to the transcription settings apply to the next job
 async function getOffscreenTranscriptionService() {
-  if (window.offscreenTranscriptionService) {
-    return window.offscreenTranscriptionService;
-  }
-
   if (typeof TranscriptionServiceFactory !== "undefined") {
     const serviceType =
       await TranscriptionServiceFactory.getConfiguredService();
-    window.offscreenTranscriptionService =
-      TranscriptionServiceFactory.create(serviceType);
-    return window.offscreenTranscriptionService;
+    return TranscriptionServiceFactory.create(serviceType);
   }
 
   if (typeof GeminiTranscriptionService !== "undefined") {
-    window.offscreenTranscriptionService = new GeminiTranscriptionService();
-    return window.offscreenTranscriptionService;
+    return new GeminiTranscriptionService();
   }
 
   throw new Error("No transcription service available in offscreen context");
 }
 
+async function waitForStorageUtils() {
+  let attempts = 0;
+  while (!window.StorageUtils && attempts < 100) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    attempts++;
+  }
+
+  if (!window.StorageUtils) {
+    throw new Error("StorageUtils not available");
+  }
+
+  return window.StorageUtils;
+}
+
 async function runAutoTranscriptionIfEnabled(recordingKey) {
   if (!recordingKey) return;
-  if (autoTranscriptionTasks.has(recordingKey))
-    return autoTranscriptionTasks.get(recordingKey);
 
-  const task = (async () => {
-    try {
-      const userConfig = await loadOffscreenUserConfig();
+  try {
+    const userConfig = await loadOffscreenUserConfig();
 
-      if (!toBooleanSetting(userConfig.autoTranscribe, false)) {
-        console.log("[AUTO TRANSCRIBE] Disabled in settings");
-        return;
-      }
+    if (!toBooleanSetting(userConfig.autoTranscribe, false)) {
+      console.log("[AUTO TRANSCRIBE] Disabled in settings");
+      return;
+    }
 
+    const service = await getOffscreenTranscriptionService();
+
+    // Gemini would prompt for a key, which can't happen here; Whisper keys are optional
+    if (service instanceof GeminiTranscriptionService) {
       const { gemini_api_key: apiKey } =
         await storageBridgeGet("gemini_api_key");
       if (!apiKey) {
@@ -144,48 +172,267 @@ async function runAutoTranscriptionIfEnabled(recordingKey) {
         );
         return;
       }
+    }
+
+    console.log(`[AUTO TRANSCRIBE] Queueing ${recordingKey}`);
+    await JobQueue.enqueueTranscription(recordingKey, { source: "auto" });
+    processJobQueue();
+  } catch (error) {
+    console.error(`[AUTO TRANSCRIBE] Failed for ${recordingKey}:`, error);
+  }
+}
 
-      console.log(`[AUTO TRANSCRIBE] Starting for ${recordingKey}`);
-      const service = await getOffscreenTranscriptionService();
-      const transcriptionText = await service.transcribeChunked(recordingKey);
+/**
+ * Run queued jobs one at a time until the queue is empty
+ * Safe to call repeatedly; wake-ups while running are picked up before it stops.
+ * @returns {Promise<void>}
+ */
+function processJobQueue() {
+  if (jobQueueRun) {
+    jobQueueRerun = true;
+    return jobQueueRun;
+  }
 
-      let attempts = 0;
-      while (!window.StorageUtils && attempts < 100) {
-        await new Promise((resolve) => setTimeout(resolve, 50));
-        attempts++;
-      }
+  jobQueueRun = (async () => {
+    try {
+      do {
+        jobQueueRerun = false;
+        await runQueuedJobs();
+      } while (jobQueueRerun);
+    } catch (error) {
+      console.error("[JOB QUEUE] Runner failed:", error);
+    } finally {
+      jobQueueRun = null;
+    }
+  })();
 
-      if (!window.StorageUtils) {
-        throw new Error("StorageUtils not available to save transcription");
+  return jobQueueRun;
+}
+
+async function runQueuedJobs() {
+  // A job still marked running was cut off by a browser restart or a crash
+  if (!interruptedJobsRequeued) {
+    interruptedJobsRequeued = true;
+    for (const job of await JobQueue.getJobs()) {
+      if (job.status === JobQueue.JOB_STATUS.RUNNING) {
+        console.log(`[JOB QUEUE] Requeueing interrupted job ${job.id}`);
+        await JobQueue.updateJob(job.id, {
+          status: JobQueue.JOB_STATUS.QUEUED,
+          resume: true,
+          progress: null,
+        });
       }
+    }
+    await JobQueue.pruneFinishedJobs();
+  }
 
-      await window.StorageUtils.updateTranscription(
-        recordingKey,
-        transcriptionText,
-      );
+  while (true) {
+    const job = (await JobQueue.getJobs()).find(
+      (candidate) => candidate.status === JobQueue.JOB_STATUS.QUEUED,
+    );
+    if (!job) break;
 
-      if (typeof service.clearTranscriptionState === "function") {
-        await service.clearTranscriptionState(recordingKey);
-      }
+    await runJob(job);
+  }
+
+  await JobQueue.publishQueueStatus();
+}
 
-      console.log(
-        `[AUTO TRANSCRIBE] Completed for ${recordingKey} (${transcriptionText.length} chars)`,
-      );
+async function runJob(job) {
+  const controller = new AbortController();
+  jobControllers.set(job.id, controller);
 
-      chrome.runtime.sendMessage({
-        type: "transcription-updated",
-        target: "history",
-        data: { recordingKey },
+  try {
+    const service = await getOffscreenTranscriptionService();
+
+    // Keep back-to-back jobs under the provider's request rate limit
+    const waitMs = lastJobFinishedAt + (service.rateLimitDelayMs || 0) - Date.now();
+    if (waitMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+    }
+
+    // The job may have been cancelled while it waited
+    let running = await JobQueue.updateJob(
+      job.id,
+      {
+        status: JobQueue.JOB_STATUS.RUNNING,
+        startedAt: Date.now(),
+        error: null,
+      },
+      { ifStatus: JobQueue.JOB_STATUS.QUEUED },
+    );
+    if (!running) return;
+    JobQueue.broadcastJobUpdate(running);
+    await JobQueue.publishQueueStatus();
+
+    const onProgress = (message, current, total) => {
+      running = {
+        ...running,
+        progress: {
+          message,
+          current: Number.isFinite(current) ? current : null,
+          total: Number.isFinite(total) ? total : null,
+        },
+      };
+      JobQueue.broadcastJobUpdate(running);
+      // Once the job is finished or cancelled, a late progress write is dropped
+      JobQueue.updateJob(
+        job.id,
+        { progress: running.progress },
+        { ifStatus: JobQueue.JOB_STATUS.RUNNING },
+      )
+        .then((updated) => updated && JobQueue.publishQueueStatus())
+        .catch((error) => {
+          console.warn("[JOB QUEUE] Could not save job progress:", error);
+        });
+    };
+
+    console.log(`[JOB QUEUE] Running ${job.type} job ${job.id} for ${job.recordingKey}`);
+
+    if (job.type === JobQueue.JOB_TYPES.TRANSCRIPTION) {
+      await runTranscriptionJob(job, service, onProgress, controller.signal);
+    } else if (job.type === JobQueue.JOB_TYPES.POST_PROCESSING) {
+      await runPostProcessingJob(job, onProgress, controller.signal);
+    } else {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    await finishJob(job.id, { status: JobQueue.JOB_STATUS.COMPLETED });
+    console.log(`[JOB QUEUE] Completed job ${job.id}`);
+  } catch (error) {
+    if (error?.name === "AbortError") {
+      console.log(`[JOB QUEUE] Cancelled job ${job.id}`);
+      await finishJob(job.id, { status: JobQueue.JOB_STATUS.CANCELLED });
+    } else {
+      console.error(`[JOB QUEUE] Job ${job.id} failed:`, error);
+      await finishJob(job.id, {
+        status: JobQueue.JOB_STATUS.FAILED,
+        error: error.message,
       });
-    } catch (error) {
-      console.error(`[AUTO TRANSCRIBE] Failed for ${recordingKey}:`, error);
-    } finally {
-      autoTranscriptionTasks.delete(recordingKey);
     }
-  })();
+  } finally {
+    jobControllers.delete(job.id);
+    lastJobFinishedAt = Date.now();
+  }
+}
+
+async function finishJob(jobId, changes) {
+  const job = await JobQueue.updateJob(jobId, {
+    ...changes,
+    finishedAt: Date.now(),
+  });
+  if (job) {
+    JobQueue.broadcastJobUpdate(job);
+  }
+  await JobQueue.publishQueueStatus();
+}
+
+async function runTranscriptionJob(job, service, onProgress, signal) {
+  const storage = await waitForStorageUtils();
+  const key = job.recordingKey;
+
+  const recording = await storage.getRecording(key);
+  if (!recording) {
+    throw new Error("Recording not found");
+  }
+
+  const hasChunks = (await storage.countRecordingChunks(key)) > 0;
+  const onUsage = (usage) =>
+    UsageTracker.recordUsage(key, UsageTracker.USAGE_KINDS.TRANSCRIPTION, usage);
+  let result;
+
+  if (hasChunks) {
+    // Resume only when there is saved progress; otherwise start over
+    const resume =
+      job.resume && (await service.hasIncompleteTranscription(key));
+    result = resume
+      ? await service.resumeChunkedTranscription(key, onProgress, {
+          signal,
+          onUsage,
+        })
+      : await service.transcribeChunked(key, onProgress, { signal, onUsage });
+  } else {
+    if (!recording.data) {
+      throw new Error("Recording data not found");
+    }
+
+    let languages = null;
+    const text = await service.transcribe(recording.data, onProgress, {
+      glossary: recording.glossary,
+      filename: recording.filename,
+      signal,
+      onUsage,
+      onLanguagesDetected: (detected) => {
+        languages = detected;
+      },
+    });
+    result = { text, segments: null, languages };
+  }
+
+  // Usage entries are written to the same recording
+  await UsageTracker.flushUsage();
+  await storage.updateTranscription(
+    key,
+    result.text,
+    result.segments,
+    result.languages,
+  );
+
+  if (hasChunks) {
+    await service.clearTranscriptionState(key);
+  }
 
-  autoTranscriptionTasks.set(recordingKey, task);
-  return task;
+  console.log(
+    `[JOB QUEUE] Transcribed ${key} (${result.text.length} chars)`,
+  );
+}
+
+async function runPostProcessingJob(job, onProgress, signal) {
+  const storage = await waitForStorageUtils();
+  const recording = await storage.getRecording(job.recordingKey);
+
+  if (!recording || !recording.transcription) {
+    throw new Error("No transcription available. Please transcribe first.");
+  }
+
+  const systemPrompt = job.prompt.systemPrompt.replace(
+    /\{\{TRANSCRIPTION\}\}/g,
+    recording.transcription,
+  );
+
+  const provider = await PostProcessingProviderFactory.createForPrompt(
+    job.prompt,
+    onProgress,
+  );
+  // Set only when the prompt has an output schema and the provider honoured it
+  let structuredOutput = null;
+  const processedText = await provider.processTranscription(
+    recording.transcription,
+    systemPrompt,
+    onProgress,
+    {
+      signal,
+      responseSchema: job.prompt.outputSchema || null,
+      onStructuredOutput: (data) => {
+        structuredOutput = data;
+      },
+      onUsage: (usage) =>
+        UsageTracker.recordUsage(
+          job.recordingKey,
+          UsageTracker.USAGE_KINDS.POST_PROCESSING,
+          usage,
+          { promptId: job.prompt.id },
+        ),
+    },
+  );
+
+  await UsageTracker.flushUsage();
+  await storage.updateProcessedTranscription(
+    job.recordingKey,
+    processedText,
+    job.prompt.id,
+    structuredOutput,
+  );
 }
 
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
@@ -197,6 +444,12 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       case "stop-recording":
         stopRecording();
         break;
+      case "pause-recording":
+        pauseRecording();
+        break;
+      case "resume-recording":
+        resumeRecording();
+        break;
       case "finalize-incomplete":
         // Handle incomplete recording finalization
         (async () => {
@@ -208,6 +461,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
             // Set sample rate and channels (use defaults if not provided)
             sampleRate = message.data.sampleRate || 48000;
             numberOfChannels = message.data.numberOfChannels || 1;
+            pausedSpans = message.data.pausedSpans || [];
 
             // Finalize the recording (this will save final entry with all chunks)
             await finalizeRecording();
@@ -221,6 +475,17 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           }
         })();
         return true; // Keep channel open for async response
+      case "run-job-queue":
+        processJobQueue();
+        break;
+      case "cancel-job": {
+        const controller = jobControllers.get(message.data.jobId);
+        if (controller) {
+          controller.abort();
+        }
+        sendResponse({ success: true, found: Boolean(controller) });
+        break;
+      }
       default:
         throw new Error("Unrecognized message:", message.type);
     }
@@ -271,7 +536,7 @@ async function handleStorageOperation(message, sendResponse) {
 }
 
 async function startRecording(streamId) {
-  if (recorder?.state === "recording") {
+  if (recorder?.state === "recording" || recorder?.state === "paused") {
     throw new Error("Called startRecording while recording is in progress.");
   }
 
@@ -327,7 +592,13 @@ async function startRecording(streamId) {
     // Create audio context with user-selected sample rate
     audioContext = new AudioContext({ sampleRate: desiredSampleRate });
     sampleRate = audioContext.sampleRate;
-    numberOfChannels = 1; // Mono for simplicity
+
+    // Dual-track stores tab on channel 0 and mic on channel 1 (needs a mic stream)
+    const dualTrack =
+      Boolean(micStream) &&
+      toBooleanSetting(userConfig.dualTrackRecording, false);
+    numberOfChannels = dualTrack ? 2 : 1;
+    channelLayout = dualTrack ? "tab-mic" : null;
 
     console.log(
       `Audio context created with sample rate: ${sampleRate} Hz (requested: ${desiredSampleRate} Hz)`,
@@ -358,28 +629,50 @@ async function startRecording(streamId) {
       micGain.connect(destination);
     }
 
-    // Set up PCM capture using ScriptProcessorNode
-    // This captures raw audio data continuously without any encoding gaps
-    const bufferSize = 4096;
-    scriptProcessor = audioContext.createScriptProcessor(bufferSize, 1, 1);
+    // Set up PCM capture using an AudioWorklet
+    // Capture runs on the audio thread, so base64 encoding on this page can't cause dropouts
+    await audioContext.audioWorklet.addModule("pcm-recorder-worklet.js");
+    pcmRecorderNode = new AudioWorkletNode(audioContext, "pcm-recorder", {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      channelCount: numberOfChannels,
+      channelCountMode: "explicit",
+      channelInterpretation: "speakers",
+      processorOptions: {
+        numberOfChannels,
+        batchFrames: 4096,
+      },
+    });
 
-    // Sum tab + mic into one path for PCM capture (channel merger is not for mixing)
-    const pcmMixNode = audioContext.createGain();
-    tabGain.connect(pcmMixNode);
-    if (micSource) {
-      micGain.connect(pcmMixNode);
+    let pcmInputNode;
+    if (dualTrack) {
+      // Keep "them" (tab) and "us" (mic) apart: each merger input is downmixed to one channel
+      pcmInputNode = audioContext.createChannelMerger(2);
+      tabGain.connect(pcmInputNode, 0, 0);
+      micGain.connect(pcmInputNode, 0, 1);
+    } else {
+      // Sum tab + mic into one path for PCM capture (channel merger is not for mixing)
+      pcmInputNode = audioContext.createGain();
+      tabGain.connect(pcmInputNode);
+      if (micSource) {
+        micGain.connect(pcmInputNode);
+      }
     }
 
-    // Capture PCM data
-    scriptProcessor.onaudioprocess = (event) => {
-      const inputData = event.inputBuffer.getChannelData(0);
-      // Clone the data since the buffer is reused
-      const pcmData = new Float32Array(inputData);
-      pcmChunks.push(pcmData);
+    // Receive PCM batches (stereo arrives interleaved: L R L R ...)
+    // The worklet stops capturing while paused, so paused spans never reach the PCM chunks
+    pcmRecorderNode.port.onmessage = (event) => {
+      if (event.data.type === "frames") {
+        pcmChunks.push(event.data.frames);
+      } else if (event.data.type === "flushed") {
+        pendingPcmFlushes.shift()?.();
+      }
     };
 
-    pcmMixNode.connect(scriptProcessor);
-    scriptProcessor.connect(audioContext.destination);
+    // The worklet outputs silence; connecting it keeps the node pulled by the graph
+    pcmInputNode.connect(pcmRecorderNode);
+    pcmRecorderNode.connect(audioContext.destination);
 
     // Also set up MediaRecorder for WebM output (for playback preview)
     recorder = new MediaRecorder(destination.stream, {
@@ -405,12 +698,17 @@ async function startRecording(streamId) {
     // Initialize recording session
     recordingStartTime = Date.now();
     currentRecordingId = `recording-${recordingStartTime}`;
+    isPaused = false;
+    pauseStartTime = null;
+    pausedSpans = [];
+    nextChunkNumber = 0;
 
     console.log("Recording started:", {
       recordingStartTime,
       activeRecordingId: currentRecordingId,
       sampleRate,
       numberOfChannels,
+      channelLayout,
     });
 
     // Store recording state
@@ -424,13 +722,7 @@ async function startRecording(streamId) {
     });
 
     // Set up periodic chunk saving (PCM data for crash recovery)
-    const chunkIntervalMs = getCrashRecoveryIntervalMs();
-    if (chunkIntervalMs > 0) {
-      chunkSaveInterval = setInterval(() => {
-        savePcmChunk();
-      }, chunkIntervalMs);
-      console.log("PCM chunk save interval set up:", chunkIntervalMs, "ms");
-    }
+    startChunkSaveTimer();
 
     chrome.runtime.sendMessage({
       type: "update-icon",
@@ -447,8 +739,116 @@ async function startRecording(streamId) {
   }
 }
 
+function startChunkSaveTimer() {
+  const chunkIntervalMs = getCrashRecoveryIntervalMs();
+  if (chunkIntervalMs > 0 && !chunkSaveInterval) {
+    chunkSaveInterval = setInterval(() => {
+      savePcmChunk();
+    }, chunkIntervalMs);
+    console.log("PCM chunk save interval set up:", chunkIntervalMs, "ms");
+  }
+}
+
+function stopChunkSaveTimer() {
+  if (chunkSaveInterval) {
+    clearInterval(chunkSaveInterval);
+    chunkSaveInterval = null;
+  }
+}
+
+// Send a control message ("flush", "pause" or "stop") to the PCM worklet and
+// wait until its partially filled batch has been posted back
+function requestPcmFlush(type = "flush") {
+  if (!pcmRecorderNode) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    // Don't hang the stop/pause flow if the audio thread never answers
+    const timeout = setTimeout(() => {
+      const index = pendingPcmFlushes.indexOf(done);
+      if (index !== -1) pendingPcmFlushes.splice(index, 1);
+      resolve();
+    }, 1000);
+    const done = () => {
+      clearTimeout(timeout);
+      resolve();
+    };
+    pendingPcmFlushes.push(done);
+    pcmRecorderNode.port.postMessage({ type });
+  });
+}
+
+// Total paused time in ms, including a pause that is still open
+function getPausedDurationMs() {
+  const closed = pausedSpans.reduce(
+    (sum, span) => sum + (span.end - span.start),
+    0,
+  );
+  return pauseStartTime ? closed + (Date.now() - pauseStartTime) : closed;
+}
+
+function sendPauseState() {
+  chrome.runtime.sendMessage({
+    type: "set-pause-state",
+    target: "service-worker",
+    data: {
+      pausedAt: pauseStartTime,
+      pausedSpans: pausedSpans,
+    },
+  });
+}
+
+async function pauseRecording() {
+  if (!recorder || recorder.state !== "recording" || isPaused) {
+    return;
+  }
+
+  isPaused = true;
+  pauseStartTime = Date.now();
+  recorder.pause();
+
+  // Hold the crash-recovery timer and flush what was captured before the pause
+  stopChunkSaveTimer();
+  sendPauseState();
+  console.log("Recording paused at", pauseStartTime);
+
+  await requestPcmFlush("pause");
+  await savePcmChunk();
+}
+
+function resumeRecording() {
+  if (!recorder || recorder.state !== "paused" || !isPaused) {
+    return;
+  }
+
+  pausedSpans.push({ start: pauseStartTime, end: Date.now() });
+  pauseStartTime = null;
+  isPaused = false;
+  recorder.resume();
+  pcmRecorderNode?.port.postMessage({ type: "resume" });
+
+  startChunkSaveTimer();
+  sendPauseState();
+  console.log(
+    `Recording resumed (${pausedSpans.length} pause(s), ${getPausedDurationMs()}ms paused)`,
+  );
+}
+
 async function stopRecording() {
-  if (recorder && recorder.state === "recording") {
+  // Close an open pause so its span is recorded in the final metadata
+  if (isPaused) {
+    pausedSpans.push({ start: pauseStartTime, end: Date.now() });
+    pauseStartTime = null;
+    isPaused = false;
+  }
+
+  if (
+    recorder &&
+    (recorder.state === "recording" || recorder.state === "paused")
+  ) {
+    // Collect the worklet's last partial batch before finalizing
+    await requestPcmFlush("stop");
     recorder.stop();
   }
 
@@ -463,24 +863,30 @@ async function stopRecording() {
 }
 
 function cleanup() {
-  if (chunkSaveInterval) {
-    clearInterval(chunkSaveInterval);
-    chunkSaveInterval = null;
-  }
+  stopChunkSaveTimer();
 
-  if (scriptProcessor) {
-    scriptProcessor.disconnect();
-    scriptProcessor = null;
+  if (pcmRecorderNode) {
+    pcmRecorderNode.port.onmessage = null;
+    pcmRecorderNode.disconnect();
+    pcmRecorderNode = null;
   }
+  pendingPcmFlushes.forEach((resolve) => resolve());
+  pendingPcmFlushes = [];
 
   recorder = undefined;
   data = [];
   pcmChunks = [];
   lastSavedPcmIndex = 0;
+  nextChunkNumber = 0;
   recordingStartTime = null;
   currentRecordingId = null;
   audioContext = null;
   destination = null;
+  isPaused = false;
+  pauseStartTime = null;
+  pausedSpans = [];
+  numberOfChannels = 1;
+  channelLayout = null;
 
   chrome.runtime.sendMessage({
     type: "clear-recording-state",
@@ -511,13 +917,18 @@ async function savePcmChunk() {
     return;
   }
 
-  const newChunksCount = pcmChunks.length - lastSavedPcmIndex;
+  const start = lastSavedPcmIndex;
+  const end = pcmChunks.length;
+  const newChunksCount = end - start;
 
   if (newChunksCount <= 0) {
     return;
   }
 
-  const newChunks = pcmChunks.slice(lastSavedPcmIndex);
+  // Claim the buffers before any await so an overlapping save starts after them,
+  // and buffers arriving meanwhile are left for the next save
+  const newChunks = pcmChunks.slice(start, end);
+  lastSavedPcmIndex = end;
 
   try {
     // Concatenate PCM chunks into single Float32Array
@@ -538,21 +949,8 @@ async function savePcmChunk() {
       int16Array[i] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
     }
 
-    // Convert to base64 for storage (process in chunks to avoid stack overflow)
-    const uint8Array = new Uint8Array(int16Array.buffer);
-    let binary = "";
-    const chunkSize = 8192; // Process 8KB at a time
-    for (let i = 0; i < uint8Array.length; i += chunkSize) {
-      const chunk = uint8Array.subarray(
-        i,
-        Math.min(i + chunkSize, uint8Array.length),
-      );
-      binary += String.fromCharCode.apply(null, chunk);
-    }
-    const base64 = btoa(binary);
-    const dataUrl = `data:application/octet-stream;base64,${base64}`;
-
-    const chunkNumber = await getNextChunkNumber();
+    // Claim the number before any await so overlapping saves never share a key
+    const chunkNumber = nextChunkNumber++;
     const chunkTimestamp = Date.now();
 
     console.log(
@@ -570,7 +968,8 @@ async function savePcmChunk() {
     }
 
     const chunkKey = `${currentRecordingId}-chunk-${chunkNumber}`;
-    await window.StorageUtils.saveRecording(dataUrl, {
+    // Stored as a raw ArrayBuffer (no base64 overhead); IndexedDB clones it as-is
+    await window.StorageUtils.saveRecording(int16Array.buffer, {
       key: chunkKey,
       source: "recording-chunk",
       parentRecordingId: currentRecordingId,
@@ -579,34 +978,19 @@ async function savePcmChunk() {
       chunkTimestamp: chunkTimestamp,
       sampleRate: sampleRate,
       numberOfChannels: numberOfChannels,
-      samplesCount: totalLength,
+      channelLayout: channelLayout,
+      samplesCount: totalLength, // Interleaved sample count (frames × channels)
       format: "pcm-int16",
     });
 
     console.log(`PCM chunk ${chunkNumber} saved successfully`);
-    lastSavedPcmIndex = pcmChunks.length;
   } catch (error) {
     console.error("Failed to save PCM chunk:", error);
-  }
-}
-
-async function getNextChunkNumber() {
-  try {
-    if (!window.StorageUtils) {
-      return 0;
+    // Hand the buffers back for the next save, unless a later save has already
+    // claimed what follows them (retrying then would store the audio out of order)
+    if (lastSavedPcmIndex === end) {
+      lastSavedPcmIndex = start;
     }
-
-    const allRecordings = await window.StorageUtils.getAllRecordings();
-    const chunks = allRecordings.filter(
-      (r) =>
-        r.source === "recording-chunk" &&
-        r.parentRecordingId === currentRecordingId,
-    );
-
-    return chunks.length;
-  } catch (error) {
-    console.error("Error getting chunk number:", error);
-    return 0;
   }
 }
 
@@ -627,15 +1011,9 @@ async function finalizeRecording() {
       throw new Error("StorageUtils not available");
     }
 
-    // Get all chunks for this recording
-    const allRecordings = await window.StorageUtils.getAllRecordings();
-    const chunks = allRecordings
-      .filter(
-        (r) =>
-          r.source === "recording-chunk" &&
-          r.parentRecordingId === currentRecordingId,
-      )
-      .sort((a, b) => a.chunkNumber - b.chunkNumber);
+    // Get all chunks for this recording (ordered by chunk number)
+    const chunks =
+      await window.StorageUtils.getRecordingChunksWithData(currentRecordingId);
 
     console.log(`Found ${chunks.length} PCM chunks to finalize`);
 
@@ -644,13 +1022,21 @@ async function finalizeRecording() {
       return;
     }
 
+    // Recovery finalization doesn't know the channel layout; take it from the chunks
+    numberOfChannels = chunks[0].numberOfChannels || numberOfChannels;
+    channelLayout = chunks[0].channelLayout || channelLayout;
+
     // Calculate total size and duration
     const totalSamples = chunks.reduce(
       (sum, chunk) => sum + (chunk.samplesCount || 0),
       0,
     );
     const totalSize = totalSamples * 2; // Int16 = 2 bytes per sample
-    const estimatedDuration = Math.floor(totalSamples / sampleRate);
+    // Sample-based duration: nothing is captured while paused, so paused spans are already excluded
+    const estimatedDuration = Math.floor(
+      totalSamples / numberOfChannels / sampleRate,
+    );
+    const pausedDurationMs = getPausedDurationMs();
 
     console.log(
       `PCM recording: ${chunks.length} chunks, ${totalSamples} samples, ${estimatedDuration}s`,
@@ -673,7 +1059,10 @@ async function finalizeRecording() {
       isPcm: true, // Flag to indicate PCM chunks
       sampleRate: sampleRate,
       numberOfChannels: numberOfChannels,
+      channelLayout: channelLayout,
       totalSamples: totalSamples,
+      pausedSpans: pausedSpans,
+      pausedDurationMs: pausedDurationMs,
     });
 
     const savedRecordingKey = currentRecordingId;
@@ -691,3 +1080,6 @@ async function finalizeRecording() {
     console.error("Stack trace:", error.stack);
   }
 }
+
+// Pick up jobs queued while no offscreen document was running
+processJobQueue();
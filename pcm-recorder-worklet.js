@@ -0,0 +1,86 @@
+// AudioWorklet processor for PCM capture (loaded by offscreen.js)
+// Runs on the audio rendering thread, so capture keeps going while the
+// offscreen page is busy encoding chunks. Render quanta are batched and
+// posted to the main thread as interleaved Float32Array buffers.
+
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { numberOfChannels = 1, batchFrames = 4096 } =
+      options.processorOptions || {};
+
+    this.numberOfChannels = numberOfChannels;
+    this.batchFrames = batchFrames;
+    this.buffer = new Float32Array(batchFrames * numberOfChannels);
+    this.bufferedFrames = 0;
+    this.capturing = true;
+    this.stopped = false;
+
+    // Control messages: "pause" and "stop" flush first so no captured audio is
+    // lost, and every flushing message is acknowledged with "flushed"
+    this.port.onmessage = (event) => {
+      switch (event.data?.type) {
+        case "flush":
+          this.flush();
+          this.port.postMessage({ type: "flushed" });
+          break;
+        case "pause":
+          this.flush();
+          this.capturing = false;
+          this.port.postMessage({ type: "flushed" });
+          break;
+        case "resume":
+          this.capturing = true;
+          break;
+        case "stop":
+          this.flush();
+          this.stopped = true;
+          this.port.postMessage({ type: "flushed" });
+          break;
+      }
+    };
+  }
+
+  flush() {
+    if (this.bufferedFrames === 0) {
+      return;
+    }
+
+    const frames = this.buffer.slice(
+      0,
+      this.bufferedFrames * this.numberOfChannels,
+    );
+    this.port.postMessage({ type: "frames", frames }, [frames.buffer]);
+    this.bufferedFrames = 0;
+  }
+
+  process(inputs) {
+    if (this.stopped) {
+      return false;
+    }
+    if (!this.capturing) {
+      return true;
+    }
+
+    // An input with no active sources has no channels; record it as silence
+    // so the timeline stays continuous
+    const input = inputs[0] || [];
+    const frameCount = input[0]?.length || 128;
+
+    for (let i = 0; i < frameCount; i++) {
+      const base = this.bufferedFrames * this.numberOfChannels;
+      for (let channel = 0; channel < this.numberOfChannels; channel++) {
+        this.buffer[base + channel] = input[channel] ? input[channel][i] : 0;
+      }
+
+      this.bufferedFrames++;
+      if (this.bufferedFrames === this.batchFrames) {
+        this.flush();
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("pcm-recorder", PcmRecorderProcessor);
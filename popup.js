@@ -1,6 +1,7 @@
 // Get button elements
 const startButton = document.getElementById("startRecord");
 const stopButton = document.getElementById("stopRecord");
+const pauseButton = document.getElementById("pauseRecord");
 const historyButton = document.getElementById("historyButton");
 const recordingTimer = document.getElementById("recordingTimer");
 const timerText = recordingTimer.querySelector(".timer-text");
@@ -11,10 +12,14 @@ const notificationIcon = notification.querySelector(".notification-icon");
 const notificationClose = notification.querySelector(".notification-close");
 const statusDot = document.querySelector(".status-dot");
 const statusText = document.querySelector(".status-text");
+const jobStatus = document.getElementById("jobStatus");
+const jobStatusText = jobStatus.querySelector(".job-status-text");
 
 let notificationTimeout;
 let timerInterval = null;
 let recordingStartTime = null;
+let pausedAt = null; // Set while paused so the timer freezes
+let pausedDurationMs = 0; // Sum of completed pause spans
 
 function showNotification(message, type = "error", duration = 5000) {
   notificationText.textContent = message;
@@ -72,13 +77,20 @@ function stopTimer() {
     timerInterval = null;
   }
   recordingTimer.style.display = "none";
+  recordingTimer.classList.remove("paused");
   recordingStartTime = null;
+  pausedAt = null;
+  pausedDurationMs = 0;
 }
 
 function updateTimer() {
   if (!recordingStartTime) return;
 
-  const elapsed = Math.floor((Date.now() - recordingStartTime) / 1000);
+  const now = pausedAt || Date.now();
+  const elapsed = Math.max(
+    0,
+    Math.floor((now - recordingStartTime - pausedDurationMs) / 1000),
+  );
   const minutes = Math.floor(elapsed / 60);
   const seconds = elapsed % 60;
 
@@ -91,6 +103,29 @@ function getRecordingStartTime(callback) {
   });
 }
 
+function getPauseState(callback) {
+  chrome.storage.local.get(['recordingPausedAt', 'recordingPausedSpans'], (result) => {
+    const spans = result.recordingPausedSpans || [];
+    callback({
+      pausedAt: result.recordingPausedAt || null,
+      pausedDurationMs: spans.reduce((sum, span) => sum + (span.end - span.start), 0),
+    });
+  });
+}
+
+function setPausedUI(paused) {
+  const icon = pauseButton.querySelector("i");
+  const label = pauseButton.querySelector("span");
+  icon.className = paused ? "fas fa-play" : "fas fa-pause";
+  label.textContent = paused ? "Resume" : "Pause";
+  recordingTimer.classList.toggle("paused", paused);
+  if (paused) {
+    setStatus("paused", "Paused");
+  } else {
+    setStatus("recording", "Recording...");
+  }
+}
+
 function setRecordingStartTime(timestamp) {
   chrome.storage.local.set({ recordingStartTime: timestamp });
 }
@@ -125,16 +160,22 @@ async function checkRecordingState() {
     offscreenDocument.documentUrl.endsWith("#recording")
   ) {
     stopButton.style.display = "flex";
+    pauseButton.style.display = "flex";
     setTimeout(() => stopButton.classList.add("visible"), 10);
     setStatus("recording", "Recording...");
 
-    // Restore timer from stored start time
+    // Restore timer from stored start time and pause state
     getRecordingStartTime((startTime) => {
       if (startTime) {
-        recordingStartTime = startTime;
-        updateTimer();
-        timerInterval = setInterval(updateTimer, 1000);
-        recordingTimer.style.display = "flex";
+        getPauseState((pauseState) => {
+          recordingStartTime = startTime;
+          pausedAt = pauseState.pausedAt;
+          pausedDurationMs = pauseState.pausedDurationMs;
+          setPausedUI(Boolean(pausedAt));
+          updateTimer();
+          timerInterval = setInterval(updateTimer, 1000);
+          recordingTimer.style.display = "flex";
+        });
       }
     });
   } else {
@@ -188,8 +229,8 @@ startButton.addEventListener("click", async () => {
     if (!offscreenDocument) {
       await chrome.offscreen.createDocument({
         url: "offscreen.html",
-        reasons: ["USER_MEDIA"],
-        justification: "Recording from chrome.tabCapture API",
+        reasons: ["USER_MEDIA", "WORKERS"],
+        justification: "Recording from chrome.tabCapture API and running queued transcription jobs",
       });
     }
 
@@ -220,6 +261,8 @@ startButton.addEventListener("click", async () => {
     setTimeout(() => {
       startButton.style.display = "none";
       stopButton.style.display = "flex";
+      pauseButton.style.display = "flex";
+      setPausedUI(false);
       setTimeout(() => {
         stopButton.classList.add("visible");
         setStatus("recording", "Recording...");
@@ -241,10 +284,11 @@ stopButton.addEventListener("click", () => {
 
   // Stop timer and clear stored start time and active recording ID
   stopTimer();
-  chrome.storage.local.remove(['recordingStartTime', 'activeRecordingId']);
+  chrome.storage.local.remove(['recordingStartTime', 'activeRecordingId', 'recordingPausedAt', 'recordingPausedSpans']);
 
   setStatus("", "Saving...");
   stopButton.classList.remove("visible");
+  pauseButton.style.display = "none";
   setTimeout(() => {
     stopButton.style.display = "none";
     startButton.style.display = "flex";
@@ -255,6 +299,65 @@ stopButton.addEventListener("click", () => {
   }, 300);
 });
 
+pauseButton.addEventListener("click", () => {
+  if (!recordingStartTime) return;
+
+  if (pausedAt) {
+    chrome.runtime.sendMessage({
+      type: "resume-recording",
+      target: "offscreen",
+    });
+    pausedDurationMs += Date.now() - pausedAt;
+    pausedAt = null;
+    setPausedUI(false);
+  } else {
+    chrome.runtime.sendMessage({
+      type: "pause-recording",
+      target: "offscreen",
+    });
+    pausedAt = Date.now();
+    setPausedUI(true);
+  }
+  updateTimer();
+});
+
+// Background transcription and AI jobs, summarized by the job queue runner
+function renderJobStatus(status) {
+  const queued = status?.queued || 0;
+  if (!status?.running && queued === 0) {
+    jobStatus.style.display = "none";
+    return;
+  }
+
+  const parts = [];
+  if (status.running) {
+    const label =
+      status.running.type === "post-processing" ? "AI processing" : "Transcribing";
+    const progress = status.running.progress;
+    parts.push(
+      progress?.total > 0 && progress.current >= 0
+        ? `${label} (${progress.current + 1}/${progress.total})`
+        : `${label}...`
+    );
+  }
+  if (queued > 0) {
+    parts.push(`${queued} queued`);
+  }
+
+  jobStatusText.textContent = parts.join(" · ");
+  jobStatus.style.display = "flex";
+}
+
+chrome.storage.local.get(['job_queue_status'], (result) => {
+  renderJobStatus(result.job_queue_status);
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.job_queue_status) {
+    renderJobStatus(changes.job_queue_status.newValue);
+  }
+});
+
 historyButton.addEventListener("click", () => {
   chrome.tabs.create({ url: chrome.runtime.getURL("history.html") });
 });
@@ -273,17 +376,19 @@ chrome.runtime.onMessage.addListener((message) => {
         showNotification(message.error, "error");
         startButton.style.display = "flex";
         stopButton.style.display = "none";
+        pauseButton.style.display = "none";
         setStatus("", "Ready");
         stopTimer();
-        chrome.storage.local.remove(['recordingStartTime', 'activeRecordingId']);
+        chrome.storage.local.remove(['recordingStartTime', 'activeRecordingId', 'recordingPausedAt', 'recordingPausedSpans']);
         break;
       case "recording-stopped":
         startButton.style.display = "flex";
         stopButton.style.display = "none";
+        pauseButton.style.display = "none";
         setStatus("", "Ready");
         showNotification("Recording saved successfully!", "success", 3000);
         stopTimer();
-        chrome.storage.local.remove(['recordingStartTime', 'activeRecordingId']);
+        chrome.storage.local.remove(['recordingStartTime', 'activeRecordingId', 'recordingPausedAt', 'recordingPausedSpans']);
         break;
     }
   }
@@ -0,0 +1,97 @@
+// Base class for post-processing providers
+// A provider runs a filled-in prompt against a chat/text model and returns the output
+
+class BasePostProcessingProvider {
+  constructor() {
+    this.isReady = false;
+    this.model = null; // Per-prompt model override; falls back to the configured model
+  }
+
+  /**
+   * Initialize the provider
+   * @param {Object} [options]
+   * @param {string} [options.model] - Model to use instead of the configured default
+   * @param {Function} [options.onProgress] - Callback for progress updates
+   * @returns {Promise<boolean>} - True if initialized successfully
+   */
+  async initialize(options = {}) {
+    throw new Error('initialize() must be implemented by subclass');
+  }
+
+  /**
+   * Process a transcription with a system prompt
+   * @param {string} transcription - Transcription text
+   * @param {string} systemPrompt - Prompt, with {{TRANSCRIPTION}} placeholder or already filled in
+   * @param {Function} onProgress - Callback for progress updates
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request; it then rejects with an AbortError
+   * @param {Function} [options.onUsage] - Receives the request's token counts, for providers
+   *   that bill by token ({ model, promptTokens, audioTokens, outputTokens, retries })
+   * @param {Object} [options.responseSchema] - Output schema the answer must match, for
+   *   providers that support structured output; others ignore it
+   * @param {Function} [options.onStructuredOutput] - Receives the parsed, validated object
+   *   when the provider honoured responseSchema
+   * @returns {Promise<string>} - The processed text
+   */
+  async processTranscription(transcription, systemPrompt, onProgress, options = {}) {
+    throw new Error('processTranscription() must be implemented by subclass');
+  }
+
+  /**
+   * Get provider information
+   * @returns {Object} - Provider metadata
+   */
+  getInfo() {
+    return {
+      name: 'Unknown',
+      requiresApiKey: false,
+      local: false,
+      model: this.model
+    };
+  }
+
+  async _storageGet(keys) {
+    if (chrome?.storage?.local) {
+      return chrome.storage.local.get(keys);
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'storage-get',
+      target: 'service-worker-storage',
+      keys
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'storage-get bridge failed');
+    }
+
+    return response.data || {};
+  }
+
+  /**
+   * Replace the {{TRANSCRIPTION}} placeholder in a prompt
+   * @private
+   */
+  _fillPrompt(systemPrompt, transcription) {
+    return systemPrompt.replace(/\{\{TRANSCRIPTION\}\}/g, transcription);
+  }
+
+  /**
+   * Strip markdown code fences (```json ... ```) around model output
+   * @private
+   */
+  _stripCodeFences(text) {
+    if (!text) return text;
+
+    return text
+      .trim()
+      .replace(/^```[a-zA-Z]*\n?/, '')
+      .replace(/\n?```$/, '')
+      .trim();
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BasePostProcessingProvider = BasePostProcessingProvider;
+}
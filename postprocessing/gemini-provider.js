@@ -0,0 +1,43 @@
+// Post-processing provider backed by Google Gemini generateContent
+// Reuses the Gemini transcription service for the API key and request handling
+
+class GeminiPostProcessingProvider extends BasePostProcessingProvider {
+  constructor() {
+    super();
+    this.service = new GeminiTranscriptionService();
+  }
+
+  getInfo() {
+    return {
+      name: 'Google Gemini',
+      requiresApiKey: true,
+      local: false,
+      model: this.model || this.service.model
+    };
+  }
+
+  async initialize({ model, onProgress } = {}) {
+    await this.service.initialize(onProgress);
+
+    // The service loads the transcription model; a per-prompt model wins
+    if (model) {
+      this.service.model = model;
+    }
+    this.model = this.service.model;
+    this.isReady = true;
+    return true;
+  }
+
+  async processTranscription(transcription, systemPrompt, onProgress, options = {}) {
+    if (!this.isReady) {
+      await this.initialize({ model: this.model, onProgress });
+    }
+
+    return this.service.processTranscription(transcription, systemPrompt, onProgress, options);
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.GeminiPostProcessingProvider = GeminiPostProcessingProvider;
+}
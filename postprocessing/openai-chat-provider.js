@@ -0,0 +1,115 @@
+// Post-processing provider for OpenAI-compatible chat servers
+// Works with Ollama, llama.cpp server, vLLM or any server exposing /v1/chat/completions
+
+const DEFAULT_LLM_BASE_URL = 'http://localhost:11434/v1'; // Ollama
+
+class OpenAIChatPostProcessingProvider extends BasePostProcessingProvider {
+  constructor() {
+    super();
+    this.apiKey = null; // Optional - local servers usually run without one
+    this.baseUrl = DEFAULT_LLM_BASE_URL;
+  }
+
+  getInfo() {
+    return {
+      name: 'OpenAI-compatible chat (local LLM)',
+      requiresApiKey: false,
+      local: true,
+      model: this.model
+    };
+  }
+
+  async initialize({ model, onProgress } = {}) {
+    try {
+      if (onProgress) onProgress('Checking LLM server configuration...');
+
+      const result = await this._storageGet(['llm_api_key', 'llm_base_url', 'llm_model']);
+      this.apiKey = result.llm_api_key || null;
+      this.baseUrl = OpenAIChatPostProcessingProvider.normalizeBaseUrl(
+        result.llm_base_url || DEFAULT_LLM_BASE_URL
+      );
+      this.model = model || result.llm_model || null;
+
+      if (!this.model) {
+        throw new Error('No model configured. Set one in Settings > Post-Processing.');
+      }
+
+      this.isReady = true;
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize LLM provider:', error);
+      throw new Error('LLM provider initialization failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Strip trailing slashes so endpoints can be appended ("http://host:11434/v1/")
+   * @param {string} baseUrl - Base URL including the API version path
+   * @returns {string}
+   */
+  static normalizeBaseUrl(baseUrl) {
+    return String(baseUrl || '')
+      .trim()
+      .replace(/\/+$/, '');
+  }
+
+  async processTranscription(transcription, systemPrompt, onProgress, { signal = null } = {}) {
+    try {
+      if (!this.isReady) {
+        await this.initialize({ model: this.model, onProgress });
+      }
+
+      if (onProgress) onProgress(`Processing transcription with ${this.model}...`);
+
+      // Prompts embed the transcription, so the whole thing goes in as one user turn
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
+
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          messages: [
+            {
+              role: 'user',
+              content: this._fillPrompt(systemPrompt, transcription)
+            }
+          ],
+          temperature: 0.3,
+          stream: false
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(
+          error.error?.message || error.error || `API request failed: ${response.status}`
+        );
+      }
+
+      if (onProgress) onProgress('Finalizing processed result...');
+
+      const data = await response.json();
+      const processedText = data.choices?.[0]?.message?.content;
+
+      if (!processedText || processedText.trim() === '') {
+        throw new Error('No processed output received');
+      }
+
+      return this._stripCodeFences(processedText);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error('LLM processing error:', error);
+      throw new Error('Processing failed: ' + error.message);
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.OpenAIChatPostProcessingProvider = OpenAIChatPostProcessingProvider;
+}
@@ -0,0 +1,129 @@
+// Factory for creating post-processing provider instances
+// Each prompt may pick its own provider and model; otherwise the configured default is used
+
+class PostProcessingProviderFactory {
+  static async _storageGet(keys) {
+    if (chrome?.storage?.local) {
+      return chrome.storage.local.get(keys);
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'storage-get',
+      target: 'service-worker-storage',
+      keys
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'storage-get bridge failed');
+    }
+
+    return response.data || {};
+  }
+
+  static async _storageSet(items) {
+    if (chrome?.storage?.local) {
+      return chrome.storage.local.set(items);
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'storage-set',
+      target: 'service-worker-storage',
+      items
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'storage-set bridge failed');
+    }
+  }
+
+  /**
+   * Available provider types
+   */
+  static get PROVIDERS() {
+    return {
+      GEMINI: 'gemini',
+      OPENAI_CHAT: 'openai-chat' // Any OpenAI-compatible /v1/chat/completions server
+    };
+  }
+
+  /**
+   * Create a post-processing provider instance
+   * @param {string} type - Provider type from PROVIDERS
+   * @returns {BasePostProcessingProvider} - Provider instance
+   */
+  static create(type = PostProcessingProviderFactory.PROVIDERS.GEMINI) {
+    switch (type) {
+      case PostProcessingProviderFactory.PROVIDERS.GEMINI:
+        return new GeminiPostProcessingProvider();
+
+      case PostProcessingProviderFactory.PROVIDERS.OPENAI_CHAT:
+        return new OpenAIChatPostProcessingProvider();
+
+      default:
+        throw new Error(`Unknown post-processing provider type: ${type}`);
+    }
+  }
+
+  /**
+   * Create and initialize the provider a prompt asks for
+   * @param {Object} prompt - Prompt with optional provider and model fields
+   * @param {Function} [onProgress] - Callback for progress updates
+   * @returns {Promise<BasePostProcessingProvider>}
+   */
+  static async createForPrompt(prompt, onProgress) {
+    const type = prompt?.provider || await PostProcessingProviderFactory.getConfiguredProvider();
+    const provider = PostProcessingProviderFactory.create(type);
+    await provider.initialize({ model: prompt?.model || undefined, onProgress });
+    return provider;
+  }
+
+  /**
+   * Get the default provider type
+   * @returns {string} - Default provider type
+   */
+  static getDefault() {
+    return PostProcessingProviderFactory.PROVIDERS.GEMINI;
+  }
+
+  /**
+   * Get the display name of a provider type
+   * @param {string} type - Provider type from PROVIDERS
+   * @returns {string}
+   */
+  static getProviderName(type) {
+    switch (type) {
+      case PostProcessingProviderFactory.PROVIDERS.GEMINI:
+        return 'Google Gemini';
+      case PostProcessingProviderFactory.PROVIDERS.OPENAI_CHAT:
+        return 'Local LLM';
+      default:
+        return type;
+    }
+  }
+
+  /**
+   * Get the configured default provider type from storage
+   * @returns {Promise<string>} - Configured provider type
+   */
+  static async getConfiguredProvider() {
+    const result = await PostProcessingProviderFactory._storageGet('postprocessing_provider_type');
+    return result.postprocessing_provider_type || PostProcessingProviderFactory.getDefault();
+  }
+
+  /**
+   * Set the default provider type
+   * @param {string} type - Provider type from PROVIDERS
+   * @returns {Promise<void>}
+   */
+  static async setConfiguredProvider(type) {
+    if (!Object.values(PostProcessingProviderFactory.PROVIDERS).includes(type)) {
+      throw new Error(`Invalid post-processing provider type: ${type}`);
+    }
+    await PostProcessingProviderFactory._storageSet({ postprocessing_provider_type: type });
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.PostProcessingProviderFactory = PostProcessingProviderFactory;
+}
@@ -1,3 +1,6 @@
+// Monthly usage totals are kept here (addMonthlyUsage), so every context adds to them through one writer
+importScripts('utils/usage.js');
+
 // Track the currently recording tab
 let recordingTabId = null;
 
@@ -5,14 +8,62 @@ let recordingTabId = null;
 chrome.runtime.onStartup.addListener(async () => {
   console.log('Service worker started, checking for incomplete recordings...');
   await checkAndFinalizeIncompleteRecordings();
+  await resumePendingJobs();
 });
 
 // Also check when extension is installed or updated
 chrome.runtime.onInstalled.addListener(async () => {
   console.log('Extension installed/updated, checking for incomplete recordings...');
   await checkAndFinalizeIncompleteRecordings();
+  await resumePendingJobs();
 });
 
+// Create the offscreen document unless it already exists
+// Returns true when it was just created (it starts its job queue runner on load)
+async function ensureOffscreenDocument(justification) {
+  const contexts = await chrome.runtime.getContexts({});
+  const offscreenDocument = contexts.find(
+    (c) => c.contextType === "OFFSCREEN_DOCUMENT"
+  );
+
+  if (offscreenDocument) {
+    return false;
+  }
+
+  console.log(`Creating offscreen document: ${justification}`);
+  await chrome.offscreen.createDocument({
+    url: "offscreen.html",
+    // One document does both the recording and the queued transcription jobs, so it
+    // declares both reasons whichever caller creates it
+    reasons: ["USER_MEDIA", "WORKERS"],
+    justification,
+  });
+  return true;
+}
+
+// Start (or nudge) the job queue runner in the offscreen document
+async function wakeJobQueue() {
+  try {
+    const created = await ensureOffscreenDocument('Running queued transcription jobs');
+    if (!created) {
+      chrome.runtime.sendMessage({ type: 'run-job-queue', target: 'offscreen' }).catch((error) => {
+        console.error('Error waking job queue:', error);
+      });
+    }
+  } catch (error) {
+    console.error('Error starting job queue runner:', error);
+  }
+}
+
+// Jobs queued or running when the browser closed continue after a restart
+async function resumePendingJobs() {
+  const { job_queue_status: status } = await chrome.storage.local.get('job_queue_status');
+  if (status && (status.running || status.queued > 0)) {
+    console.log('Resuming background jobs:', status);
+    await wakeJobQueue();
+  }
+}
+
 // Storage bridge for contexts that don't expose chrome.storage (e.g. offscreen)
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   if (message?.target !== 'service-worker-storage') {
@@ -37,6 +88,11 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           sendResponse({ success: true });
           break;
         }
+        case 'usage-add-monthly': {
+          await addMonthlyUsage(message.entry);
+          sendResponse({ success: true });
+          break;
+        }
         default:
           sendResponse({ success: false, error: 'Unknown storage bridge operation' });
       }
@@ -52,28 +108,17 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 // Helper function to check and finalize incomplete recordings
 async function checkAndFinalizeIncompleteRecordings() {
   try {
-    const { activeRecordingId, recordingStartTime } = await chrome.storage.local.get([
+    const { activeRecordingId, recordingStartTime, recordingPausedSpans } = await chrome.storage.local.get([
       'activeRecordingId',
-      'recordingStartTime'
+      'recordingStartTime',
+      'recordingPausedSpans'
     ]);
 
     if (activeRecordingId && recordingStartTime) {
       console.log('Found incomplete recording:', activeRecordingId);
 
       // Ensure offscreen document exists before sending message
-      const contexts = await chrome.runtime.getContexts({});
-      const offscreenDocument = contexts.find(
-        (c) => c.contextType === "OFFSCREEN_DOCUMENT"
-      );
-
-      if (!offscreenDocument) {
-        console.log('Creating offscreen document to finalize recording...');
-        await chrome.offscreen.createDocument({
-          url: "offscreen.html",
-          reasons: ["USER_MEDIA"],
-          justification: "Finalizing incomplete recording",
-        });
-      }
+      await ensureOffscreenDocument("Finalizing incomplete recording");
 
       // Wait a bit for offscreen document to initialize
       await new Promise(resolve => setTimeout(resolve, 500));
@@ -84,7 +129,8 @@ async function checkAndFinalizeIncompleteRecordings() {
         target: 'offscreen',
         data: {
           recordingId: activeRecordingId,
-          recordingStartTime: recordingStartTime
+          recordingStartTime: recordingStartTime,
+          pausedSpans: recordingPausedSpans || []
         }
       }, (response) => {
         if (chrome.runtime.lastError) {
@@ -95,7 +141,7 @@ async function checkAndFinalizeIncompleteRecordings() {
       });
 
       // Clear the recording state
-      await chrome.storage.local.remove(['activeRecordingId', 'recordingStartTime']);
+      await chrome.storage.local.remove(['activeRecordingId', 'recordingStartTime', 'recordingPausedAt', 'recordingPausedSpans']);
 
       // Reset icon to not-recording state
       chrome.action.setIcon({
@@ -244,20 +290,36 @@ chrome.runtime.onMessage.addListener(async (message) => {
         console.log('Setting recording state:', message.data);
         chrome.storage.local.set({
           recordingStartTime: message.data.recordingStartTime,
-          activeRecordingId: message.data.activeRecordingId
+          activeRecordingId: message.data.activeRecordingId,
+          recordingPausedAt: null,
+          recordingPausedSpans: []
         }, () => {
           console.log('Recording state saved to chrome.storage');
         });
         break;
 
+      case "set-pause-state":
+        // Store pause state so the popup timer can freeze and recovery keeps paused spans
+        console.log('Setting pause state:', message.data);
+        chrome.storage.local.set({
+          recordingPausedAt: message.data.pausedAt || null,
+          recordingPausedSpans: message.data.pausedSpans || []
+        });
+        break;
+
       case "clear-recording-state":
         // Clear recording state from chrome.storage
         console.log('Clearing recording state');
-        chrome.storage.local.remove(['activeRecordingId', 'recordingStartTime'], () => {
+        chrome.storage.local.remove(['activeRecordingId', 'recordingStartTime', 'recordingPausedAt', 'recordingPausedSpans'], () => {
           console.log('Recording state cleared from chrome.storage');
         });
         break;
 
+      case "job-queue-updated":
+        // A page queued or cancelled a job; the offscreen document runs them
+        await wakeJobQueue();
+        break;
+
       case "finalize-incomplete-recording":
         // Forward to offscreen document to handle recovery
         console.log('Finalizing incomplete recording:', message.data.recordingId);
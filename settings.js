@@ -43,13 +43,48 @@ const elements = {
   apiKeyStatus: document.getElementById('apiKeyStatus'),
 
   // Model
+  transcriptionService: document.getElementById('transcriptionService'),
   modelSelect: document.getElementById('modelSelect'),
   modelDescription: document.getElementById('modelDescription'),
 
+  // Whisper server
+  whisperBaseUrl: document.getElementById('whisperBaseUrl'),
+  whisperModel: document.getElementById('whisperModel'),
+  whisperApiKey: document.getElementById('whisperApiKey'),
+  toggleWhisperApiKey: document.getElementById('toggleWhisperApiKey'),
+  saveWhisperApiKey: document.getElementById('saveWhisperApiKey'),
+  clearWhisperApiKey: document.getElementById('clearWhisperApiKey'),
+  testWhisperApiKey: document.getElementById('testWhisperApiKey'),
+  whisperApiKeyStatus: document.getElementById('whisperApiKeyStatus'),
+
+  // Post-processing
+  postProcessingProvider: document.getElementById('postProcessingProvider'),
+  llmBaseUrl: document.getElementById('llmBaseUrl'),
+  llmModel: document.getElementById('llmModel'),
+  llmApiKey: document.getElementById('llmApiKey'),
+  toggleLlmApiKey: document.getElementById('toggleLlmApiKey'),
+  saveLlmApiKey: document.getElementById('saveLlmApiKey'),
+  clearLlmApiKey: document.getElementById('clearLlmApiKey'),
+  testLlmApiKey: document.getElementById('testLlmApiKey'),
+  llmApiKeyStatus: document.getElementById('llmApiKeyStatus'),
+
   // Transcription
   autoTranscribe: document.getElementById('autoTranscribe'),
   transcriptionChunkIntervalSeconds: document.getElementById('transcriptionChunkIntervalSeconds'),
+  transcriptionOverlapSeconds: document.getElementById('transcriptionOverlapSeconds'),
+  transcriptionSilenceCut: document.getElementById('transcriptionSilenceCut'),
+  transcriptionContextCarryOver: document.getElementById('transcriptionContextCarryOver'),
+  transcriptionLanguageMode: document.getElementById('transcriptionLanguageMode'),
+  transcriptionLanguage: document.getElementById('transcriptionLanguage'),
+  transcriptionLanguages: document.getElementById('transcriptionLanguages'),
+  transcriptionLanguagesHint: document.getElementById('transcriptionLanguagesHint'),
+  transcriptionVerbatim: document.getElementById('transcriptionVerbatim'),
   geminiTranscriptionMaxOutputTokens: document.getElementById('geminiTranscriptionMaxOutputTokens'),
+  geminiDiarization: document.getElementById('geminiDiarization'),
+  geminiRequestsPerMinute: document.getElementById('geminiRequestsPerMinute'),
+  geminiConcurrency: document.getElementById('geminiConcurrency'),
+  subtitleMaxLineLength: document.getElementById('subtitleMaxLineLength'),
+  subtitleMaxLines: document.getElementById('subtitleMaxLines'),
 
   // Audio
   tabGain: document.getElementById('tabGain'),
@@ -57,6 +92,8 @@ const elements = {
   micGain: document.getElementById('micGain'),
   micGainValue: document.getElementById('micGainValue'),
   enableMicrophoneCapture: document.getElementById('enableMicrophoneCapture'),
+  dualTrackRecording: document.getElementById('dualTrackRecording'),
+  dualTrackExportMode: document.getElementById('dualTrackExportMode'),
   audioQuality: document.getElementById('audioQuality'),
   qualityDescription: document.getElementById('qualityDescription'),
 
@@ -64,6 +101,11 @@ const elements = {
   maxRecordings: document.getElementById('maxRecordings'),
   clearAllData: document.getElementById('clearAllData'),
 
+  // Usage & costs
+  monthlyBudgetUsd: document.getElementById('monthlyBudgetUsd'),
+  usageMonthly: document.getElementById('usageMonthly'),
+  usageRecordings: document.getElementById('usageRecordings'),
+
   // UI
   showNotifications: document.getElementById('showNotifications'),
 
@@ -80,6 +122,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   await loadSettings();
   setupEventListeners();
   updateModelDescription();
+  await loadUsageReport();
 });
 
 // Load settings from storage
@@ -101,19 +144,57 @@ async function loadSettings() {
       elements.modelSelect.value = modelResult.gemini_model;
     }
 
+    // Load transcription service and Whisper server settings
+    const serviceResult = await chrome.storage.local.get([
+      'transcription_service_type',
+      'whisper_base_url',
+      'whisper_model',
+      'whisper_api_key'
+    ]);
+    elements.transcriptionService.value = serviceResult.transcription_service_type || 'gemini';
+    elements.whisperBaseUrl.value = serviceResult.whisper_base_url || '';
+    elements.whisperModel.value = serviceResult.whisper_model || '';
+    elements.whisperApiKey.value = serviceResult.whisper_api_key || '';
+
+    // Load post-processing provider and local LLM settings
+    const llmResult = await chrome.storage.local.get([
+      'postprocessing_provider_type',
+      'llm_base_url',
+      'llm_model',
+      'llm_api_key'
+    ]);
+    elements.postProcessingProvider.value = llmResult.postprocessing_provider_type || 'gemini';
+    elements.llmBaseUrl.value = llmResult.llm_base_url || '';
+    elements.llmModel.value = llmResult.llm_model || '';
+    elements.llmApiKey.value = llmResult.llm_api_key || '';
+
     // Apply settings to UI
     const transcriptionChunkIntervalMs = Number(currentConfig.transcriptionChunkIntervalMs) || 60000;
     elements.autoTranscribe.checked = currentConfig.autoTranscribe || false;
     elements.transcriptionChunkIntervalSeconds.value = Math.max(15, Math.round(transcriptionChunkIntervalMs / 1000));
+    const transcriptionOverlapMs = Number(currentConfig.transcriptionOverlapMs);
+    elements.transcriptionOverlapSeconds.value = Number.isFinite(transcriptionOverlapMs) ? transcriptionOverlapMs / 1000 : 2;
+    elements.transcriptionSilenceCut.checked = currentConfig.transcriptionSilenceCut !== false;
+    elements.transcriptionContextCarryOver.checked = currentConfig.transcriptionContextCarryOver !== false;
+    loadTranscriptionLanguageSettings(currentConfig);
+    elements.transcriptionVerbatim.checked = currentConfig.transcriptionVerbatim !== false;
     elements.geminiTranscriptionMaxOutputTokens.value = Number(currentConfig.geminiTranscriptionMaxOutputTokens) || 16384;
+    elements.geminiDiarization.checked = currentConfig.geminiDiarization === true;
+    elements.geminiRequestsPerMinute.value = Number(currentConfig.geminiRequestsPerMinute) || 15;
+    elements.geminiConcurrency.value = Number(currentConfig.geminiConcurrency) || 1;
+    elements.subtitleMaxLineLength.value = Number(currentConfig.subtitleMaxLineLength) || 42;
+    elements.subtitleMaxLines.value = Number(currentConfig.subtitleMaxLines) || 2;
     elements.tabGain.value = currentConfig.tabGain || 1.0;
     elements.tabGainValue.textContent = `${currentConfig.tabGain || 1.0}x`;
     elements.micGain.value = currentConfig.micGain || 1.5;
     elements.micGainValue.textContent = `${currentConfig.micGain || 1.5}x`;
     elements.enableMicrophoneCapture.checked = currentConfig.enableMicrophoneCapture !== false;
+    elements.dualTrackRecording.checked = currentConfig.dualTrackRecording === true;
+    elements.dualTrackExportMode.value = currentConfig.dualTrackExportMode || 'stereo';
     elements.audioQuality.value = currentConfig.audioQuality || 48000;
     updateQualityDescription();
     elements.maxRecordings.value = currentConfig.maxRecordings || 50;
+    elements.monthlyBudgetUsd.value = Number(currentConfig.monthlyBudgetUsd) || 0;
     elements.showNotifications.checked = currentConfig.showNotifications !== false;
 
   } catch (error) {
@@ -135,6 +216,28 @@ function setupEventListeners() {
   elements.clearApiKey.addEventListener('click', clearApiKey);
   elements.testApiKey.addEventListener('click', testApiKey);
 
+  // Whisper server
+  elements.toggleWhisperApiKey.addEventListener('click', () =>
+    togglePasswordVisibility(elements.whisperApiKey, elements.toggleWhisperApiKey)
+  );
+  elements.saveWhisperApiKey.addEventListener('click', saveWhisperApiKey);
+  elements.clearWhisperApiKey.addEventListener('click', clearWhisperApiKey);
+  elements.testWhisperApiKey.addEventListener('click', testWhisperApiKey);
+  elements.transcriptionService.addEventListener('change', () => unsavedChanges = true);
+  elements.whisperBaseUrl.addEventListener('change', () => unsavedChanges = true);
+  elements.whisperModel.addEventListener('change', () => unsavedChanges = true);
+
+  // Post-processing
+  elements.toggleLlmApiKey.addEventListener('click', () =>
+    togglePasswordVisibility(elements.llmApiKey, elements.toggleLlmApiKey)
+  );
+  elements.saveLlmApiKey.addEventListener('click', saveLlmApiKey);
+  elements.clearLlmApiKey.addEventListener('click', clearLlmApiKey);
+  elements.testLlmApiKey.addEventListener('click', testLlmApiKey);
+  elements.postProcessingProvider.addEventListener('change', () => unsavedChanges = true);
+  elements.llmBaseUrl.addEventListener('change', () => unsavedChanges = true);
+  elements.llmModel.addEventListener('change', () => unsavedChanges = true);
+
   // Model selection
   elements.modelSelect.addEventListener('change', () => {
     updateModelDescription();
@@ -160,9 +263,27 @@ function setupEventListeners() {
   // Other inputs
   elements.autoTranscribe.addEventListener('change', () => unsavedChanges = true);
   elements.transcriptionChunkIntervalSeconds.addEventListener('change', () => unsavedChanges = true);
+  elements.transcriptionOverlapSeconds.addEventListener('change', () => unsavedChanges = true);
+  elements.transcriptionSilenceCut.addEventListener('change', () => unsavedChanges = true);
+  elements.transcriptionContextCarryOver.addEventListener('change', () => unsavedChanges = true);
+  elements.transcriptionLanguageMode.addEventListener('change', () => {
+    updateTranscriptionLanguageVisibility();
+    unsavedChanges = true;
+  });
+  elements.transcriptionLanguage.addEventListener('change', () => unsavedChanges = true);
+  elements.transcriptionLanguages.addEventListener('change', () => unsavedChanges = true);
+  elements.transcriptionVerbatim.addEventListener('change', () => unsavedChanges = true);
   elements.geminiTranscriptionMaxOutputTokens.addEventListener('change', () => unsavedChanges = true);
+  elements.geminiDiarization.addEventListener('change', () => unsavedChanges = true);
+  elements.geminiRequestsPerMinute.addEventListener('change', () => unsavedChanges = true);
+  elements.geminiConcurrency.addEventListener('change', () => unsavedChanges = true);
+  elements.subtitleMaxLineLength.addEventListener('change', () => unsavedChanges = true);
+  elements.subtitleMaxLines.addEventListener('change', () => unsavedChanges = true);
   elements.enableMicrophoneCapture.addEventListener('change', () => unsavedChanges = true);
+  elements.dualTrackRecording.addEventListener('change', () => unsavedChanges = true);
+  elements.dualTrackExportMode.addEventListener('change', () => unsavedChanges = true);
   elements.maxRecordings.addEventListener('change', () => unsavedChanges = true);
+  elements.monthlyBudgetUsd.addEventListener('change', () => unsavedChanges = true);
   elements.showNotifications.addEventListener('change', () => unsavedChanges = true);
 
   // Actions
@@ -184,8 +305,11 @@ function setupEventListeners() {
 
 // Toggle API key visibility
 function toggleApiKeyVisibility() {
-  const input = elements.apiKey;
-  const icon = elements.toggleApiKey.querySelector('i');
+  togglePasswordVisibility(elements.apiKey, elements.toggleApiKey);
+}
+
+function togglePasswordVisibility(input, button) {
+  const icon = button.querySelector('i');
 
   if (input.type === 'password') {
     input.type = 'text';
@@ -251,8 +375,9 @@ async function testApiKey() {
   try {
     // Test with a simple request
     const model = elements.modelSelect.value;
+    const apiBaseUrl = window.RECORDING_CONSTANTS?.GEMINI_API_BASE_URL || 'https://generativelanguage.googleapis.com';
     const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+      `${apiBaseUrl}/v1beta/models/${model}:generateContent?key=${apiKey}`,
       {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -276,6 +401,170 @@ async function testApiKey() {
   }
 }
 
+// Whisper base URL as typed, or the OpenAI default
+function getWhisperBaseUrl() {
+  const baseUrl = elements.whisperBaseUrl.value.trim() || 'https://api.openai.com/v1';
+  return baseUrl.replace(/\/+$/, '');
+}
+
+// Whisper and LLM servers are user-configured, so host access is requested per origin.
+// Must run before any other await so the click still counts as a user gesture,
+// which is also why several servers are requested in a single call.
+async function requestHostPermission(...baseUrls) {
+  const origins = baseUrls.map(baseUrl => {
+    try {
+      return new URL(baseUrl).origin;
+    } catch (error) {
+      throw new Error(`Invalid base URL: ${baseUrl}`);
+    }
+  });
+
+  const granted = await chrome.permissions.request({
+    origins: [...new Set(origins)].map(origin => `${origin}/*`)
+  });
+  if (!granted) {
+    throw new Error(`Access to ${origins.join(', ')} was not granted`);
+  }
+}
+
+// Save Whisper API key
+async function saveWhisperApiKey() {
+  const apiKey = elements.whisperApiKey.value.trim();
+
+  if (!apiKey) {
+    showStatus('error', 'Please enter an API key', elements.whisperApiKeyStatus);
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({ whisper_api_key: apiKey });
+    showStatus('success', 'API key saved successfully!', elements.whisperApiKeyStatus);
+  } catch (error) {
+    console.error('Failed to save Whisper API key:', error);
+    showStatus('error', 'Failed to save API key', elements.whisperApiKeyStatus);
+  }
+}
+
+// Clear Whisper API key
+async function clearWhisperApiKey() {
+  if (!confirm('Are you sure you want to clear your Whisper API key?')) {
+    return;
+  }
+
+  try {
+    await chrome.storage.local.remove('whisper_api_key');
+    elements.whisperApiKey.value = '';
+    showStatus('success', 'API key cleared', elements.whisperApiKeyStatus);
+  } catch (error) {
+    console.error('Failed to clear Whisper API key:', error);
+    showStatus('error', 'Failed to clear API key', elements.whisperApiKeyStatus);
+  }
+}
+
+// Test Whisper server connection and API key
+async function testWhisperApiKey() {
+  const baseUrl = getWhisperBaseUrl();
+  const apiKey = elements.whisperApiKey.value.trim();
+
+  try {
+    await requestHostPermission(baseUrl);
+  } catch (error) {
+    showStatus('error', error.message, elements.whisperApiKeyStatus);
+    return;
+  }
+
+  showStatus('info', 'Testing connection...', elements.whisperApiKeyStatus);
+
+  try {
+    // Listing models is cheap and supported by OpenAI and most self-hosted servers
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const response = await fetch(`${baseUrl}/models`, { headers });
+
+    if (response.ok) {
+      showStatus('success', 'Whisper server reachable! ✓', elements.whisperApiKeyStatus);
+    } else {
+      const error = await response.json().catch(() => ({}));
+      showStatus('error', `Connection test failed: ${error.error?.message || response.statusText || response.status}`, elements.whisperApiKeyStatus);
+    }
+  } catch (error) {
+    console.error('Whisper test error:', error);
+    showStatus('error', 'Failed to reach Whisper server: ' + error.message, elements.whisperApiKeyStatus);
+  }
+}
+
+// Local LLM base URL as typed, or the Ollama default
+function getLlmBaseUrl() {
+  const baseUrl = elements.llmBaseUrl.value.trim() || 'http://localhost:11434/v1';
+  return baseUrl.replace(/\/+$/, '');
+}
+
+// Save local LLM API key
+async function saveLlmApiKey() {
+  const apiKey = elements.llmApiKey.value.trim();
+
+  if (!apiKey) {
+    showStatus('error', 'Please enter an API key', elements.llmApiKeyStatus);
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({ llm_api_key: apiKey });
+    showStatus('success', 'API key saved successfully!', elements.llmApiKeyStatus);
+  } catch (error) {
+    console.error('Failed to save LLM API key:', error);
+    showStatus('error', 'Failed to save API key', elements.llmApiKeyStatus);
+  }
+}
+
+// Clear local LLM API key
+async function clearLlmApiKey() {
+  if (!confirm('Are you sure you want to clear your local LLM API key?')) {
+    return;
+  }
+
+  try {
+    await chrome.storage.local.remove('llm_api_key');
+    elements.llmApiKey.value = '';
+    showStatus('success', 'API key cleared', elements.llmApiKeyStatus);
+  } catch (error) {
+    console.error('Failed to clear LLM API key:', error);
+    showStatus('error', 'Failed to clear API key', elements.llmApiKeyStatus);
+  }
+}
+
+// Test local LLM server connection and API key
+async function testLlmApiKey() {
+  const baseUrl = getLlmBaseUrl();
+  const apiKey = elements.llmApiKey.value.trim();
+
+  try {
+    await requestHostPermission(baseUrl);
+  } catch (error) {
+    showStatus('error', error.message, elements.llmApiKeyStatus);
+    return;
+  }
+
+  showStatus('info', 'Testing connection...', elements.llmApiKeyStatus);
+
+  try {
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const response = await fetch(`${baseUrl}/models`, { headers });
+
+    if (response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const models = (data.data || []).map(model => model.id).filter(Boolean);
+      const modelList = models.length > 0 ? ` Models: ${models.slice(0, 5).join(', ')}` : '';
+      showStatus('success', `LLM server reachable! ✓${modelList}`, elements.llmApiKeyStatus);
+    } else {
+      const error = await response.json().catch(() => ({}));
+      showStatus('error', `Connection test failed: ${error.error?.message || response.statusText || response.status}`, elements.llmApiKeyStatus);
+    }
+  } catch (error) {
+    console.error('LLM test error:', error);
+    showStatus('error', 'Failed to reach LLM server: ' + error.message, elements.llmApiKeyStatus);
+  }
+}
+
 // Update model description
 function updateModelDescription() {
   const selectedModel = elements.modelSelect.value;
@@ -307,6 +596,19 @@ function updateQualityDescription() {
 // Save all settings
 async function saveAllSettings() {
   try {
+    const transcriptionService = elements.transcriptionService.value;
+    const postProcessingProvider = elements.postProcessingProvider.value;
+    const hostPermissionUrls = [];
+    if (transcriptionService === 'whisper') {
+      hostPermissionUrls.push(getWhisperBaseUrl());
+    }
+    if (postProcessingProvider === 'openai-chat' || elements.llmBaseUrl.value.trim()) {
+      hostPermissionUrls.push(getLlmBaseUrl());
+    }
+    if (hostPermissionUrls.length > 0) {
+      await requestHostPermission(...hostPermissionUrls);
+    }
+
     const transcriptionChunkIntervalSeconds = clampInteger(
       parseInt(elements.transcriptionChunkIntervalSeconds.value, 10),
       15,
@@ -320,24 +622,96 @@ async function saveAllSettings() {
       16384
     );
 
+    const geminiRequestsPerMinute = clampInteger(
+      parseInt(elements.geminiRequestsPerMinute.value, 10),
+      1,
+      10000,
+      15
+    );
+    const geminiConcurrency = clampInteger(
+      parseInt(elements.geminiConcurrency.value, 10),
+      1,
+      8,
+      1
+    );
+
+    // Whole cents; anything invalid or negative turns the budget off
+    const monthlyBudgetUsd = Math.max(
+      0,
+      Math.round((parseFloat(elements.monthlyBudgetUsd.value) || 0) * 100) / 100
+    );
+    elements.monthlyBudgetUsd.value = monthlyBudgetUsd;
+
     elements.transcriptionChunkIntervalSeconds.value = transcriptionChunkIntervalSeconds;
+    // Half-second steps, so clamp in milliseconds rather than whole seconds
+    const transcriptionOverlapMs = clampInteger(
+      Math.round(parseFloat(elements.transcriptionOverlapSeconds.value) * 1000),
+      0,
+      10000,
+      2000
+    );
+    elements.transcriptionOverlapSeconds.value = transcriptionOverlapMs / 1000;
+    const subtitleMaxLineLength = clampInteger(
+      parseInt(elements.subtitleMaxLineLength.value, 10),
+      20,
+      80,
+      42
+    );
+    const subtitleMaxLines = clampInteger(
+      parseInt(elements.subtitleMaxLines.value, 10),
+      1,
+      4,
+      2
+    );
+
     elements.geminiTranscriptionMaxOutputTokens.value = geminiTranscriptionMaxOutputTokens;
+    elements.geminiRequestsPerMinute.value = geminiRequestsPerMinute;
+    elements.geminiConcurrency.value = geminiConcurrency;
+    elements.subtitleMaxLineLength.value = subtitleMaxLineLength;
+    elements.subtitleMaxLines.value = subtitleMaxLines;
 
     // Save transcription model
     await chrome.storage.local.set({
       gemini_model: elements.modelSelect.value
     });
 
+    // Save transcription service and Whisper server settings
+    await TranscriptionServiceFactory.setConfiguredService(transcriptionService);
+    await chrome.storage.local.set({
+      whisper_base_url: elements.whisperBaseUrl.value.trim(),
+      whisper_model: elements.whisperModel.value.trim()
+    });
+
+    // Save post-processing provider and local LLM settings
+    await PostProcessingProviderFactory.setConfiguredProvider(postProcessingProvider);
+    await chrome.storage.local.set({
+      llm_base_url: elements.llmBaseUrl.value.trim(),
+      llm_model: elements.llmModel.value.trim()
+    });
+
     // Save config
     await configManager.update({
       autoTranscribe: elements.autoTranscribe.checked,
       transcriptionChunkIntervalMs: transcriptionChunkIntervalSeconds * 1000,
+      transcriptionOverlapMs,
+      transcriptionSilenceCut: elements.transcriptionSilenceCut.checked,
+      transcriptionContextCarryOver: elements.transcriptionContextCarryOver.checked,
+      ...getTranscriptionLanguageSettings(),
+      transcriptionVerbatim: elements.transcriptionVerbatim.checked,
       geminiTranscriptionMaxOutputTokens,
+      geminiDiarization: elements.geminiDiarization.checked,
+      geminiRequestsPerMinute,
+      geminiConcurrency,
+      subtitleMaxLineLength,
+      subtitleMaxLines,
       tabGain: parseFloat(elements.tabGain.value),
       micGain: parseFloat(elements.micGain.value),
       enableMicrophoneCapture: elements.enableMicrophoneCapture.checked,
+      dualTrackRecording: elements.dualTrackRecording.checked,
+      dualTrackExportMode: elements.dualTrackExportMode.value,
       audioQuality: parseInt(elements.audioQuality.value),
       maxRecordings: parseInt(elements.maxRecordings.value),
+      monthlyBudgetUsd,
       showNotifications: elements.showNotifications.checked
     });
 
@@ -345,8 +719,55 @@ async function saveAllSettings() {
     showNotification('success', 'All settings saved successfully!');
   } catch (error) {
     console.error('Failed to save settings:', error);
-    showNotification('error', 'Failed to save settings');
+    showNotification('error', 'Failed to save settings: ' + error.message);
+  }
+}
+
+// Fill the language selects and select the configured languages
+function loadTranscriptionLanguageSettings(config) {
+  const languages = window.RECORDING_CONSTANTS?.TRANSCRIPTION_LANGUAGES || {};
+  const selected = Array.isArray(config.transcriptionLanguages) ? config.transcriptionLanguages : [];
+
+  for (const select of [elements.transcriptionLanguage, elements.transcriptionLanguages]) {
+    select.innerHTML = '';
+    Object.entries(languages).forEach(([code, name]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+  }
+
+  elements.transcriptionLanguageMode.value = config.transcriptionLanguageMode || 'auto';
+  elements.transcriptionLanguage.value = selected[0] || 'en';
+  Array.from(elements.transcriptionLanguages.options).forEach(option => {
+    option.selected = selected.includes(option.value);
+  });
+  updateTranscriptionLanguageVisibility();
+}
+
+// Show the single or multiple language picker for the chosen mode
+function updateTranscriptionLanguageVisibility() {
+  const mode = elements.transcriptionLanguageMode.value;
+  elements.transcriptionLanguage.style.display = mode === 'single' ? 'block' : 'none';
+  elements.transcriptionLanguages.style.display = mode === 'multiple' ? 'block' : 'none';
+  elements.transcriptionLanguagesHint.style.display = mode === 'multiple' ? 'block' : 'none';
+}
+
+// Language mode and codes to save; "several" with nothing selected falls back to auto
+function getTranscriptionLanguageSettings() {
+  const mode = elements.transcriptionLanguageMode.value;
+
+  if (mode === 'single') {
+    return { transcriptionLanguageMode: 'single', transcriptionLanguages: [elements.transcriptionLanguage.value] };
   }
+  if (mode === 'multiple') {
+    const languages = Array.from(elements.transcriptionLanguages.selectedOptions).map(option => option.value);
+    if (languages.length > 0) {
+      return { transcriptionLanguageMode: 'multiple', transcriptionLanguages: languages };
+    }
+  }
+  return { transcriptionLanguageMode: 'auto', transcriptionLanguages: [] };
 }
 
 function clampInteger(value, min, max, fallback) {
@@ -362,7 +783,15 @@ async function resetSettings() {
 
   try {
     await configManager.reset();
-    await chrome.storage.local.remove('gemini_model');
+    await chrome.storage.local.remove([
+      'gemini_model',
+      'transcription_service_type',
+      'whisper_base_url',
+      'whisper_model',
+      'postprocessing_provider_type',
+      'llm_base_url',
+      'llm_model'
+    ]);
     await loadSettings();
     unsavedChanges = false;
     showNotification('success', 'Settings reset to defaults');
@@ -378,6 +807,16 @@ async function exportSettings() {
     const settings = {
       config: configManager.getAll(),
       model: elements.modelSelect.value,
+      transcriptionService: elements.transcriptionService.value,
+      whisper: {
+        baseUrl: elements.whisperBaseUrl.value.trim(),
+        model: elements.whisperModel.value.trim()
+      },
+      postProcessingProvider: elements.postProcessingProvider.value,
+      llm: {
+        baseUrl: elements.llmBaseUrl.value.trim(),
+        model: elements.llmModel.value.trim()
+      },
       version: '2.0.0',
       exportedAt: new Date().toISOString()
     };
@@ -416,6 +855,26 @@ async function importSettings(event) {
     // Import model
     await chrome.storage.local.set({ gemini_model: settings.model });
 
+    // Import transcription service (files from older versions don't have it)
+    if (settings.transcriptionService) {
+      await TranscriptionServiceFactory.setConfiguredService(settings.transcriptionService);
+    }
+    if (settings.whisper) {
+      await chrome.storage.local.set({
+        whisper_base_url: settings.whisper.baseUrl || '',
+        whisper_model: settings.whisper.model || ''
+      });
+    }
+    if (settings.postProcessingProvider) {
+      await PostProcessingProviderFactory.setConfiguredProvider(settings.postProcessingProvider);
+    }
+    if (settings.llm) {
+      await chrome.storage.local.set({
+        llm_base_url: settings.llm.baseUrl || '',
+        llm_model: settings.llm.model || ''
+      });
+    }
+
     // Reload UI
     await loadSettings();
     unsavedChanges = false;
@@ -448,7 +907,21 @@ async function clearAllData() {
     await StorageUtils.clearAllRecordings();
 
     // Clear API key
-    await chrome.storage.local.remove(['gemini_api_key', 'gemini_model']);
+    await chrome.storage.local.remove([
+      'gemini_api_key',
+      'gemini_model',
+      'transcription_service_type',
+      'whisper_api_key',
+      'whisper_base_url',
+      'whisper_model',
+      'postprocessing_provider_type',
+      'llm_api_key',
+      'llm_base_url',
+      'llm_model',
+      'builtin_prompt_providers',
+      'transcription_glossary',
+      'usage_monthly'
+    ]);
 
     // Reset config
     await configManager.reset();
@@ -456,6 +929,12 @@ async function clearAllData() {
     // Reload UI
     await loadSettings();
     elements.apiKey.value = '';
+    elements.whisperApiKey.value = '';
+    elements.llmApiKey.value = '';
+    if (glossaryManager) {
+      await loadGlossary();
+    }
+    await loadUsageReport();
 
     unsavedChanges = false;
     showNotification('success', 'All data cleared successfully');
@@ -465,6 +944,113 @@ async function clearAllData() {
   }
 }
 
+// ========================================
+// Usage & Costs
+// ========================================
+
+const USAGE_COLUMNS = ['Requests', 'Prompt Tokens', 'Audio Tokens', 'Output Tokens', 'Retries', 'Est. Cost'];
+
+// Show monthly and per-recording Gemini usage with estimated costs
+async function loadUsageReport() {
+  try {
+    const monthly = await UsageTracker.getMonthlyUsage();
+    renderUsageTable(
+      elements.usageMonthly,
+      'Month',
+      Object.keys(monthly)
+        .sort()
+        .reverse()
+        .map((month) => ({ label: month, byModel: monthly[month] })),
+      'No Gemini usage recorded yet.'
+    );
+
+    const recordings = await StorageUtils.getAllRecordings();
+    renderUsageTable(
+      elements.usageRecordings,
+      'Recording',
+      recordings
+        .filter((recording) => recording.usage?.length > 0)
+        .map((recording) => ({
+          label: formatDate(recording.timestamp),
+          byModel: UsageTracker.summarizeUsageByModel(recording.usage)
+        })),
+      'No recordings with Gemini usage.'
+    );
+  } catch (error) {
+    console.error('Failed to load usage:', error);
+    showNotification('error', 'Failed to load usage');
+  }
+}
+
+// One row per model in each group, plus a total row for groups with several models
+function renderUsageTable(container, groupHeading, groups, emptyMessage) {
+  container.innerHTML = '';
+
+  if (groups.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'usage-empty';
+    empty.textContent = emptyMessage;
+    container.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'usage-table';
+  table.appendChild(createUsageRow('th', [groupHeading, 'Model', ...USAGE_COLUMNS]));
+
+  for (const { label, byModel } of groups) {
+    const models = Object.keys(byModel).sort();
+    const groupTotals = UsageTracker.createUsageTotals();
+
+    models.forEach((model, index) => {
+      const totals = byModel[model];
+      const cost = UsageTracker.estimateUsageCost(model, totals);
+      table.appendChild(createUsageRow('td', [
+        index === 0 ? label : '',
+        model,
+        ...formatUsageTotals(totals),
+        cost === null ? 'n/a' : UsageTracker.formatUsd(cost)
+      ]));
+
+      for (const field of Object.keys(groupTotals)) {
+        groupTotals[field] += totals[field] || 0;
+      }
+    });
+
+    if (models.length > 1) {
+      const { costUsd, unpricedModels } = UsageTracker.estimateTotalsCost(byModel);
+      const row = createUsageRow('td', [
+        '',
+        'Total',
+        ...formatUsageTotals(groupTotals),
+        UsageTracker.formatUsd(costUsd) + (unpricedModels.length > 0 ? ' + n/a' : '')
+      ]);
+      row.className = 'usage-total';
+      table.appendChild(row);
+    }
+  }
+
+  container.appendChild(table);
+}
+
+function formatUsageTotals(totals) {
+  return [totals.requests, totals.promptTokens, totals.audioTokens, totals.outputTokens, totals.retries]
+    .map((value) => (value || 0).toLocaleString());
+}
+
+function createUsageRow(cellTag, values) {
+  const row = document.createElement('tr');
+  values.forEach((value, index) => {
+    const cell = document.createElement(cellTag);
+    cell.textContent = value;
+    if (index === 1) {
+      cell.className = 'usage-model';
+    }
+    row.appendChild(cell);
+  });
+  return row;
+}
+
 // Show status message in specific element
 function showStatus(type, message, element = null) {
   const statusElement = element || document.createElement('div');
@@ -554,6 +1140,7 @@ document.head.appendChild(style);
 
 let promptsManager;
 let currentEditingPromptId = null;
+let editingBuiltinPrompt = false;
 
 // Initialize prompts manager
 async function initPromptsManager() {
@@ -694,9 +1281,14 @@ function createPromptItem(prompt, isCustom) {
   category.className = 'prompt-item-category';
   category.innerHTML = `<i class="fas fa-tag"></i> ${prompt.category || 'General'}`;
 
+  const provider = document.createElement('div');
+  provider.className = 'prompt-item-category';
+  provider.innerHTML = `<i class="fas fa-microchip"></i> ${getPromptProviderLabel(prompt)}`;
+
   content.appendChild(header);
   content.appendChild(description);
   content.appendChild(category);
+  content.appendChild(provider);
 
   const actions = document.createElement('div');
   actions.className = 'prompt-item-actions';
@@ -708,6 +1300,15 @@ function createPromptItem(prompt, isCustom) {
   viewBtn.onclick = () => viewPrompt(prompt);
   actions.appendChild(viewBtn);
 
+  // Built-in prompts are read-only apart from their provider and model
+  if (!isCustom) {
+    const providerBtn = document.createElement('button');
+    providerBtn.className = 'btn btn-secondary';
+    providerBtn.innerHTML = '<i class="fas fa-microchip"></i> Provider';
+    providerBtn.onclick = () => openPromptModal(prompt);
+    actions.appendChild(providerBtn);
+  }
+
   // Edit and Delete buttons for custom prompts only
   if (isCustom) {
     const editBtn = document.createElement('button');
@@ -730,6 +1331,14 @@ function createPromptItem(prompt, isCustom) {
   return item;
 }
 
+// Provider and model a prompt runs on, for display
+function getPromptProviderLabel(prompt) {
+  const providerName = prompt.provider
+    ? PostProcessingProviderFactory.getProviderName(prompt.provider)
+    : 'Default provider';
+  return prompt.model ? `${providerName} · ${prompt.model}` : providerName;
+}
+
 // Open prompt modal for adding/editing
 function openPromptModal(prompt = null) {
   const modal = document.getElementById('promptModal');
@@ -738,16 +1347,22 @@ function openPromptModal(prompt = null) {
   const categoryInput = document.getElementById('promptCategory');
   const descriptionInput = document.getElementById('promptDescription');
   const textInput = document.getElementById('promptText');
+  const schemaInput = document.getElementById('promptOutputSchema');
+  const providerSelect = document.getElementById('promptProvider');
+  const modelInput = document.getElementById('promptModel');
 
   if (!modal) return;
 
   if (prompt) {
     // Edit mode
-    modalTitle.textContent = 'Edit Custom Prompt';
+    modalTitle.textContent = prompt.isBuiltin ? 'Built-in Prompt Provider' : 'Edit Custom Prompt';
     nameInput.value = prompt.name;
     categoryInput.value = prompt.category || '';
     descriptionInput.value = prompt.description || '';
     textInput.value = prompt.systemPrompt || '';
+    schemaInput.value = prompt.outputSchema ? JSON.stringify(prompt.outputSchema, null, 2) : '';
+    providerSelect.value = prompt.provider || '';
+    modelInput.value = prompt.model || '';
     currentEditingPromptId = prompt.id;
   } else {
     // Add mode
@@ -756,9 +1371,19 @@ function openPromptModal(prompt = null) {
     categoryInput.value = '';
     descriptionInput.value = '';
     textInput.value = '';
+    schemaInput.value = '';
+    providerSelect.value = '';
+    modelInput.value = '';
     currentEditingPromptId = null;
   }
 
+  // Only the provider and model of built-in prompts can be changed
+  const readOnly = Boolean(prompt?.isBuiltin);
+  [nameInput, categoryInput, descriptionInput, textInput, schemaInput].forEach(input => {
+    input.readOnly = readOnly;
+  });
+  editingBuiltinPrompt = readOnly;
+
   modal.style.display = 'flex';
 }
 
@@ -769,6 +1394,7 @@ function closePromptModal() {
     modal.style.display = 'none';
   }
   currentEditingPromptId = null;
+  editingBuiltinPrompt = false;
 }
 
 // Save custom prompt
@@ -777,12 +1403,38 @@ async function saveCustomPrompt() {
   const categoryInput = document.getElementById('promptCategory');
   const descriptionInput = document.getElementById('promptDescription');
   const textInput = document.getElementById('promptText');
+  const schemaInput = document.getElementById('promptOutputSchema');
+  const provider = document.getElementById('promptProvider').value;
+  const model = document.getElementById('promptModel').value.trim();
 
   const name = nameInput.value.trim();
   const category = categoryInput.value.trim();
   const description = descriptionInput.value.trim();
   const systemPrompt = textInput.value.trim();
 
+  // Ask for the LLM server's host while the click still counts as a user gesture
+  if (provider === 'openai-chat') {
+    try {
+      await requestHostPermission(getLlmBaseUrl());
+    } catch (error) {
+      showNotification('error', error.message);
+      return;
+    }
+  }
+
+  if (editingBuiltinPrompt) {
+    try {
+      await promptsManager.setPromptProvider(currentEditingPromptId, { provider, model });
+      showNotification('success', 'Prompt provider updated');
+      closePromptModal();
+      await loadAllPrompts();
+    } catch (error) {
+      console.error('Failed to save prompt provider:', error);
+      showNotification('error', 'Failed to save prompt provider: ' + error.message);
+    }
+    return;
+  }
+
   // Validation
   if (!name) {
     showNotification('error', 'Please enter a prompt name');
@@ -796,6 +1448,24 @@ async function saveCustomPrompt() {
     return;
   }
 
+  let outputSchema = null;
+  if (schemaInput.value.trim()) {
+    try {
+      outputSchema = JSON.parse(schemaInput.value);
+    } catch (error) {
+      showNotification('error', 'Output schema is not valid JSON: ' + error.message);
+      schemaInput.focus();
+      return;
+    }
+
+    const schemaErrors = JsonSchemaUtils.checkOutputSchema(outputSchema);
+    if (schemaErrors.length > 0) {
+      showNotification('error', 'Invalid output schema: ' + schemaErrors[0]);
+      schemaInput.focus();
+      return;
+    }
+  }
+
   try {
     const promptId = currentEditingPromptId || `custom-${Date.now()}`;
 
@@ -803,7 +1473,10 @@ async function saveCustomPrompt() {
       name,
       category: category || 'Custom',
       description: description || 'Custom prompt',
-      systemPrompt
+      systemPrompt,
+      provider,
+      model,
+      outputSchema
     });
 
     showNotification('success', currentEditingPromptId ? 'Prompt updated successfully' : 'Prompt added successfully');
@@ -822,6 +1495,8 @@ function viewPrompt(prompt) {
 Name: ${prompt.name}
 Category: ${prompt.category || 'General'}
 Description: ${prompt.description}
+Provider: ${getPromptProviderLabel(prompt)}
+Output: ${prompt.outputSchema ? 'JSON, checked against the output schema' : 'Free-form text'}
 
 System Prompt:
 ${prompt.systemPrompt}
@@ -887,4 +1562,86 @@ async function importCustomPrompts(event) {
 // Initialize prompts on page load
 document.addEventListener('DOMContentLoaded', () => {
   initPromptsManager();
+  initGlossaryManager();
 });
+
+// ========================================
+// Transcription Glossary
+// ========================================
+
+let glossaryManager;
+let parseGlossaryText;
+
+// Initialize glossary manager
+async function initGlossaryManager() {
+  // Import dynamically
+  const module = await import('./utils/glossary.js');
+  glossaryManager = module.default;
+  parseGlossaryText = module.parseGlossaryText;
+
+  await loadGlossary();
+
+  document.getElementById('saveGlossary').addEventListener('click', saveGlossary);
+  document.getElementById('exportGlossary').addEventListener('click', exportGlossary);
+  document.getElementById('importGlossary').addEventListener('click', () => {
+    document.getElementById('importGlossaryFile').click();
+  });
+  document.getElementById('importGlossaryFile').addEventListener('change', importGlossary);
+}
+
+// Show the global glossary, one term per line
+async function loadGlossary() {
+  const terms = await glossaryManager.loadTerms();
+  document.getElementById('glossaryTerms').value = terms.join('\n');
+}
+
+// Save the global glossary
+async function saveGlossary() {
+  try {
+    const terms = parseGlossaryText(document.getElementById('glossaryTerms').value);
+    await glossaryManager.saveTerms(terms);
+    await loadGlossary();
+    showNotification('success', `Glossary saved (${terms.length} terms)`);
+  } catch (error) {
+    console.error('Failed to save glossary:', error);
+    showNotification('error', 'Failed to save glossary');
+  }
+}
+
+// Export the global glossary
+async function exportGlossary() {
+  try {
+    const json = await glossaryManager.exportGlossary();
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `transcription-glossary-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    showNotification('success', 'Glossary exported successfully');
+  } catch (error) {
+    console.error('Failed to export glossary:', error);
+    showNotification('error', 'Failed to export glossary');
+  }
+}
+
+// Import glossary terms, merging them into the global glossary
+async function importGlossary(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const added = await glossaryManager.importGlossary(text);
+    await loadGlossary();
+    showNotification('success', `Glossary imported (${added} new terms)`);
+  } catch (error) {
+    console.error('Failed to import glossary:', error);
+    showNotification('error', 'Failed to import glossary: ' + error.message);
+  }
+
+  // Reset file input
+  event.target.value = '';
+}
@@ -19,9 +19,16 @@ class BaseTranscriptionService {
    * Transcribe audio from a data URL
    * @param {string} audioDataUrl - Audio data in data URL format
    * @param {Function} onProgress - Callback for progress updates
+   * @param {Object} [options]
+   * @param {Array<string>} [options.glossary] - The recording's own glossary terms
+   * @param {string} [options.filename] - Name of an uploaded file, for backends that need
+   *   its extension to pick a decoder
+   * @param {AbortSignal} [options.signal] - Cancels the transcription
+   * @param {Function} [options.onUsage] - Receives token counts of each billed request
+   *   ({ model, promptTokens, audioTokens, outputTokens, retries }), for backends that report them
    * @returns {Promise<string>} - The transcribed text
    */
-  async transcribe(audioDataUrl, onProgress) {
+  async transcribe(audioDataUrl, onProgress, options = {}) {
     throw new Error('transcribe() must be implemented by subclass');
   }
 
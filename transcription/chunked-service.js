@@ -0,0 +1,2123 @@
+// Shared chunked transcription pipeline
+// Splits PCM recordings into time-based WAV segments, tracks resume state and
+// merges the results. Backends extend this class and implement _transcribeSingleChunk().
+
+// Token bucket for segment requests: holds up to `capacity` request starts and
+// refills at requestsPerMinute. Requests borrow ahead; reserve() says how long
+// the caller must wait before starting the request it took a token for.
+class RequestTokenBucket {
+  constructor(requestsPerMinute, capacity = 1) {
+    this.capacity = Math.max(1, capacity);
+    this.refillPerMs = requestsPerMinute > 0 ? requestsPerMinute / 60000 : null;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Take a token for one request
+   * @returns {number} - Milliseconds to wait before starting the request
+   */
+  reserve() {
+    if (!this.refillPerMs) return 0; // No request budget
+
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + (now - this.updatedAt) * this.refillPerMs,
+    );
+    this.updatedAt = now;
+    this.tokens -= 1;
+
+    return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.refillPerMs);
+  }
+}
+
+class ChunkedTranscriptionService extends BaseTranscriptionService {
+  constructor() {
+    super();
+    this.rateLimitDelayMs = 0; // Default gap between segment request starts (0 = no limit)
+  }
+
+  _isDebugLoggingEnabled() {
+    return Boolean(window?.RECORDING_CONSTANTS?.DEBUG_TRANSCRIPTION_LOGS);
+  }
+
+  _debugLog(...args) {
+    if (this._isDebugLoggingEnabled()) {
+      console.log(...args);
+    }
+  }
+
+  async _storageGet(keys) {
+    if (chrome?.storage?.local) {
+      return chrome.storage.local.get(keys);
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: "storage-get",
+      target: "service-worker-storage",
+      keys,
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || "storage-get bridge failed");
+    }
+
+    return response.data || {};
+  }
+
+  async _storageSet(items) {
+    if (chrome?.storage?.local) {
+      return chrome.storage.local.set(items);
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: "storage-set",
+      target: "service-worker-storage",
+      items,
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || "storage-set bridge failed");
+    }
+  }
+
+  async _storageRemove(keys) {
+    if (chrome?.storage?.local) {
+      return chrome.storage.local.remove(keys);
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: "storage-remove",
+      target: "service-worker-storage",
+      keys,
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || "storage-remove bridge failed");
+    }
+  }
+
+  async _getUserConfig() {
+    try {
+      const result = await this._storageGet("user_settings");
+      if (result?.user_settings && typeof result.user_settings === "object") {
+        const defaults =
+          typeof window !== "undefined" && window.DEFAULT_CONFIG
+            ? window.DEFAULT_CONFIG
+            : {};
+        return { ...defaults, ...result.user_settings };
+      }
+    } catch (error) {
+      console.warn(
+        "Direct user_settings read failed for transcription settings, trying ConfigManager:",
+        error,
+      );
+    }
+
+    try {
+      if (typeof window !== "undefined" && window.configManager) {
+        await window.configManager.load();
+        return window.configManager.getAll();
+      }
+
+      if (typeof ConfigManager !== "undefined") {
+        const configManager = new ConfigManager();
+        return await configManager.load();
+      }
+    } catch (error) {
+      console.warn(
+        "Failed to load user config for transcription settings, using defaults:",
+        error,
+      );
+    }
+
+    return {};
+  }
+
+  _sanitizeTranscriptionChunkIntervalMs(value) {
+    const fallback =
+      window.RECORDING_CONSTANTS?.TRANSCRIPTION_CHUNK_INTERVAL_MS || 300000;
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return fallback;
+    return Math.min(600000, Math.max(15000, Math.round(numeric)));
+  }
+
+  _sanitizeTranscriptionOverlapMs(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return 2000;
+    return Math.min(10000, Math.max(0, Math.round(numeric)));
+  }
+
+  /**
+   * Expected-language settings: { mode: "auto"|"single"|"multiple", languages, verbatim }
+   * @private
+   */
+  _sanitizeTranscriptionLanguage(userConfig) {
+    const languages = Array.isArray(userConfig.transcriptionLanguages)
+      ? userConfig.transcriptionLanguages.filter(Boolean)
+      : [];
+    let mode = ["single", "multiple"].includes(userConfig.transcriptionLanguageMode)
+      ? userConfig.transcriptionLanguageMode
+      : "auto";
+    if (languages.length === 0) {
+      mode = "auto";
+    }
+
+    return {
+      mode,
+      languages: mode === "single" ? languages.slice(0, 1) : mode === "multiple" ? languages : [],
+      verbatim: userConfig.transcriptionVerbatim !== false,
+    };
+  }
+
+  /**
+   * Settings used by the chunked pipeline; subclasses extend these with
+   * service-specific values
+   * @param {Object} [userConfig] - Settings already read by a subclass
+   * @private
+   */
+  async _getTranscriptionRuntimeSettings(userConfig = null) {
+    userConfig = userConfig || (await this._getUserConfig());
+    return {
+      chunkIntervalMs: this._sanitizeTranscriptionChunkIntervalMs(
+        userConfig.transcriptionChunkIntervalMs,
+      ),
+      overlapMs: this._sanitizeTranscriptionOverlapMs(
+        userConfig.transcriptionOverlapMs,
+      ),
+      silenceCut: userConfig.transcriptionSilenceCut !== false,
+      contextCarryOver: userConfig.transcriptionContextCarryOver !== false,
+      language: this._sanitizeTranscriptionLanguage(userConfig),
+      maxOutputTokens: null,
+      diarization: false, // Backends that can label speakers turn this on
+      // Segment request budget; backends with configurable quotas override these
+      requestsPerMinute:
+        this.rateLimitDelayMs > 0 ? 60000 / this.rateLimitDelayMs : null,
+      concurrency: 1,
+    };
+  }
+
+  _sanitizeRequestsPerMinute(value, fallback) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric) || numeric <= 0) return fallback;
+    return Math.min(10000, Math.max(1, Math.round(numeric)));
+  }
+
+  _sanitizeConcurrency(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return 1;
+    return Math.min(8, Math.max(1, Math.round(numeric)));
+  }
+
+  /**
+   * Transcribe one audio segment - implemented by each backend
+   * @param {string} audioDataUrl - Segment audio as a data URL
+   * @param {number} segmentNumber - 1-based segment number
+   * @param {string} mimeType - Segment MIME type ("audio/wav" for PCM segments)
+   * @param {number|null} configuredMaxOutputTokens - Output token limit, if the backend has one
+   * @param {Object} [options]
+   * @param {string|null} [options.channelLayout] - "tab-mic" for dual-track audio
+   * @param {Array|null} [options.speakers] - Speaker roster ({ label, description }) shared
+   *   by all segments of a recording; only passed when diarization is enabled, and the
+   *   backend adds newly heard speakers to it
+   * @param {Object|null} [options.context] - { previousText, glossary } carried over from
+   *   earlier segments; only passed when context carry-over is enabled
+   * @param {Array<string>} [options.vocabulary] - User glossary terms (global and
+   *   per-recording) that must be spelled exactly
+   * @param {Object} [options.language] - Expected languages ({ mode, languages, verbatim })
+   * @param {Function} [options.onProgress] - Receives status messages, e.g. while the
+   *   backend waits to retry a rate-limited request
+   * @param {AbortSignal} [options.signal] - Cancels the segment's request
+   * @param {Function} [options.onUsage] - Receives token counts of each billed request,
+   *   for backends that report them
+   * @returns {Promise<string|{text: string, utterances: Array|null, languages: Array|null}>} -
+   *   Segment transcription, with speaker-labelled utterances when diarizing and the
+   *   ISO 639-1 codes of the languages heard when the backend reports them
+   * @private
+   */
+  async _transcribeSingleChunk(
+    audioDataUrl,
+    segmentNumber,
+    mimeType,
+    configuredMaxOutputTokens,
+    options = {},
+  ) {
+    throw new Error("_transcribeSingleChunk() must be implemented by subclass");
+  }
+
+  /**
+   * Backends return plain text, or { text, utterances } when they label speakers
+   * Near-miss spellings of glossary terms are corrected here, so every pipeline gets it
+   * @private
+   */
+  _normalizeSegmentResult(result, vocabulary = []) {
+    if (typeof result === "string") {
+      return {
+        text: this._correctGlossarySpellings(result, vocabulary),
+        utterances: null,
+        languages: null,
+      };
+    }
+
+    const utterances = result?.utterances
+      ? result.utterances.map((utterance) => ({
+          ...utterance,
+          text: this._correctGlossarySpellings(utterance.text, vocabulary),
+        }))
+      : null;
+    return {
+      text: utterances
+        ? ChunkedTranscriptionService.formatUtterances(utterances)
+        : this._correctGlossarySpellings(result?.text || "", vocabulary),
+      utterances,
+      languages: result?.languages?.length ? result.languages : null,
+    };
+  }
+
+  /**
+   * Turn reported languages into unique lower-case ISO 639-1 codes
+   * Accepts codes ("en") or English names ("english"), which some Whisper servers report.
+   * @param {Array<string>} languages - Reported languages
+   * @returns {Array<string>|null} - null if nothing recognisable was reported
+   * @private
+   */
+  _normalizeLanguageCodes(languages) {
+    if (!Array.isArray(languages)) return null;
+
+    const knownLanguages = window.RECORDING_CONSTANTS?.TRANSCRIPTION_LANGUAGES || {};
+    const codesByName = new Map(
+      Object.entries(knownLanguages).map(([code, name]) => [name.toLowerCase(), code]),
+    );
+
+    const codes = languages
+      .map((language) => String(language || "").trim().toLowerCase())
+      .map((language) => codesByName.get(language) || language)
+      .filter((code) => /^[a-z]{2,3}$/.test(code));
+    return codes.length > 0 ? [...new Set(codes)] : null;
+  }
+
+  /**
+   * Overall languages of a recording from its segments' detected languages
+   * Each segment's text length is shared between the languages it reported.
+   * @param {Array} segments - [{ text, languages }]
+   * @returns {Array<string>|null} - Codes, most spoken first; null if none were detected
+   * @private
+   */
+  _summarizeDetectedLanguages(segments) {
+    const weights = new Map();
+
+    for (const segment of segments) {
+      const languages = segment?.languages;
+      if (!languages?.length) continue;
+
+      const share = Math.max(1, (segment.text || "").length) / languages.length;
+      for (const language of languages) {
+        weights.set(language, (weights.get(language) || 0) + share);
+      }
+    }
+
+    if (weights.size === 0) {
+      return null;
+    }
+    return [...weights.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([language]) => language);
+  }
+
+  /**
+   * Global glossary terms merged with a recording's own terms
+   * @param {Array<string>} [recordingTerms] - recording.glossary
+   * @returns {Promise<Array<string>>} - Unique terms (case-insensitive)
+   * @private
+   */
+  async _getTranscriptionVocabulary(recordingTerms = []) {
+    let globalTerms = [];
+    try {
+      const result = await this._storageGet("transcription_glossary");
+      globalTerms = result?.transcription_glossary || [];
+    } catch (error) {
+      console.warn("Failed to load transcription glossary:", error);
+    }
+
+    const seen = new Set();
+    return [...globalTerms, ...(recordingTerms || [])]
+      .map((term) => String(term || "").trim())
+      .filter((term) => {
+        const key = term.toLowerCase();
+        if (!term || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Replace near-miss spellings of glossary terms ("Kubernetis" -> "Kubernetes",
+   * "Post Hog" -> "PostHog"). Single-word terms under 7 letters are never
+   * fuzzy-matched, longer ones may be one or two edits away. Only words that look
+   * like names are rewritten: capitalised (or with digits or inner capitals), and
+   * not also used in lower case elsewhere in the text, so "stack" or "nation" stay
+   * ordinary words. Case-only differences are left alone so a term like "Mark"
+   * doesn't capitalise the verb.
+   * @param {string} text - Transcribed text
+   * @param {Array<string>} vocabulary - Glossary terms
+   * @returns {string}
+   * @private
+   */
+  _correctGlossarySpellings(text, vocabulary = []) {
+    if (!text || !vocabulary || vocabulary.length === 0) {
+      return text;
+    }
+
+    const words = [...text.matchAll(/\S+/g)].map((match) => {
+      const [, prefix, core, suffix] = match[0].match(
+        /^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u,
+      );
+      return {
+        start: match.index,
+        end: match.index + match[0].length,
+        prefix,
+        original: core,
+        core: core.toLowerCase(),
+        suffix,
+      };
+    });
+    // Words the text also writes in lower case are ordinary words, even when
+    // capitalised at the start of a sentence
+    const lowercaseWords = new Set(
+      words
+        .filter((word) => word.original === word.core && /\p{Ll}/u.test(word.core))
+        .map((word) => word.core),
+    );
+    const looksLikeName = (word) =>
+      (/^\p{Lu}/u.test(word.original) ||
+        /\p{N}/u.test(word.original) ||
+        /\p{Ll}\p{Lu}/u.test(word.original)) &&
+      !lowercaseWords.has(word.core);
+    const terms = vocabulary
+      .map((term) => ({
+        term,
+        normalized: term.toLowerCase(),
+        wordCount: term.split(/\s+/).length,
+      }))
+      .sort((a, b) => b.wordCount - a.wordCount);
+
+    const claimed = new Array(words.length).fill(false);
+    const replacements = [];
+    const windowText = (start, count, separator) =>
+      words
+        .slice(start, start + count)
+        .map((word) => word.core)
+        .join(separator);
+    const isFree = (start, count) =>
+      claimed.slice(start, start + count).every((taken) => !taken);
+    const claim = (start, count) => claimed.fill(true, start, start + count);
+
+    // Exact matches first, so a correctly spelled term is never "corrected" into another
+    for (const { normalized, wordCount } of terms) {
+      for (let i = 0; i + wordCount <= words.length; i++) {
+        if (isFree(i, wordCount) && windowText(i, wordCount, " ") === normalized) {
+          claim(i, wordCount);
+        }
+      }
+    }
+
+    for (const { term, normalized, wordCount } of terms) {
+      const compact = normalized.replace(/\s+/g, "");
+      // One-word names under 7 letters are too close to ordinary words ("Slack", "stack")
+      const minFuzzyLength = wordCount === 1 ? 7 : 5;
+      const maxDistance =
+        compact.length < minFuzzyLength ? 0 : compact.length < 9 ? 1 : 2;
+
+      // Same number of words, or one extra when the term was split ("Post Hog")
+      for (const count of [wordCount, wordCount + 1]) {
+        for (let i = 0; i + count <= words.length; i++) {
+          if (!isFree(i, count)) continue;
+          if (!words.slice(i, i + count).every(looksLikeName)) continue;
+
+          const candidate = windowText(i, count, "");
+          if (Math.abs(candidate.length - compact.length) > maxDistance) continue;
+
+          const distance = this._editDistance(candidate, compact);
+          const spacingOnly = windowText(i, count, " ") !== normalized;
+          if (distance <= maxDistance && (distance > 0 || spacingOnly)) {
+            const first = words[i];
+            const last = words[i + count - 1];
+            replacements.push({
+              start: first.start,
+              end: last.end,
+              text: `${first.prefix}${term}${last.suffix}`,
+            });
+            claim(i, count);
+          }
+        }
+      }
+    }
+
+    if (replacements.length === 0) {
+      return text;
+    }
+
+    this._debugLog(
+      `[GLOSSARY] Corrected ${replacements.length} spelling(s): ${replacements.map((r) => `"${text.slice(r.start, r.end)}"`).join(", ")}`,
+    );
+
+    let corrected = text;
+    for (const replacement of replacements.sort((a, b) => b.start - a.start)) {
+      corrected =
+        corrected.slice(0, replacement.start) +
+        replacement.text +
+        corrected.slice(replacement.end);
+    }
+    return corrected;
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @private
+   */
+  _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Format speaker-labelled utterances as "Label: text" lines
+   * @param {Array} utterances - [{ speaker, text }]
+   * @param {Object} [speakerNames] - Display names keyed by speaker label
+   * @returns {string}
+   */
+  static formatUtterances(utterances, speakerNames = {}) {
+    return utterances
+      .map(
+        (utterance) =>
+          `${speakerNames[utterance.speaker] || utterance.speaker}: ${utterance.text}`,
+      )
+      .join("\n");
+  }
+
+  /**
+   * Derive the plain-text transcription from timed segments
+   * Dual-track and diarized segments are line-per-speaker, so they join with newlines
+   * @param {Array} segments - Timed segments ({ index, start, end, text, utterances? })
+   * @param {Object} [options]
+   * @param {string|null} [options.channelLayout] - "tab-mic" for dual-track audio
+   * @param {Object} [options.speakerNames] - Display names keyed by speaker label
+   * @returns {string}
+   */
+  static joinTranscriptSegments(
+    segments,
+    { channelLayout = null, speakerNames = {} } = {},
+  ) {
+    const diarized = segments.some((segment) => segment.utterances);
+
+    return segments
+      .map((segment) =>
+        segment.utterances
+          ? ChunkedTranscriptionService.formatUtterances(
+              segment.utterances,
+              speakerNames,
+            )
+          : segment.text,
+      )
+      .filter(Boolean)
+      .join(channelLayout === "tab-mic" || diarized ? "\n" : " ");
+  }
+
+  _cleanTranscription(text) {
+    let cleaned = text.trim();
+
+    // Remove common prefixes that models might add
+    const prefixes = [
+      "Transcription:",
+      "Here is the transcription:",
+      "The transcription is:",
+      "Audio transcription:",
+    ];
+
+    for (const prefix of prefixes) {
+      if (cleaned.toLowerCase().startsWith(prefix.toLowerCase())) {
+        cleaned = cleaned.substring(prefix.length).trim();
+      }
+    }
+
+    // Remove markdown code blocks if present
+    cleaned = cleaned
+      .replace(/^```[\s\S]*?\n/, "")
+      .replace(/\n```$/, "")
+      .trim();
+
+    // Check if output is just timestamps (common error when no speech detected)
+    // Pattern: lines that are only timestamps like "00:00", "00:01", etc.
+    const lines = cleaned
+      .split("\n")
+      .map((l) => l.trim())
+      .filter((l) => l);
+    const timestampPattern = /^\d{2}:\d{2}(:\d{2})?$/;
+    const allTimestamps =
+      lines.length > 0 && lines.every((line) => timestampPattern.test(line));
+
+    if (allTimestamps) {
+      // Model output only timestamps, likely no speech detected
+      return "";
+    }
+
+    // Fix hallucination loops - detect and remove excessive repetitions
+    // This handles cases where the model gets stuck repeating the same phrase
+    cleaned = this._removeExcessiveRepetitions(cleaned);
+
+    return cleaned;
+  }
+
+  /**
+   * Remove excessive repetitions caused by model hallucination
+   * Detects when a word or phrase is repeated more than 10 times consecutively
+   * @private
+   */
+  _removeExcessiveRepetitions(text) {
+    // Pattern to match any word/phrase repeated more than 10 times consecutively
+    // This regex finds sequences where the same token appears 10+ times in a row
+    let result = text;
+
+    // Handle word-level repetitions (e.g., "ماشین رو ماشین رو ماشین رو...")
+    // Match any sequence of characters followed by space, repeated 10+ times
+    // A run that ended a line keeps that line break
+    const keepOne = (run, phrase) =>
+      `${phrase}${/\n\s*$/.test(run) ? "\n" : " "}`;
+    const wordRepeatPattern = /(\S+(?:\s+\S+){0,3})\s+(?:\1\s+){9,}/g;
+    result = result.replace(wordRepeatPattern, keepOne);
+
+    // Handle single word repetitions without spaces (e.g., "نه نه نه نه...")
+    const singleWordPattern = /(\S+)\s+(?:\1\s+){9,}/g;
+    result = result.replace(singleWordPattern, keepOne);
+
+    // Clean up multiple spaces, keeping line breaks (one line per speaker turn)
+    result = result
+      .replace(/[ \t]+/g, " ")
+      .replace(/ *\n */g, "\n")
+      .trim();
+
+    return result;
+  }
+
+  /**
+   * Transcribe audio chunks separately and merge results
+   * Optimized for long recordings to avoid API token limits
+   * @param {string} recordingKey - Recording key to get chunks from IndexedDB
+   * @param {function} onProgress - Progress callback (chunkIndex, totalChunks, partialText)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the run; finished segments stay in the
+   *   resume state, so resumeChunkedTranscription() can continue it later
+   * @param {Function} [options.onUsage] - Receives token counts of each billed request
+   * @returns {Promise<{text: string, segments: Array|null, languages: Array|null}>} - Merged plain text plus
+   *   timed segments ({ index, start, end, text }, seconds); segments is null for legacy WebM chunks
+   */
+  async transcribeChunked(
+    recordingKey,
+    onProgress,
+    { signal = null, onUsage = null } = {},
+  ) {
+    try {
+      if (!this.isReady) {
+        await this.initialize(onProgress);
+      }
+
+      // Get recording metadata to check if it's PCM format
+      const metadata = await this._getRecordingMetadata(recordingKey);
+
+      // Get all chunks for this recording from IndexedDB
+      const rawChunks = await this._getRecordingChunks(recordingKey);
+
+      this._debugLog(
+        `[CHUNKED TRANSCRIPTION] Found ${rawChunks.length} chunks for ${recordingKey}`,
+      );
+
+      if (!rawChunks || rawChunks.length === 0) {
+        throw new Error("No audio chunks found for this recording");
+      }
+
+      // Check if chunks are PCM format (new continuous recording system)
+      let recordingChunks;
+      const isPcmFormat =
+        rawChunks[0]?.format === "pcm-float32" ||
+        rawChunks[0]?.format === "pcm-int16" ||
+        metadata?.isPcm;
+
+      this._debugLog(
+        `[CHUNKED TRANSCRIPTION] Format detection: rawChunks[0].format="${rawChunks[0]?.format}", metadata.isPcm=${metadata?.isPcm}, isPcmFormat=${isPcmFormat}`,
+      );
+
+      if (isPcmFormat) {
+        this._debugLog(
+          `[CHUNKED TRANSCRIPTION] ✓ Detected PCM format, using streaming transcription`,
+        );
+        // Use streaming transcription for PCM (memory-efficient)
+        return await this._transcribePcmStreaming(
+          recordingKey,
+          rawChunks,
+          metadata,
+          onProgress,
+          signal,
+          onUsage,
+        );
+      } else {
+        // Use WebM chunks directly (legacy format)
+        this._debugLog(
+          `[CHUNKED TRANSCRIPTION] ⚠ Legacy WebM format detected - using old chunking (not time-based)`,
+        );
+        recordingChunks = rawChunks;
+
+        // Transcribe WebM chunks individually
+        const totalChunks = recordingChunks.length;
+        const transcriptions = [];
+        const RATE_LIMIT_DELAY = this.rateLimitDelayMs;
+        const { maxOutputTokens, diarization, contextCarryOver, language } =
+          await this._getTranscriptionRuntimeSettings();
+        const speakers = diarization ? [] : null;
+        const detected = [];
+        let context = contextCarryOver
+          ? this._createTranscriptionContext()
+          : null;
+        const vocabulary = await this._getTranscriptionVocabulary(
+          metadata?.glossary,
+        );
+
+        this._debugLog(
+          `[CHUNKED TRANSCRIPTION] Will transcribe ${totalChunks} WebM chunks individually`,
+        );
+
+        if (onProgress) {
+          onProgress(
+            `Starting transcription of ${totalChunks} segments...`,
+            0,
+            totalChunks,
+          );
+        }
+
+        for (let i = 0; i < recordingChunks.length; i++) {
+          signal?.throwIfAborted();
+          const chunk = recordingChunks[i];
+          const requestStartTime = Date.now();
+
+          if (onProgress) {
+            onProgress(
+              `Transcribing segment ${i + 1}/${totalChunks}...`,
+              i,
+              totalChunks,
+            );
+          }
+
+          try {
+            const mimeType = "audio/webm";
+            const sizeInMB = (chunk.data.length / (1024 * 1024)).toFixed(2);
+            this._debugLog(
+              `[CHUNKED TRANSCRIPTION] Segment ${i + 1}: size=${sizeInMB} MB, format=${mimeType}`,
+            );
+            const { text: chunkTranscription, utterances, languages } =
+              this._normalizeSegmentResult(
+                await this._transcribeSingleChunk(
+                  chunk.data,
+                  i + 1,
+                  mimeType,
+                  maxOutputTokens,
+                  {
+                    speakers,
+                    context,
+                    vocabulary,
+                    language,
+                    onProgress:
+                      onProgress &&
+                      ((message) => onProgress(message, i, totalChunks)),
+                    signal,
+                    onUsage,
+                  },
+                ),
+                vocabulary,
+              );
+            this._debugLog(
+              `[CHUNKED TRANSCRIPTION] Segment ${i + 1} transcription length: ${chunkTranscription.length} chars`,
+            );
+            transcriptions.push(chunkTranscription);
+            detected.push({ text: chunkTranscription, languages });
+            context =
+              context &&
+              this._advanceTranscriptionContext(context, chunkTranscription);
+
+            await this._saveTranscriptionProgress(
+              recordingKey,
+              i,
+              chunkTranscription,
+              null,
+              { utterances, speakers, languages },
+            );
+
+            if (i < recordingChunks.length - 1) {
+              const elapsedTime = Date.now() - requestStartTime;
+              const remainingDelay = Math.max(
+                0,
+                RATE_LIMIT_DELAY - elapsedTime,
+              );
+              if (remainingDelay > 0) {
+                this._debugLog(
+                  `[CHUNKED TRANSCRIPTION] Waiting ${remainingDelay}ms before next request`,
+                );
+                await this._sleep(remainingDelay, signal);
+              }
+            }
+          } catch (error) {
+            console.error(`Error transcribing segment ${i + 1}:`, error);
+            await this._saveTranscriptionProgress(
+              recordingKey,
+              i,
+              null,
+              this._isAbortError(error) ? "Cancelled" : error.message,
+            );
+            if (this._isAbortError(error)) throw error;
+            throw new Error(
+              `Failed at segment ${i + 1}/${totalChunks}: ${error.message}`,
+            );
+          }
+        }
+
+        // WebM chunks carry no sample offsets, so there is no segment timing
+        const finalTranscription = transcriptions.join(speakers ? "\n" : " ");
+        if (onProgress) {
+          onProgress(
+            "Transcription complete!",
+            totalChunks,
+            totalChunks,
+            finalTranscription,
+          );
+        }
+        return {
+          text: finalTranscription,
+          segments: null,
+          languages: this._summarizeDetectedLanguages(detected),
+        };
+      }
+    } catch (error) {
+      if (this._isAbortError(error)) throw error;
+      console.error("Chunked transcription error:", error);
+      throw new Error("Chunked transcription failed: " + error.message);
+    }
+  }
+
+  /**
+   * Streaming transcription for PCM format (memory-efficient)
+   * Segments are generated from the PCM chunks as the scheduler asks for them,
+   * so only the segments being transcribed are held in memory
+   * @private
+   */
+  async _transcribePcmStreaming(
+    recordingKey,
+    pcmChunks,
+    metadata,
+    onProgress,
+    signal = null,
+    onUsage = null,
+  ) {
+    const originalSampleRate = metadata.sampleRate || 48000;
+    const numberOfChannels = metadata.numberOfChannels || 1;
+    const channelLayout = this._getChannelLayout(metadata, pcmChunks);
+
+    const runtimeSettings = await this._getTranscriptionRuntimeSettings();
+    const { chunkIntervalMs } = runtimeSettings;
+    const vocabulary = await this._getTranscriptionVocabulary(metadata.glossary);
+    // Samples are interleaved, so a segment spans frames * channels values
+    const originalSamplesPerSegment =
+      Math.floor((chunkIntervalMs / 1000) * originalSampleRate) *
+      numberOfChannels;
+
+    this._debugLog(
+      `[PCM STREAMING] Processing ${pcmChunks.length} storage chunks into streaming transcription segments`,
+    );
+    this._debugLog(
+      `[PCM STREAMING] Segment size: ${originalSamplesPerSegment} samples (${chunkIntervalMs}ms), overlap ${runtimeSettings.overlapMs}ms, silence cut ${runtimeSettings.silenceCut}, ${runtimeSettings.concurrency} parallel`,
+    );
+
+    // Calculate total segments for progress tracking (silence cuts can shift this by one)
+    const totalSamples = pcmChunks.reduce(
+      (sum, chunk) => sum + (chunk.samplesCount || 0),
+      0,
+    );
+    const totalSegments = Math.ceil(totalSamples / originalSamplesPerSegment);
+
+    this._debugLog(
+      `[PCM STREAMING] Estimated ${totalSegments} segments from ${totalSamples} samples`,
+    );
+
+    // Convert each segment to WAV only when it is about to be transcribed
+    const service = this;
+    async function* wavSegments() {
+      for await (const pcmSegment of service._iteratePcmSegments(
+        pcmChunks,
+        metadata,
+        runtimeSettings,
+      )) {
+        service._debugLog(
+          `[PCM STREAMING] Segment ${pcmSegment.index + 1}: ${pcmSegment.samples.length} samples (${(pcmSegment.samples.length / numberOfChannels / originalSampleRate).toFixed(2)}s, ${pcmSegment.overlapSamples} overlapping)`,
+        );
+        yield {
+          index: pcmSegment.index,
+          data: service._pcmFloat32ToWavDataUrl(
+            pcmSegment.samples,
+            originalSampleRate,
+            numberOfChannels,
+          ),
+          mimeType: "audio/wav",
+          overlapping: pcmSegment.overlapSamples > 0,
+          startSample: pcmSegment.startSample,
+          endSample: pcmSegment.endSample,
+        };
+      }
+    }
+
+    const results = await this._transcribeSegmentsInOrder(
+      recordingKey,
+      wavSegments(),
+      {
+        settings: runtimeSettings,
+        speakers: runtimeSettings.diarization ? [] : null,
+        vocabulary,
+        channelLayout,
+        totalSegments,
+        onProgress,
+        signal,
+        onUsage,
+      },
+    );
+
+    const segments = results.map(({ segment, result }) =>
+      this._createTranscriptSegment(
+        segment.index,
+        segment.startSample,
+        segment.endSample - segment.startSample,
+        originalSampleRate,
+        numberOfChannels,
+        result.text,
+        result.utterances,
+        result.languages,
+      ),
+    );
+
+    const finalTranscription = ChunkedTranscriptionService.joinTranscriptSegments(
+      segments,
+      { channelLayout },
+    );
+    this._debugLog(
+      `[PCM STREAMING] Completed: ${segments.length} segments transcribed, ${finalTranscription.length} total characters`,
+    );
+
+    if (onProgress) {
+      onProgress(
+        "Transcription complete!",
+        segments.length,
+        segments.length,
+        finalTranscription,
+      );
+    }
+
+    return {
+      text: finalTranscription,
+      segments,
+      languages: this._summarizeDetectedLanguages(segments),
+    };
+  }
+
+  /**
+   * Transcribe segments through the request scheduler and put the results back in order
+   * Up to settings.concurrency segments are transcribed at once, and request starts
+   * are paced by a token bucket refilled at settings.requestsPerMinute. Each result
+   * is saved to the resume state as soon as it arrives, even ahead of earlier
+   * segments; overlap stitching and prompt context follow segment order, so a
+   * segment only gets the context of the segments before it that had finished
+   * when it started.
+   * @param {string} recordingKey - Recording key (for resume state)
+   * @param {AsyncIterable|Iterable} segmentSource - Segments in index order:
+   *   { index, data, mimeType, overlapping, completed? }, plus any fields the caller
+   *   needs back. Segments with `completed` ({ text, utterances, languages, stitched })
+   *   come from a resume state and are not transcribed again.
+   * @param {Object} options
+   * @param {Object} options.settings - Runtime settings from _getTranscriptionRuntimeSettings()
+   * @param {Array|null} options.speakers - Speaker roster when diarizing
+   * @param {Array<string>} options.vocabulary - Glossary terms
+   * @param {string|null} [options.channelLayout] - "tab-mic" for dual-track audio
+   * @param {number} options.totalSegments - Segment count (or estimate) for progress
+   * @param {Function} [options.onProgress] - Progress callback
+   * @param {AbortSignal} [options.signal] - Cancels the run
+   * @param {Function} [options.onUsage] - Receives token counts of each billed request
+   * @returns {Promise<Array<{segment: Object, result: Object}>>} - Stitched results in order
+   * @private
+   */
+  async _transcribeSegmentsInOrder(
+    recordingKey,
+    segmentSource,
+    {
+      settings,
+      speakers,
+      vocabulary,
+      channelLayout = null,
+      totalSegments,
+      onProgress,
+      signal = null,
+      onUsage = null,
+    },
+  ) {
+    const { maxOutputTokens, contextCarryOver, language } = settings;
+    const concurrency = settings.concurrency || 1;
+    const bucket = new RequestTokenBucket(settings.requestsPerMinute, concurrency);
+
+    let context = contextCarryOver ? this._createTranscriptionContext() : null;
+    const ordered = []; // Stitched results, in segment order
+    const finished = new Map(); // Index -> result waiting for an earlier segment
+    const inFlight = new Set();
+    let previousResult = null;
+    let failure = null;
+    let highestIndex = -1;
+
+    // State saves read and rewrite the whole state, so they must not overlap
+    let saveChain = Promise.resolve();
+    const saveProgress = (...args) => {
+      saveChain = saveChain
+        .catch(() => {})
+        .then(() => this._saveTranscriptionProgress(recordingKey, ...args));
+      return saveChain;
+    };
+
+    const total = () => Math.max(totalSegments, highestIndex + 1);
+    const report = (message) => {
+      if (onProgress) onProgress(message, ordered.length, total());
+    };
+
+    // Move every result that is next in line into `ordered`
+    const assembleReady = async () => {
+      while (finished.has(ordered.length)) {
+        const index = ordered.length;
+        const { segment, result: rawResult, stitched, saved } = finished.get(index);
+        finished.delete(index);
+
+        const needsStitch = !stitched && segment.overlapping && previousResult;
+        const result = needsStitch
+          ? this._stitchSegmentResult(previousResult, rawResult)
+          : rawResult;
+        ordered.push({ segment, result });
+        previousResult = result;
+        context =
+          context && this._advanceTranscriptionContext(context, result.text);
+
+        if (!saved || needsStitch) {
+          await saveProgress(index, result.text, null, {
+            utterances: result.utterances,
+            speakers,
+            languages: result.languages,
+          });
+        }
+      }
+    };
+
+    const transcribeSegment = async (segment) => {
+      const { index } = segment;
+      try {
+        const result = this._normalizeSegmentResult(
+          await this._transcribeSingleChunk(
+            segment.data,
+            index + 1,
+            segment.mimeType,
+            maxOutputTokens,
+            {
+              channelLayout,
+              speakers,
+              context,
+              vocabulary,
+              language,
+              onProgress: onProgress && report,
+              signal,
+              onUsage,
+            },
+          ),
+          vocabulary,
+        );
+        segment.data = null; // Allow garbage collection of the audio
+
+        this._debugLog(
+          `[SEGMENT SCHEDULER] Segment ${index + 1} transcription: ${result.text.length} chars`,
+        );
+        if (result.text.length === 0) {
+          console.warn(
+            `[SEGMENT SCHEDULER] WARNING: Segment ${index + 1} returned empty transcription!`,
+          );
+        }
+
+        // A segment that finished ahead of an earlier one is kept unstitched until its turn
+        const waiting = index !== ordered.length;
+        finished.set(index, { segment, result, stitched: false, saved: waiting });
+        if (waiting) {
+          saveProgress(index, result.text, null, {
+            utterances: result.utterances,
+            speakers,
+            languages: result.languages,
+            stitched: !segment.overlapping,
+          });
+        }
+        await assembleReady();
+      } catch (error) {
+        console.error(`Error transcribing segment ${index + 1}:`, error);
+        failure = failure || { error, index };
+        await saveProgress(
+          index,
+          null,
+          this._isAbortError(error) ? "Cancelled" : error.message,
+        );
+      }
+    };
+
+    try {
+      for await (const segment of segmentSource) {
+        if (failure) break;
+        signal?.throwIfAborted();
+        highestIndex = Math.max(highestIndex, segment.index);
+
+        if (segment.completed) {
+          finished.set(segment.index, {
+            segment,
+            result: segment.completed,
+            stitched: segment.completed.stitched,
+            saved: true,
+          });
+          await assembleReady();
+          continue;
+        }
+
+        // Wait for a free slot, then for the request budget
+        while (inFlight.size >= concurrency) {
+          await Promise.race(inFlight);
+        }
+        if (failure) break;
+
+        const waitMs = bucket.reserve();
+        if (waitMs > 0) {
+          this._debugLog(
+            `[SEGMENT SCHEDULER] Waiting ${waitMs}ms before segment ${segment.index + 1}`,
+          );
+          await this._sleep(waitMs, signal);
+        }
+
+        report(
+          `Transcribing segment ${segment.index + 1}/${total()}${inFlight.size > 0 ? ` (${inFlight.size + 1} in parallel)` : ""}...`,
+        );
+        const task = transcribeSegment(segment).finally(() =>
+          inFlight.delete(task),
+        );
+        inFlight.add(task);
+      }
+    } finally {
+      // Segments already sent are paid for, so let them finish and keep their results
+      await Promise.all(inFlight);
+      await saveChain.catch(() => {});
+    }
+
+    if (failure) {
+      if (this._isAbortError(failure.error)) throw failure.error;
+      throw new Error(
+        `Failed at segment ${failure.index + 1}/${total()}: ${failure.error.message}`,
+      );
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Split interleaved PCM storage chunks into transcription segments, one at a time
+   * Segments nominally last chunkIntervalMs. With silenceCut the boundary moves to
+   * the quietest frame near the nominal cut, and with overlapMs each segment also
+   * starts that far before its boundary so words on the cut are heard twice (the
+   * repeated text is removed by _stitchSegmentResult).
+   * @param {Array} pcmChunks - Storage chunks in order
+   * @param {Object} metadata - Recording metadata (sampleRate, numberOfChannels)
+   * @param {Object} settings - { chunkIntervalMs, overlapMs, silenceCut }
+   * @yields {{index: number, samples: Float32Array, startSample: number, endSample: number, overlapSamples: number, hasMore: boolean}}
+   *   startSample/endSample are the segment's own (non-overlapping) interleaved offsets
+   * @private
+   */
+  async *_iteratePcmSegments(
+    pcmChunks,
+    metadata,
+    { chunkIntervalMs, overlapMs = 0, silenceCut = false },
+  ) {
+    const sampleRate = metadata.sampleRate || 48000;
+    const numberOfChannels = metadata.numberOfChannels || 1;
+    const msToSamples = (ms) =>
+      Math.floor((ms / 1000) * sampleRate) * numberOfChannels;
+
+    const segmentSamples = msToSamples(chunkIntervalMs);
+    // Overlap and boundary search are capped so a boundary can't cross the previous one
+    const maxShiftSamples = msToSamples(chunkIntervalMs / 4);
+    const overlapSamples = Math.min(msToSamples(overlapMs), maxShiftSamples);
+    const searchSamples = silenceCut
+      ? Math.min(
+          msToSamples(
+            window.RECORDING_CONSTANTS?.TRANSCRIPTION_SILENCE_SEARCH_MS ?? 2000,
+          ),
+          maxShiftSamples,
+        )
+      : 0;
+
+    let buffer = new Float32Array(0); // Audio not yet released, from bufferStartSample
+    let bufferStartSample = 0;
+    let boundarySample = 0; // Where the next segment's own audio starts
+    let chunkIdx = 0;
+    let index = 0;
+
+    while (true) {
+      // Audio before the boundary is overlap carried over from the previous segment
+      const lead = boundarySample - bufferStartSample;
+      const needed = lead + segmentSamples + searchSamples;
+
+      while (buffer.length < needed && chunkIdx < pcmChunks.length) {
+        this._debugLog(
+          `[PCM SEGMENTS] Loading storage chunk ${chunkIdx + 1}/${pcmChunks.length}`,
+        );
+        // Decode PCM data (supports both Int16 and Float32 formats)
+        const pcmData = this._decodePcmChunk(pcmChunks[chunkIdx]);
+        chunkIdx++;
+
+        const merged = new Float32Array(buffer.length + pcmData.length);
+        merged.set(buffer, 0);
+        merged.set(pcmData, buffer.length);
+        buffer = merged;
+
+        // Allow garbage collection
+        await this._sleep(10);
+      }
+
+      if (buffer.length <= lead) {
+        return; // Nothing left beyond the overlap
+      }
+
+      let cut;
+      if (buffer.length < needed) {
+        cut = buffer.length; // Final segment takes everything that's left
+      } else {
+        const nominalCut = lead + segmentSamples;
+        cut = silenceCut
+          ? this._findQuietestCut(
+              buffer,
+              Math.max(lead + numberOfChannels, nominalCut - searchSamples),
+              nominalCut + searchSamples,
+              sampleRate,
+              numberOfChannels,
+            )
+          : nominalCut;
+      }
+
+      const nextBoundary = bufferStartSample + cut;
+      const hasMore = cut < buffer.length || chunkIdx < pcmChunks.length;
+
+      yield {
+        index,
+        samples: buffer.slice(0, cut),
+        startSample: boundarySample,
+        endSample: nextBoundary,
+        overlapSamples: lead,
+        hasMore,
+      };
+
+      if (!hasMore) {
+        return;
+      }
+
+      // Keep the overlap before the new boundary for the next segment
+      const keepFrom = Math.max(0, cut - overlapSamples);
+      buffer = buffer.slice(keepFrom);
+      bufferStartSample += keepFrom;
+      boundarySample = nextBoundary;
+      index++;
+    }
+  }
+
+  /**
+   * Find the quietest point between two interleaved offsets by scanning short-frame energy
+   * @returns {number} - Interleaved offset of the middle of the quietest frame
+   * @private
+   */
+  _findQuietestCut(pcmData, from, to, sampleRate, numberOfChannels) {
+    const frameMs = window.RECORDING_CONSTANTS?.TRANSCRIPTION_SILENCE_FRAME_MS ?? 20;
+    const frameSamples =
+      Math.max(1, Math.floor((frameMs / 1000) * sampleRate)) * numberOfChannels;
+    const start = Math.floor(from / numberOfChannels) * numberOfChannels;
+    const end = Math.min(to, pcmData.length) - frameSamples;
+
+    let quietestOffset = null;
+    let quietestEnergy = Infinity;
+
+    for (let offset = start; offset <= end; offset += frameSamples) {
+      let energy = 0;
+      for (let i = offset; i < offset + frameSamples; i++) {
+        energy += pcmData[i] * pcmData[i];
+      }
+      if (energy < quietestEnergy) {
+        quietestEnergy = energy;
+        quietestOffset = offset;
+      }
+    }
+
+    if (quietestOffset === null) {
+      return Math.min(to, pcmData.length);
+    }
+
+    const halfFrame =
+      Math.floor(frameSamples / numberOfChannels / 2) * numberOfChannels;
+    return quietestOffset + halfFrame;
+  }
+
+  /**
+   * Drop the start of a segment's result that repeats the end of the previous one
+   * Overlapping audio is transcribed twice; for diarized results only the first
+   * utterance can overlap the previous segment's last utterance.
+   * @private
+   */
+  _stitchSegmentResult(previousResult, result) {
+    if (result.utterances && result.utterances.length > 0) {
+      const previousTail = previousResult.utterances?.length
+        ? previousResult.utterances[previousResult.utterances.length - 1].text
+        : previousResult.text;
+      const [first, ...rest] = result.utterances;
+      const firstText = this._stitchOverlap(previousTail, first.text);
+      const utterances = firstText ? [{ ...first, text: firstText }, ...rest] : rest;
+
+      return {
+        ...result,
+        text: ChunkedTranscriptionService.formatUtterances(utterances),
+        utterances,
+      };
+    }
+
+    return {
+      ...result,
+      text: this._stitchOverlap(previousResult.text, result.text),
+    };
+  }
+
+  /**
+   * Remove leading words of text that repeat the trailing words of previousText
+   * Words are compared case- and punctuation-insensitively. The first couple of
+   * words may be skipped too, since a segment starting mid-word often garbles them.
+   * @private
+   */
+  _stitchOverlap(previousText, text) {
+    const MAX_OVERLAP_WORDS = 60;
+    const MIN_MATCH_WORDS = 2;
+    const MAX_SKIPPED_WORDS = 2;
+
+    if (!previousText || !text) {
+      return text;
+    }
+
+    const normalize = (word) =>
+      word.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+    const previousWords = previousText
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(-MAX_OVERLAP_WORDS)
+      .map(normalize);
+    const wordMatches = [...text.matchAll(/\S+/g)].slice(
+      0,
+      MAX_OVERLAP_WORDS + MAX_SKIPPED_WORDS,
+    );
+    const words = wordMatches.map((match) => normalize(match[0]));
+
+    const maxLength = Math.min(previousWords.length, words.length);
+    for (let length = maxLength; length >= MIN_MATCH_WORDS; length--) {
+      for (let skip = 0; skip <= MAX_SKIPPED_WORDS; skip++) {
+        if (skip + length > words.length) break;
+
+        let matches = true;
+        for (let i = 0; i < length; i++) {
+          if (previousWords[previousWords.length - length + i] !== words[skip + i]) {
+            matches = false;
+            break;
+          }
+        }
+
+        if (matches) {
+          const lastMatch = wordMatches[skip + length - 1];
+          this._debugLog(
+            `[STITCH] Removed ${skip + length} overlapping words: "${text.slice(0, lastMatch.index + lastMatch[0].length)}"`,
+          );
+          return text.slice(lastMatch.index + lastMatch[0].length).trimStart();
+        }
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Empty prompt context for the first segment of a recording
+   * @private
+   */
+  _createTranscriptionContext() {
+    return { previousText: "", glossary: [] };
+  }
+
+  /**
+   * Carry a finished segment's transcript into the context for the next segment
+   * Keeps the end of the text and adds its proper nouns to the running glossary
+   * (most recently seen last, oldest dropped once the glossary is full).
+   * @param {Object} context - { previousText, glossary }
+   * @param {string} text - Transcript of the segment just finished
+   * @returns {Object} - New context
+   * @private
+   */
+  _advanceTranscriptionContext(context, text) {
+    const tailChars =
+      window.RECORDING_CONSTANTS?.TRANSCRIPTION_CONTEXT_TAIL_CHARS ?? 300;
+    const glossarySize =
+      window.RECORDING_CONSTANTS?.TRANSCRIPTION_CONTEXT_GLOSSARY_SIZE ?? 50;
+
+    const trimmed = (text || "").trim();
+    if (!trimmed) {
+      return context; // Silent segment - keep the earlier context
+    }
+
+    let previousText = trimmed;
+    if (trimmed.length > tailChars) {
+      // Start the tail on a word boundary
+      previousText = trimmed.slice(-tailChars).replace(/^\S*\s+/, "");
+    }
+
+    let glossary = [...(context?.glossary || [])];
+    for (const term of this._extractGlossaryTerms(trimmed)) {
+      glossary = glossary.filter((existing) => existing !== term);
+      glossary.push(term);
+    }
+    if (glossary.length > glossarySize) {
+      glossary = glossary.slice(glossary.length - glossarySize);
+    }
+
+    return { previousText, glossary };
+  }
+
+  /**
+   * Find likely proper nouns and acronyms: capitalised words that don't start a
+   * sentence, with consecutive ones kept together ("New York")
+   * @param {string} text - Transcript text
+   * @returns {string[]} - Unique terms in order of appearance
+   * @private
+   */
+  _extractGlossaryTerms(text) {
+    const IGNORED = new Set(["I", "I'm", "I'll", "I've", "I'd", "OK"]);
+    const terms = new Set();
+
+    for (const line of text.split("\n")) {
+      // Drop speaker prefixes ("Them:", "Speaker A:")
+      const tokens = line
+        .replace(/^[^:]{1,40}:\s+/, "")
+        .split(/\s+/)
+        .filter(Boolean);
+      let sentenceStart = true;
+      let run = [];
+
+      const flush = () => {
+        if (run.length > 0 && run.join(" ").length > 1) {
+          terms.add(run.join(" "));
+        }
+        run = [];
+      };
+
+      for (const token of tokens) {
+        const word = token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+
+        if (word && !sentenceStart && /^\p{Lu}/u.test(word) && !IGNORED.has(word)) {
+          run.push(word);
+        } else {
+          flush();
+        }
+
+        // Names don't continue across punctuation
+        if (/[^\p{L}\p{N}]$/u.test(token)) {
+          flush();
+        }
+        sentenceStart = /[.!?:]["')\]]*$/.test(token);
+      }
+      flush();
+    }
+
+    return [...terms];
+  }
+
+  /**
+   * Build a timed transcript segment from its position in the interleaved PCM stream
+   * @private
+   */
+  _createTranscriptSegment(
+    index,
+    startSample,
+    samplesCount,
+    sampleRate,
+    numberOfChannels,
+    text,
+    utterances = null,
+    languages = null,
+  ) {
+    const toSeconds = (samples) =>
+      Math.round((samples / numberOfChannels / sampleRate) * 1000) / 1000;
+
+    const segment = {
+      index,
+      start: toSeconds(startSample),
+      end: toSeconds(startSample + samplesCount),
+      text,
+    };
+    if (utterances) {
+      segment.utterances = utterances;
+    }
+    if (languages) {
+      segment.languages = languages;
+    }
+    return segment;
+  }
+
+  /**
+   * Resume incomplete chunked transcription
+   * @param {string} recordingKey - Recording key
+   * @param {function} onProgress - Progress callback
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the run, keeping the resume state
+   * @param {Function} [options.onUsage] - Receives token counts of each billed request
+   * @returns {Promise<{text: string, segments: Array|null, languages: Array|null}>} - Complete
+   *   merged transcription and the detected languages, most spoken first
+   */
+  async resumeChunkedTranscription(
+    recordingKey,
+    onProgress,
+    { signal = null, onUsage = null } = {},
+  ) {
+    try {
+      if (!this.isReady) {
+        await this.initialize(onProgress);
+      }
+
+      // Get transcription state
+      const state = await this._getTranscriptionState(recordingKey);
+
+      if (!state) {
+        throw new Error(
+          "No transcription state found. Start a new transcription instead.",
+        );
+      }
+
+      // Get recording metadata to check if it's PCM format
+      const metadata = await this._getRecordingMetadata(recordingKey);
+
+      // Get all chunks for this recording from IndexedDB
+      const rawChunks = await this._getRecordingChunks(recordingKey);
+
+      // Check if chunks are PCM format (new continuous recording system)
+      let recordingChunks;
+      const isPcmFormat =
+        rawChunks[0]?.format === "pcm-float32" ||
+        rawChunks[0]?.format === "pcm-int16" ||
+        metadata?.isPcm;
+
+      if (isPcmFormat) {
+        this._debugLog(
+          `[RESUME TRANSCRIPTION] Detected PCM format, converting to WAV segments`,
+        );
+        if (onProgress) {
+          onProgress("Converting PCM audio to transcription segments...", 0, 1);
+        }
+        // Convert PCM chunks to time-based WAV segments for transcription
+        recordingChunks = await this._preparePcmTranscriptionSegments(
+          recordingKey,
+          rawChunks,
+          metadata,
+        );
+      } else {
+        // Use WebM chunks directly (legacy format)
+        recordingChunks = rawChunks;
+      }
+
+      const channelLayout = isPcmFormat
+        ? this._getChannelLayout(metadata, rawChunks)
+        : null;
+      const totalChunks = recordingChunks.length;
+      const runtimeSettings = await this._getTranscriptionRuntimeSettings();
+      // Carry the roster over so resumed segments keep the same speaker labels
+      const speakers = runtimeSettings.diarization ? state.speakers || [] : null;
+      const vocabulary = await this._getTranscriptionVocabulary(
+        metadata?.glossary,
+      );
+
+      // Earlier runs may have finished segments out of order; only the gaps are transcribed
+      const unstitched = new Set(state.unstitchedSegments || []);
+      const segmentsToRun = recordingChunks.map((chunk, i) => {
+        const text = state.completedTranscriptions[i];
+        return {
+          index: i,
+          data: chunk.data,
+          mimeType: isPcmFormat ? "audio/wav" : "audio/webm",
+          // Legacy WebM chunks were joined without overlap
+          overlapping: Boolean(chunk.overlapping),
+          completed:
+            text != null
+              ? {
+                  text,
+                  utterances: state.completedUtterances?.[i] || null,
+                  languages: state.completedLanguages?.[i] || null,
+                  stitched: !unstitched.has(i),
+                }
+              : null,
+        };
+      });
+      const remaining = segmentsToRun.filter((segment) => !segment.completed);
+
+      if (onProgress) {
+        onProgress(
+          `Resuming: ${remaining.length} of ${totalChunks} segments left...`,
+          state.lastCompletedChunk + 1,
+          totalChunks,
+        );
+      }
+
+      const results = await this._transcribeSegmentsInOrder(
+        recordingKey,
+        segmentsToRun,
+        {
+          settings: runtimeSettings,
+          speakers,
+          vocabulary,
+          channelLayout,
+          totalSegments: totalChunks,
+          onProgress,
+          signal,
+          onUsage,
+        },
+      );
+      const transcriptions = results.map(({ result }) => result.text);
+      const completedUtterances = results.map(({ result }) => result.utterances);
+      const completedLanguages = results.map(({ result }) => result.languages);
+
+      // Prepared PCM segments know their timing, so completed texts from an
+      // earlier run get the same timestamps as the ones transcribed now
+      let segments = null;
+      let finalTranscription;
+      if (isPcmFormat) {
+        segments = recordingChunks.map((chunk, i) => {
+          const segment = {
+            index: chunk.chunkNumber,
+            start: chunk.start,
+            end: chunk.end,
+            text: transcriptions[i] || "",
+          };
+          if (completedUtterances[i]) {
+            segment.utterances = completedUtterances[i];
+          }
+          if (completedLanguages[i]) {
+            segment.languages = completedLanguages[i];
+          }
+          return segment;
+        });
+        finalTranscription = ChunkedTranscriptionService.joinTranscriptSegments(
+          segments,
+          { channelLayout },
+        );
+      } else {
+        finalTranscription = transcriptions.join(speakers ? "\n" : " ");
+      }
+
+      if (onProgress) {
+        onProgress(
+          "Transcription complete!",
+          totalChunks,
+          totalChunks,
+          finalTranscription,
+        );
+      }
+
+      const languages = this._summarizeDetectedLanguages(
+        transcriptions.map((text, i) => ({
+          text,
+          languages: completedLanguages[i],
+        })),
+      );
+
+      return { text: finalTranscription, segments, languages };
+    } catch (error) {
+      if (this._isAbortError(error)) throw error;
+      console.error("Resume chunked transcription error:", error);
+      throw new Error("Resume failed: " + error.message);
+    }
+  }
+
+  /**
+   * Get recording chunks from IndexedDB
+   * @private
+   */
+  async _getRecordingChunks(recordingKey) {
+    const dbManager = await import("../utils/indexeddb.js").then(
+      (m) => m.default,
+    );
+    await dbManager.init();
+
+    // Key-range query on the chunks store, already sorted by chunk number
+    return dbManager.getRecordingChunksWithData(recordingKey);
+  }
+
+  /**
+   * Get recording metadata from IndexedDB
+   * @private
+   */
+  async _getRecordingMetadata(recordingKey) {
+    const dbManager = await import("../utils/indexeddb.js").then(
+      (m) => m.default,
+    );
+    await dbManager.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = dbManager.db.transaction(["recordings"], "readonly");
+      const objectStore = transaction.objectStore("recordings");
+      const request = objectStore.get(recordingKey);
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Prepare transcription segments from PCM chunks
+   * Uses the same boundaries as streaming transcription, so a resumed run lines up
+   * with the segments that were already transcribed
+   * @private
+   */
+  async _preparePcmTranscriptionSegments(recordingKey, pcmChunks, metadata) {
+    const originalSampleRate = metadata.sampleRate || 48000;
+    const numberOfChannels = metadata.numberOfChannels || 1;
+
+    const runtimeSettings = await this._getTranscriptionRuntimeSettings();
+
+    this._debugLog(
+      `[PCM TRANSCRIPTION] Chunk interval: ${runtimeSettings.chunkIntervalMs}ms, overlap ${runtimeSettings.overlapMs}ms, silence cut ${runtimeSettings.silenceCut}`,
+    );
+    this._debugLog(
+      `[PCM TRANSCRIPTION] Processing ${pcmChunks.length} storage chunks into transcription segments...`,
+    );
+
+    const segments = [];
+    for await (const pcmSegment of this._iteratePcmSegments(
+      pcmChunks,
+      metadata,
+      runtimeSettings,
+    )) {
+      const wavDataUrl = this._pcmFloat32ToWavDataUrl(
+        pcmSegment.samples,
+        originalSampleRate,
+        numberOfChannels,
+      );
+
+      const samplesCount = pcmSegment.endSample - pcmSegment.startSample;
+      const { start, end } = this._createTranscriptSegment(
+        pcmSegment.index,
+        pcmSegment.startSample,
+        samplesCount,
+        originalSampleRate,
+        numberOfChannels,
+        "",
+      );
+      segments.push({
+        data: wavDataUrl,
+        chunkNumber: pcmSegment.index,
+        samplesCount,
+        duration: samplesCount / numberOfChannels / originalSampleRate,
+        start,
+        end,
+        overlapping: pcmSegment.overlapSamples > 0,
+      });
+
+      this._debugLog(
+        `[PCM TRANSCRIPTION] Segment ${pcmSegment.index}: ${pcmSegment.samples.length} samples (${(pcmSegment.samples.length / numberOfChannels / originalSampleRate).toFixed(2)}s)`,
+      );
+    }
+
+    this._debugLog(
+      `[PCM TRANSCRIPTION] Created ${segments.length} transcription segments from ${pcmChunks.length} storage chunks`,
+    );
+    return segments;
+  }
+
+  /**
+   * Convert PCM Float32 data to WAV data URL
+   * Always downsamples to 16kHz for smaller file size (optimal for speech transcription)
+   * @private
+   */
+  _pcmFloat32ToWavDataUrl(pcmData, sampleRate, numberOfChannels) {
+    // Always use 16kHz for transcription regardless of recording quality
+    // This reduces file size significantly while maintaining speech quality
+    const targetSampleRate = 16000;
+    const downsampledData = this._downsample(
+      pcmData,
+      sampleRate,
+      targetSampleRate,
+      numberOfChannels,
+    );
+
+    this._debugLog(
+      `[WAV CONVERSION] Original sample rate: ${sampleRate} Hz, Target: ${targetSampleRate} Hz, Samples: ${pcmData.length} -> ${downsampledData.length}`,
+    );
+
+    const bytesPerSample = 2; // 16-bit audio
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const byteRate = targetSampleRate * blockAlign;
+    const dataSize = downsampledData.length * bytesPerSample;
+    const headerSize = 44;
+    const totalSize = headerSize + dataSize;
+
+    const buffer = new ArrayBuffer(totalSize);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    this._writeString(view, 0, "RIFF");
+    view.setUint32(4, totalSize - 8, true);
+    this._writeString(view, 8, "WAVE");
+
+    // fmt chunk
+    this._writeString(view, 12, "fmt ");
+    view.setUint32(16, 16, true); // chunk size
+    view.setUint16(20, 1, true); // audio format (PCM)
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, targetSampleRate, true);
+    view.setUint32(28, byteRate, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true); // bits per sample
+
+    // data chunk
+    this._writeString(view, 36, "data");
+    view.setUint32(40, dataSize, true);
+
+    // Write PCM samples (convert Float32 to Int16)
+    let writeOffset = 44;
+    for (let i = 0; i < downsampledData.length; i++) {
+      const sample = Math.max(-1, Math.min(1, downsampledData[i]));
+      const int16 = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+      view.setInt16(writeOffset, int16, true);
+      writeOffset += 2;
+    }
+
+    // Convert to base64 data URL
+    const uint8Array = new Uint8Array(buffer);
+    let binary = "";
+    for (let i = 0; i < uint8Array.length; i++) {
+      binary += String.fromCharCode(uint8Array[i]);
+    }
+    const base64 = btoa(binary);
+
+    return `data:audio/wav;base64,${base64}`;
+  }
+
+  /**
+   * Decode PCM chunk data to Float32Array (supports both Int16 and Float32 formats)
+   * Multi-channel chunks stay interleaved (L, R, L, R, ...)
+   * @private
+   */
+  _decodePcmChunk(chunk) {
+    const bytes = this._pcmChunkBytes(chunk.data);
+
+    // Check format and convert to Float32Array
+    if (chunk.format === "pcm-int16") {
+      // Int16 format - convert to Float32 for processing
+      const int16Data = new Int16Array(
+        bytes.buffer,
+        bytes.byteOffset,
+        bytes.byteLength / 2,
+      );
+      const float32Data = new Float32Array(int16Data.length);
+      for (let i = 0; i < int16Data.length; i++) {
+        // Convert Int16 [-32768, 32767] to Float32 [-1, 1]
+        float32Data[i] = int16Data[i] / (int16Data[i] < 0 ? 0x8000 : 0x7fff);
+      }
+      return float32Data;
+    } else {
+      // Float32 format (legacy)
+      return new Float32Array(
+        bytes.buffer,
+        bytes.byteOffset,
+        bytes.byteLength / 4,
+      );
+    }
+  }
+
+  /**
+   * Raw bytes of a PCM chunk (ArrayBuffer for binary chunks, base64 data URL for older ones)
+   * @private
+   */
+  _pcmChunkBytes(data) {
+    if (data instanceof ArrayBuffer) {
+      return new Uint8Array(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    const binaryString = atob(data.split(",")[1]);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+      bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Downsample audio data using simple linear interpolation
+   * Interleaved multi-channel data is resampled frame by frame
+   * @private
+   */
+  _downsample(pcmData, fromSampleRate, toSampleRate, numberOfChannels = 1) {
+    if (fromSampleRate === toSampleRate) {
+      return pcmData;
+    }
+
+    const ratio = fromSampleRate / toSampleRate;
+    const inputFrames = Math.floor(pcmData.length / numberOfChannels);
+    const outputFrames = Math.floor(inputFrames / ratio);
+    const downsampled = new Float32Array(outputFrames * numberOfChannels);
+
+    for (let i = 0; i < outputFrames; i++) {
+      const sourceIndex = i * ratio;
+      const index0 = Math.floor(sourceIndex);
+      const index1 = Math.min(index0 + 1, inputFrames - 1);
+      const fraction = sourceIndex - index0;
+
+      // Linear interpolation
+      for (let channel = 0; channel < numberOfChannels; channel++) {
+        downsampled[i * numberOfChannels + channel] =
+          pcmData[index0 * numberOfChannels + channel] * (1 - fraction) +
+          pcmData[index1 * numberOfChannels + channel] * fraction;
+      }
+    }
+
+    return downsampled;
+  }
+
+  /**
+   * Channel layout of a PCM recording ("tab-mic" for dual-track stereo)
+   * @private
+   */
+  _getChannelLayout(metadata, pcmChunks) {
+    const channelLayout =
+      metadata?.channelLayout || pcmChunks?.[0]?.channelLayout || null;
+    const numberOfChannels =
+      metadata?.numberOfChannels || pcmChunks?.[0]?.numberOfChannels || 1;
+    return numberOfChannels === 2 ? channelLayout : null;
+  }
+
+  /**
+   * Write string to DataView
+   * @private
+   */
+  _writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  }
+
+  /**
+   * Group chunks into larger segments
+   * @private
+   */
+  _groupChunks(chunks, chunksPerGroup) {
+    const groups = [];
+    for (let i = 0; i < chunks.length; i += chunksPerGroup) {
+      groups.push(chunks.slice(i, i + chunksPerGroup));
+    }
+    return groups;
+  }
+
+  /**
+   * Merge multiple audio chunks into a single data URL
+   * @private
+   */
+  async _mergeAudioChunks(chunks) {
+    if (chunks.length === 1) {
+      return chunks[0].data;
+    }
+
+    try {
+      // Convert data URLs to blobs (without fetch to avoid CSP issues)
+      const blobs = chunks.map((chunk) => this._dataURLtoBlob(chunk.data));
+
+      // Merge blobs
+      const mergedBlob = new Blob(blobs, { type: "audio/webm" });
+
+      // Convert back to data URL
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(mergedBlob);
+      });
+    } catch (error) {
+      console.error("Error merging audio chunks:", error);
+      throw new Error("Failed to merge audio chunks");
+    }
+  }
+
+  /**
+   * Convert data URL to Blob without fetch (avoids CSP issues)
+   * @private
+   */
+  _dataURLtoBlob(dataURL) {
+    const arr = dataURL.split(",");
+    const mime = arr[0].match(/:(.*?);/)[1];
+    const bstr = atob(arr[1]);
+    let n = bstr.length;
+    const u8arr = new Uint8Array(n);
+    while (n--) {
+      u8arr[n] = bstr.charCodeAt(n);
+    }
+    return new Blob([u8arr], { type: mime });
+  }
+
+  /**
+   * Save transcription progress to chrome.storage.local
+   * Diarized runs also keep each segment's utterances and the speaker roster, and
+   * detected languages are kept per segment, so a resumed run continues where this
+   * one stopped. Segments may be saved out of order; one saved before its overlap
+   * with the previous segment was removed is listed in unstitchedSegments.
+   * @private
+   */
+  async _saveTranscriptionProgress(
+    recordingKey,
+    chunkIndex,
+    transcription,
+    error = null,
+    { utterances = null, speakers = null, languages = null, stitched = true } = {},
+  ) {
+    const stateKey = `transcription_state_${recordingKey}`;
+
+    let state = await this._storageGet(stateKey).then(
+      (r) =>
+        r[stateKey] || {
+          recordingKey,
+          completedTranscriptions: [],
+          lastCompletedChunk: -1,
+          startedAt: Date.now(),
+        },
+    );
+
+    if (transcription !== null) {
+      state.completedTranscriptions[chunkIndex] = transcription;
+      if (utterances) {
+        state.completedUtterances = state.completedUtterances || [];
+        state.completedUtterances[chunkIndex] = utterances;
+      }
+      if (speakers) {
+        state.speakers = speakers;
+      }
+      if (languages) {
+        state.completedLanguages = state.completedLanguages || [];
+        state.completedLanguages[chunkIndex] = languages;
+      }
+
+      const unstitched = new Set(state.unstitchedSegments || []);
+      if (stitched) {
+        unstitched.delete(chunkIndex);
+      } else {
+        unstitched.add(chunkIndex);
+      }
+      state.unstitchedSegments = [...unstitched];
+
+      // Last segment of the unbroken run from the start (later ones may be done too)
+      let lastCompleted = -1;
+      while (state.completedTranscriptions[lastCompleted + 1] != null) {
+        lastCompleted++;
+      }
+      state.lastCompletedChunk = lastCompleted;
+      state.lastUpdated = Date.now();
+      delete state.error;
+    } else if (error) {
+      state.error = error;
+      state.failedChunk = chunkIndex;
+      state.lastUpdated = Date.now();
+    }
+
+    await this._storageSet({ [stateKey]: state });
+  }
+
+  /**
+   * Get transcription state
+   * @private
+   */
+  async _getTranscriptionState(recordingKey) {
+    const stateKey = `transcription_state_${recordingKey}`;
+    const result = await this._storageGet(stateKey);
+    return result[stateKey] || null;
+  }
+
+  /**
+   * Clear transcription state (call after successful completion)
+   */
+  async clearTranscriptionState(recordingKey) {
+    const stateKey = `transcription_state_${recordingKey}`;
+    await this._storageRemove(stateKey);
+  }
+
+  /**
+   * Check if recording has incomplete transcription
+   */
+  async hasIncompleteTranscription(recordingKey) {
+    const state = await this._getTranscriptionState(recordingKey);
+    return state !== null;
+  }
+
+  /**
+   * Sleep utility; rejects with the abort reason if the signal fires first
+   * @private
+   */
+  _sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Whether an error comes from a cancelled run (AbortController.abort())
+   * @private
+   */
+  _isAbortError(error) {
+    return error?.name === "AbortError";
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== "undefined") {
+  window.ChunkedTranscriptionService = ChunkedTranscriptionService;
+}
@@ -1,116 +1,54 @@
 // Transcription service using Google Gemini API
 // Simple, reliable, and accurate transcription with FREE tier
 
-class GeminiTranscriptionService extends BaseTranscriptionService {
+// Structured output for diarized segments: a speaker roster plus labelled utterances
+const GEMINI_DIARIZATION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    speakers: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          label: { type: "STRING" },
+          description: { type: "STRING" },
+        },
+        required: ["label", "description"],
+      },
+    },
+    utterances: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          speaker: { type: "STRING" },
+          text: { type: "STRING" },
+        },
+        required: ["speaker", "text"],
+      },
+    },
+    languages: {
+      type: "ARRAY",
+      items: { type: "STRING" },
+    },
+  },
+  required: ["speakers", "utterances", "languages"],
+};
+
+// Plain-text transcriptions report the languages heard on a first line like "[languages: en, fa]"
+const GEMINI_LANGUAGE_TAG_INSTRUCTION =
+  ' Begin your response with one line of the form "[languages: xx, yy]" listing the ISO 639-1 codes of the languages spoken (use "[languages: none]" if nothing is said), then put the transcription on the following lines.';
+const GEMINI_LANGUAGE_TAG_PATTERN = /^\s*\[languages?:\s*([^\]\n]*)\]\s*/i;
+
+// HTTP statuses worth retrying: request timeout, rate limit and server overloads
+const GEMINI_TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+class GeminiTranscriptionService extends ChunkedTranscriptionService {
   constructor() {
     super();
     this.apiKey = null;
     this.model = "gemini-2.5-flash"; // Default model
-  }
-
-  _isDebugLoggingEnabled() {
-    return Boolean(window?.RECORDING_CONSTANTS?.DEBUG_TRANSCRIPTION_LOGS);
-  }
-
-  _debugLog(...args) {
-    if (this._isDebugLoggingEnabled()) {
-      this._debugLog(...args);
-    }
-  }
-
-  async _storageGet(keys) {
-    if (chrome?.storage?.local) {
-      return chrome.storage.local.get(keys);
-    }
-
-    const response = await chrome.runtime.sendMessage({
-      type: "storage-get",
-      target: "service-worker-storage",
-      keys,
-    });
-
-    if (!response?.success) {
-      throw new Error(response?.error || "storage-get bridge failed");
-    }
-
-    return response.data || {};
-  }
-
-  async _storageSet(items) {
-    if (chrome?.storage?.local) {
-      return chrome.storage.local.set(items);
-    }
-
-    const response = await chrome.runtime.sendMessage({
-      type: "storage-set",
-      target: "service-worker-storage",
-      items,
-    });
-
-    if (!response?.success) {
-      throw new Error(response?.error || "storage-set bridge failed");
-    }
-  }
-
-  async _storageRemove(keys) {
-    if (chrome?.storage?.local) {
-      return chrome.storage.local.remove(keys);
-    }
-
-    const response = await chrome.runtime.sendMessage({
-      type: "storage-remove",
-      target: "service-worker-storage",
-      keys,
-    });
-
-    if (!response?.success) {
-      throw new Error(response?.error || "storage-remove bridge failed");
-    }
-  }
-
-  async _getUserConfig() {
-    try {
-      const result = await this._storageGet("user_settings");
-      if (result?.user_settings && typeof result.user_settings === "object") {
-        const defaults =
-          typeof window !== "undefined" && window.DEFAULT_CONFIG
-            ? window.DEFAULT_CONFIG
-            : {};
-        return { ...defaults, ...result.user_settings };
-      }
-    } catch (error) {
-      console.warn(
-        "Direct user_settings read failed for Gemini settings, trying ConfigManager:",
-        error,
-      );
-    }
-
-    try {
-      if (typeof window !== "undefined" && window.configManager) {
-        await window.configManager.load();
-        return window.configManager.getAll();
-      }
-
-      if (typeof ConfigManager !== "undefined") {
-        const configManager = new ConfigManager();
-        return await configManager.load();
-      }
-    } catch (error) {
-      console.warn(
-        "Failed to load user config for Gemini settings, using defaults:",
-        error,
-      );
-    }
-
-    return {};
-  }
-
-  _sanitizeTranscriptionChunkIntervalMs(value) {
-    const fallback =
-      window.RECORDING_CONSTANTS?.TRANSCRIPTION_CHUNK_INTERVAL_MS || 300000;
-    const numeric = Number(value);
-    if (!Number.isFinite(numeric)) return fallback;
-    return Math.min(600000, Math.max(15000, Math.round(numeric)));
+    this.rateLimitDelayMs = 4000; // FREE tier allows 15 requests/minute
   }
 
   _sanitizeGeminiTranscriptionMaxOutputTokens(value) {
@@ -121,13 +59,23 @@ class GeminiTranscriptionService extends BaseTranscriptionService {
 
   async _getTranscriptionRuntimeSettings() {
     const userConfig = await this._getUserConfig();
+    const diarization = userConfig.geminiDiarization === true;
     return {
-      chunkIntervalMs: this._sanitizeTranscriptionChunkIntervalMs(
-        userConfig.transcriptionChunkIntervalMs,
-      ),
+      ...(await super._getTranscriptionRuntimeSettings(userConfig)),
       maxOutputTokens: this._sanitizeGeminiTranscriptionMaxOutputTokens(
         userConfig.geminiTranscriptionMaxOutputTokens,
       ),
+      diarization,
+      // Free tier: 15 requests/minute, one at a time; paid keys can raise both
+      requestsPerMinute: this._sanitizeRequestsPerMinute(
+        userConfig.geminiRequestsPerMinute,
+        60000 / this.rateLimitDelayMs,
+      ),
+      // Diarized segments share one speaker roster, which each segment must see
+      // complete so "Speaker A" stays the same person; they run one at a time
+      concurrency: diarization
+        ? 1
+        : this._sanitizeConcurrency(userConfig.geminiConcurrency),
     };
   }
 
@@ -188,7 +136,7 @@ class GeminiTranscriptionService extends BaseTranscriptionService {
     }
   }
 
-  async transcribe(audioDataUrl, onProgress) {
+  async transcribe(audioDataUrl, onProgress, options = {}) {
     try {
       if (!this.isReady) {
         await this.initialize(onProgress);
@@ -196,33 +144,41 @@ class GeminiTranscriptionService extends BaseTranscriptionService {
 
       if (onProgress) onProgress("Preparing audio...");
 
-      // Convert data URL to base64
+      // Convert data URL to base64, keeping the uploaded file's own type (MP3, WAV...)
       const base64Audio = audioDataUrl.split(",")[1];
-      const { maxOutputTokens } = await this._getTranscriptionRuntimeSettings();
+      const mimeType =
+        audioDataUrl.match(/^data:([^;,]+)/)?.[1] || "audio/webm";
+      const { maxOutputTokens, language } =
+        await this._getTranscriptionRuntimeSettings();
+      const vocabulary = await this._getTranscriptionVocabulary(
+        options.glossary,
+      );
+
+      // Large files go through the Files API instead of the request body
+      const { part: audioPart, file } = await this._createAudioPart(
+        base64Audio,
+        mimeType,
+        { onProgress, label: "Upload", signal: options.signal },
+      );
 
       if (onProgress) onProgress("Sending to Gemini...");
 
       // Use Gemini's multimodal API with audio (use configured model)
-      const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
+      let data;
+      try {
+        data = await this._generateContent(
+          {
             contents: [
               {
                 parts: [
                   {
-                    text: "Transcribe the complete audio file accurately. Provide the full transcription in chronological order, avoiding any repetition. Return only the transcription text with proper paragraph breaks where natural pauses occur.",
-                  },
-                  {
-                    inline_data: {
-                      mime_type: "audio/webm",
-                      data: base64Audio,
-                    },
+                    text:
+                      "Transcribe the complete audio file accurately. Provide the full transcription in chronological order, avoiding any repetition. Return only the transcription text with proper paragraph breaks where natural pauses occur." +
+                      GEMINI_LANGUAGE_TAG_INSTRUCTION +
+                      this._formatLanguagePrompt(language) +
+                      this._formatVocabularyPrompt(vocabulary),
                   },
+                  audioPart,
                 ],
               },
             ],
@@ -232,33 +188,38 @@ class GeminiTranscriptionService extends BaseTranscriptionService {
               topP: 0.95,
               maxOutputTokens,
             },
-          }),
-        },
-      );
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(
-          error.error?.message || `API request failed: ${response.status}`,
+          },
+          {
+            onProgress,
+            label: "Transcription",
+            signal: options.signal,
+            onUsage: options.onUsage,
+          },
         );
+      } finally {
+        await this._deleteFile(file);
       }
 
       if (onProgress) onProgress("Transcribing...");
 
-      const data = await response.json();
-
       // Extract transcription from Gemini response
-      const transcription = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      const { text: transcription, languages } = this._extractLanguageTag(
+        data.candidates?.[0]?.content?.parts?.[0]?.text,
+      );
 
       if (!transcription || transcription.trim() === "") {
         throw new Error("No speech detected in audio");
       }
+      if (languages && options.onLanguagesDetected) {
+        options.onLanguagesDetected(languages);
+      }
 
       // Clean up the transcription
       let cleanedTranscription = this._cleanTranscription(transcription);
 
-      return cleanedTranscription;
+      return this._correctGlossarySpellings(cleanedTranscription, vocabulary);
     } catch (error) {
+      if (this._isAbortError(error)) throw error;
       console.error("Gemini transcription error:", error);
 
       // If API key is invalid, clear it
@@ -272,84 +233,388 @@ class GeminiTranscriptionService extends BaseTranscriptionService {
     }
   }
 
-  _cleanTranscription(text) {
-    let cleaned = text.trim();
+  _isAuthError(error) {
+    // API errors carry their HTTP status, so rate limits and outages are never
+    // mistaken for a bad key
+    if (error.status) {
+      return (
+        error.status === 401 ||
+        error.status === 403 ||
+        (error.status === 400 && /api key/i.test(error.message))
+      );
+    }
+
+    const message = error.message.toLowerCase();
+    return (
+      message.includes("api") ||
+      message.includes("unauthorized") ||
+      message.includes("invalid api key") ||
+      message.includes("403")
+    );
+  }
+
+  /**
+   * Call generateContent, retrying transient failures (see _withRetries())
+   * @param {Object} body - generateContent request body
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Receives retry status messages
+   * @param {string} [options.label] - What is being requested, for logs and messages
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @param {Function} [options.onUsage] - Receives the token counts of the successful
+   *   response (see _parseUsageMetadata()); failed attempts are not billed
+   * @returns {Promise<Object>} - Parsed response
+   * @private
+   */
+  async _generateContent(
+    body,
+    { onProgress = null, label = "Request", signal = null, onUsage = null } = {},
+  ) {
+    const { result: data, retries } = await this._withRetries(
+      () => this._postGenerateContent(body, signal),
+      { onProgress, label, signal },
+    );
+
+    if (onUsage && data.usageMetadata) {
+      onUsage(this._parseUsageMetadata(data.usageMetadata, retries));
+    }
+    return data;
+  }
 
-    // Remove common prefixes that Gemini might add
-    const prefixes = [
-      "Transcription:",
-      "Here is the transcription:",
-      "The transcription is:",
-      "Audio transcription:",
-    ];
-
-    for (const prefix of prefixes) {
-      if (cleaned.toLowerCase().startsWith(prefix.toLowerCase())) {
-        cleaned = cleaned.substring(prefix.length).trim();
+  /**
+   * Run an API request, retrying transient failures
+   * Rate limits (429), overloads (5xx) and network errors are retried with
+   * exponential backoff and jitter, or after the RetryInfo delay the API asks for.
+   * Anything else - a bad key, invalid audio, a blocked prompt - fails at once.
+   * @param {Function} request - Makes one attempt; rejects with an error from _fetchApi()
+   * @param {Object} options - { onProgress, label, signal } as for _generateContent()
+   * @returns {Promise<{result: *, retries: number}>} - The request's result and how
+   *   many failed attempts came before it
+   * @private
+   */
+  async _withRetries(request, { onProgress = null, label = "Request", signal = null }) {
+    const maxAttempts =
+      window.RECORDING_CONSTANTS?.GEMINI_RETRY_MAX_ATTEMPTS ?? 5;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return { result: await request(), retries: attempt - 1 };
+      } catch (error) {
+        const delayMs =
+          attempt < maxAttempts && this._isTransientError(error)
+            ? this._getRetryDelayMs(error, attempt)
+            : null;
+        if (delayMs === null) {
+          throw error;
+        }
+
+        const seconds = Math.ceil(delayMs / 1000);
+        console.warn(
+          `[GEMINI] ${label} failed (${error.message}), retrying in ${seconds}s (attempt ${attempt + 1}/${maxAttempts})`,
+        );
+        if (onProgress) {
+          onProgress(
+            `${label}: ${this._describeTransientError(error)}, retrying in ${seconds}s (attempt ${attempt + 1}/${maxAttempts})...`,
+          );
+        }
+        await this._sleep(delayMs, signal);
       }
     }
+  }
+
+  /**
+   * Token counts of one response, as recorded per request on a recording
+   * @param {Object} usageMetadata - generateContent usageMetadata
+   * @param {number} retries - Failed attempts before this response
+   * @returns {{model: string, promptTokens: number, audioTokens: number, outputTokens: number, retries: number}}
+   * @private
+   */
+  _parseUsageMetadata(usageMetadata, retries = 0) {
+    const audioTokens = (usageMetadata.promptTokensDetails || [])
+      .filter((detail) => detail.modality === "AUDIO")
+      .reduce((sum, detail) => sum + (detail.tokenCount || 0), 0);
+
+    return {
+      model: this.model,
+      promptTokens: usageMetadata.promptTokenCount || 0,
+      audioTokens,
+      // Thinking is billed as output
+      outputTokens:
+        (usageMetadata.candidatesTokenCount || 0) +
+        (usageMetadata.thoughtsTokenCount || 0),
+      retries,
+    };
+  }
+
+  /**
+   * Send one generateContent request
+   * @private
+   */
+  async _postGenerateContent(body, signal = null) {
+    const response = await this._fetchApi(
+      `${this._getApiBaseUrl()}/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+        signal,
+      },
+    );
+    return response.json();
+  }
+
+  /**
+   * fetch() a Gemini API endpoint
+   * Failed responses throw an Error carrying the HTTP status and any RetryInfo delay;
+   * requests that never got a response throw an Error flagged as a network error.
+   * @returns {Promise<Response>} - The successful response
+   * @private
+   */
+  async _fetchApi(url, init) {
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      if (this._isAbortError(error)) throw error;
+      // Otherwise fetch() only rejects when the request never got a response
+      const networkError = new Error(`Network error: ${error.message}`);
+      networkError.network = true;
+      throw networkError;
+    }
 
-    // Remove markdown code blocks if present
-    cleaned = cleaned
-      .replace(/^```[\s\S]*?\n/, "")
-      .replace(/\n```$/, "")
-      .trim();
-
-    // Check if output is just timestamps (common error when no speech detected)
-    // Pattern: lines that are only timestamps like "00:00", "00:01", etc.
-    const lines = cleaned
-      .split("\n")
-      .map((l) => l.trim())
-      .filter((l) => l);
-    const timestampPattern = /^\d{2}:\d{2}(:\d{2})?$/;
-    const allTimestamps =
-      lines.length > 0 && lines.every((line) => timestampPattern.test(line));
-
-    if (allTimestamps) {
-      // Model output only timestamps, likely no speech detected
-      return "";
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      const error = new Error(
+        payload.error?.message || `API request failed: ${response.status}`,
+      );
+      error.status = response.status;
+      error.retryDelayMs = this._parseRetryDelay(
+        payload.error?.details,
+        response.headers.get("Retry-After"),
+      );
+      throw error;
     }
 
-    // Fix hallucination loops - detect and remove excessive repetitions
-    // This handles cases where the model gets stuck repeating the same phrase
-    cleaned = this._removeExcessiveRepetitions(cleaned);
+    return response;
+  }
+
+  _getApiBaseUrl() {
+    return (
+      window.RECORDING_CONSTANTS?.GEMINI_API_BASE_URL ||
+      "https://generativelanguage.googleapis.com"
+    ).replace(/\/+$/, "");
+  }
+
+  /**
+   * Audio part for a generateContent request
+   * Audio within the inline request limit is sent as base64; anything larger is
+   * uploaded through the Files API and referenced by its URI.
+   * @param {string} base64Audio - Audio bytes, base64-encoded
+   * @param {string} mimeType - Audio MIME type
+   * @param {Object} [options] - { onProgress, label, signal } as for _generateContent()
+   * @returns {Promise<{part: Object, file: Object|null}>} - The part, and the uploaded
+   *   file to pass to _deleteFile() once the request is done (null when inline)
+   * @private
+   */
+  async _createAudioPart(base64Audio, mimeType, options = {}) {
+    const maxInlineBytes =
+      window.RECORDING_CONSTANTS?.GEMINI_INLINE_AUDIO_MAX_BYTES ??
+      14 * 1024 * 1024;
+    // Base64 encodes 3 bytes in 4 characters
+    const byteLength = Math.floor((base64Audio.length * 3) / 4);
+
+    if (byteLength <= maxInlineBytes) {
+      return {
+        part: { inline_data: { mime_type: mimeType, data: base64Audio } },
+        file: null,
+      };
+    }
 
-    return cleaned;
+    const file = await this._uploadFile(
+      this._dataURLtoBlob(`data:${mimeType};base64,${base64Audio}`),
+      options,
+    );
+    return {
+      part: {
+        file_data: { mime_type: file.mimeType || mimeType, file_uri: file.uri },
+      },
+      file,
+    };
   }
 
   /**
-   * Remove excessive repetitions caused by model hallucination
-   * Detects when a word or phrase is repeated more than 10 times consecutively
+   * Upload a file with the Files API resumable protocol and wait until it can be used
+   * The file is deleted again if processing fails or the upload is cancelled.
+   * @param {Blob} blob - File contents; blob.type is sent as the MIME type
+   * @param {Object} [options] - { onProgress, label, signal } as for _generateContent()
+   * @returns {Promise<Object>} - The ACTIVE file resource ({ name, uri, mimeType, state })
    * @private
    */
-  _removeExcessiveRepetitions(text) {
-    // Pattern to match any word/phrase repeated more than 10 times consecutively
-    // This regex finds sequences where the same token appears 10+ times in a row
-    let result = text;
+  async _uploadFile(
+    blob,
+    { onProgress = null, label = "Upload", signal = null } = {},
+  ) {
+    const sizeInMB = (blob.size / (1024 * 1024)).toFixed(1);
+    if (onProgress) onProgress(`Uploading ${sizeInMB} MB of audio to Gemini...`);
+    console.log(`[GEMINI] ${label}: uploading ${sizeInMB} MB through the Files API`);
+
+    const { result: uploaded } = await this._withRetries(
+      async () => {
+        // Start a resumable upload session, then send the bytes in one go
+        const startResponse = await this._fetchApi(
+          `${this._getApiBaseUrl()}/upload/v1beta/files?key=${this.apiKey}`,
+          {
+            method: "POST",
+            headers: {
+              "X-Goog-Upload-Protocol": "resumable",
+              "X-Goog-Upload-Command": "start",
+              "X-Goog-Upload-Header-Content-Length": String(blob.size),
+              "X-Goog-Upload-Header-Content-Type": blob.type,
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({
+              file: { display_name: `tabtalk-${Date.now()}` },
+            }),
+            signal,
+          },
+        );
+        const uploadUrl = startResponse.headers.get("X-Goog-Upload-URL");
+        if (!uploadUrl) {
+          throw new Error("Files API did not return an upload URL");
+        }
+
+        const uploadResponse = await this._fetchApi(uploadUrl, {
+          method: "POST",
+          headers: {
+            "X-Goog-Upload-Offset": "0",
+            "X-Goog-Upload-Command": "upload, finalize",
+          },
+          body: blob,
+          signal,
+        });
+        return (await uploadResponse.json()).file;
+      },
+      { onProgress, label, signal },
+    );
 
-    // Handle word-level repetitions (e.g., "ماشین رو ماشین رو ماشین رو...")
-    // Match any sequence of characters followed by space, repeated 10+ times
-    const wordRepeatPattern = /(\S+(?:\s+\S+){0,3})\s+(?:\1\s+){9,}/g;
-    result = result.replace(wordRepeatPattern, "$1 ");
+    try {
+      return await this._waitForFileActive(uploaded, { onProgress, signal });
+    } catch (error) {
+      await this._deleteFile(uploaded);
+      throw error;
+    }
+  }
 
-    // Handle single word repetitions without spaces (e.g., "نه نه نه نه...")
-    const singleWordPattern = /(\S+)\s+(?:\1\s+){9,}/g;
-    result = result.replace(singleWordPattern, "$1 ");
+  /**
+   * Poll an uploaded file until Gemini has processed it
+   * @private
+   */
+  async _waitForFileActive(file, { onProgress = null, signal = null } = {}) {
+    const pollIntervalMs =
+      window.RECORDING_CONSTANTS?.GEMINI_FILE_POLL_INTERVAL_MS ?? 2000;
+    const timeoutMs =
+      window.RECORDING_CONSTANTS?.GEMINI_FILE_PROCESSING_TIMEOUT_MS ?? 600000;
+    const startedAt = Date.now();
+
+    while (file.state === "PROCESSING") {
+      if (Date.now() - startedAt > timeoutMs) {
+        throw new Error(
+          `Uploaded audio was still processing after ${Math.round(timeoutMs / 1000)}s`,
+        );
+      }
+      if (onProgress) onProgress("Waiting for Gemini to process the upload...");
+      await this._sleep(pollIntervalMs, signal);
 
-    // Clean up multiple spaces
-    result = result.replace(/\s+/g, " ").trim();
+      const response = await this._fetchApi(
+        `${this._getApiBaseUrl()}/v1beta/${file.name}?key=${this.apiKey}`,
+        { signal },
+      );
+      file = await response.json();
+    }
 
-    return result;
+    if (file.state !== "ACTIVE") {
+      throw new Error(
+        `Gemini could not process the uploaded audio: ${file.error?.message || file.state}`,
+      );
+    }
+    return file;
   }
 
-  _isAuthError(error) {
-    const message = error.message.toLowerCase();
-    return (
-      message.includes("api") ||
-      message.includes("unauthorized") ||
-      message.includes("invalid api key") ||
-      message.includes("403")
+  /**
+   * Delete an uploaded file; failures are only logged, as files expire after 48 hours anyway
+   * @param {Object|null} file - File resource from _uploadFile()
+   * @private
+   */
+  async _deleteFile(file) {
+    if (!file?.name) return;
+
+    try {
+      await this._fetchApi(
+        `${this._getApiBaseUrl()}/v1beta/${file.name}?key=${this.apiKey}`,
+        { method: "DELETE" },
+      );
+    } catch (error) {
+      console.warn(`[GEMINI] Could not delete uploaded ${file.name}:`, error);
+    }
+  }
+
+  /**
+   * Read the delay the API asks for from a google.rpc.RetryInfo detail ("37s"),
+   * falling back to the Retry-After header
+   * @returns {number|null} - Delay in milliseconds, or null if none was given
+   * @private
+   */
+  _parseRetryDelay(details, retryAfter) {
+    const retryInfo = (Array.isArray(details) ? details : []).find((detail) =>
+      String(detail?.["@type"] || "").endsWith("google.rpc.RetryInfo"),
+    );
+    const match = /^(\d+(?:\.\d+)?)s$/.exec(
+      String(retryInfo?.retryDelay || "").trim(),
     );
+    if (match) {
+      return Math.round(parseFloat(match[1]) * 1000);
+    }
+
+    const seconds = Number(retryAfter);
+    if (retryAfter && Number.isFinite(seconds) && seconds >= 0) {
+      return seconds * 1000;
+    }
+    return null;
+  }
+
+  _isTransientError(error) {
+    return Boolean(error.network) || GEMINI_TRANSIENT_STATUSES.has(error.status);
+  }
+
+  /**
+   * How long to wait before the next attempt
+   * @returns {number|null} - Delay in milliseconds, or null when the wait the API
+   *   asks for is longer than the retry cap (e.g. the daily quota is used up)
+   * @private
+   */
+  _getRetryDelayMs(error, attempt) {
+    const baseDelayMs =
+      window.RECORDING_CONSTANTS?.GEMINI_RETRY_BASE_DELAY_MS ?? 2000;
+    const maxDelayMs =
+      window.RECORDING_CONSTANTS?.GEMINI_RETRY_MAX_DELAY_MS ?? 60000;
+
+    if (error.retryDelayMs !== null && error.retryDelayMs !== undefined) {
+      if (error.retryDelayMs > maxDelayMs) return null;
+      // A little jitter so parallel callers don't all come back at once
+      return error.retryDelayMs + Math.round(Math.random() * 1000);
+    }
+
+    // Exponential backoff with "equal jitter": half fixed, half random
+    const backoffMs = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(backoffMs / 2 + Math.random() * (backoffMs / 2));
+  }
+
+  _describeTransientError(error) {
+    if (error.network) return "network error";
+    if (error.status === 429) return "rate limited";
+    if (error.status === 408) return "request timed out";
+    return "Gemini is overloaded";
   }
 
   /**
@@ -377,9 +642,26 @@ class GeminiTranscriptionService extends BaseTranscriptionService {
    * @param {string} transcription - Original transcription text
    * @param {string} systemPrompt - Custom system prompt
    * @param {function} onProgress - Progress callback
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Function} [options.onUsage] - Receives the request's token counts
+   * @param {Object} [options.responseSchema] - Output schema; the answer must be JSON
+   *   that matches it (see utils/json-schema.js)
+   * @param {Function} [options.onStructuredOutput] - Receives the parsed, validated
+   *   object when a responseSchema is given
    * @returns {Promise<string>} - Processed transcription
    */
-  async processTranscription(transcription, systemPrompt, onProgress) {
+  async processTranscription(
+    transcription,
+    systemPrompt,
+    onProgress,
+    {
+      signal = null,
+      onUsage = null,
+      responseSchema = null,
+      onStructuredOutput = null,
+    } = {},
+  ) {
     try {
       if (!this.isReady) {
         await this.initialize(onProgress);
@@ -393,45 +675,43 @@ class GeminiTranscriptionService extends BaseTranscriptionService {
         transcription,
       );
 
+      const generationConfig = {
+        temperature: 0.3,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 8192,
+      };
+
+      if (responseSchema) {
+        const { text, data } = await this._generateStructuredOutput(
+          processedPrompt,
+          generationConfig,
+          responseSchema,
+          { onProgress, signal, onUsage },
+        );
+        if (onStructuredOutput) onStructuredOutput(data);
+        return text;
+      }
+
       // Send to Gemini API
-      const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`,
+      const data = await this._generateContent(
         {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            contents: [
-              {
-                parts: [
-                  {
-                    text: processedPrompt,
-                  },
-                ],
-              },
-            ],
-            generationConfig: {
-              temperature: 0.3,
-              topK: 40,
-              topP: 0.95,
-              maxOutputTokens: 8192,
+          contents: [
+            {
+              parts: [
+                {
+                  text: processedPrompt,
+                },
+              ],
             },
-          }),
+          ],
+          generationConfig,
         },
+        { onProgress, label: "Processing", signal, onUsage },
       );
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(
-          error.error?.message || `API request failed: ${response.status}`,
-        );
-      }
-
       if (onProgress) onProgress("Finalizing processed result...");
 
-      const data = await response.json();
-
       // Extract processed text from Gemini response
       let processedText = data.candidates?.[0]?.content?.parts?.[0]?.text;
 
@@ -444,6 +724,7 @@ class GeminiTranscriptionService extends BaseTranscriptionService {
 
       return processedText.trim();
     } catch (error) {
+      if (this._isAbortError(error)) throw error;
       console.error("Gemini processing error:", error);
 
       // If API key is invalid, clear it
@@ -458,941 +739,414 @@ class GeminiTranscriptionService extends BaseTranscriptionService {
   }
 
   /**
-   * Transcribe audio chunks separately and merge results
-   * Optimized for long recordings to avoid API token limits
-   * @param {string} recordingKey - Recording key to get chunks from IndexedDB
-   * @param {function} onProgress - Progress callback (chunkIndex, totalChunks, partialText)
-   * @returns {Promise<string>} - Complete merged transcription
+   * Ask for JSON constrained to a schema, check the answer locally, and on a
+   * mismatch ask again with the problems found, keeping the earlier turns
+   * @returns {Promise<{text: string, data: *}>} - Pretty-printed JSON and the parsed value
+   * @private
    */
-  async transcribeChunked(recordingKey, onProgress) {
-    try {
-      if (!this.isReady) {
-        await this.initialize(onProgress);
-      }
-
-      // Get recording metadata to check if it's PCM format
-      const metadata = await this._getRecordingMetadata(recordingKey);
-
-      // Get all chunks for this recording from IndexedDB
-      const rawChunks = await this._getRecordingChunks(recordingKey);
+  async _generateStructuredOutput(
+    prompt,
+    generationConfig,
+    responseSchema,
+    { onProgress = null, signal = null, onUsage = null } = {},
+  ) {
+    const maxAttempts =
+      window.RECORDING_CONSTANTS?.STRUCTURED_OUTPUT_MAX_ATTEMPTS ?? 3;
+    const contents = [{ role: "user", parts: [{ text: prompt }] }];
+    let errors = [];
 
-      this._debugLog(
-        `[CHUNKED TRANSCRIPTION] Found ${rawChunks.length} chunks for ${recordingKey}`,
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const data = await this._generateContent(
+        {
+          contents,
+          generationConfig: {
+            ...generationConfig,
+            responseMimeType: "application/json",
+            responseSchema,
+          },
+        },
+        { onProgress, label: "Processing", signal, onUsage },
       );
 
-      if (!rawChunks || rawChunks.length === 0) {
-        throw new Error("No audio chunks found for this recording");
-      }
-
-      // Check if chunks are PCM format (new continuous recording system)
-      let recordingChunks;
-      const isPcmFormat =
-        rawChunks[0]?.format === "pcm-float32" ||
-        rawChunks[0]?.format === "pcm-int16" ||
-        metadata?.isPcm;
-
-      this._debugLog(
-        `[CHUNKED TRANSCRIPTION] Format detection: rawChunks[0].format="${rawChunks[0]?.format}", metadata.isPcm=${metadata?.isPcm}, isPcmFormat=${isPcmFormat}`,
-      );
-
-      if (isPcmFormat) {
-        this._debugLog(
-          `[CHUNKED TRANSCRIPTION] ✓ Detected PCM format, using streaming transcription`,
-        );
-        // Use streaming transcription for PCM (memory-efficient)
-        return await this._transcribePcmStreaming(
-          recordingKey,
-          rawChunks,
-          metadata,
-          onProgress,
-        );
-      } else {
-        // Use WebM chunks directly (legacy format)
-        this._debugLog(
-          `[CHUNKED TRANSCRIPTION] ⚠ Legacy WebM format detected - using old chunking (not time-based)`,
-        );
-        recordingChunks = rawChunks;
-
-        // Transcribe WebM chunks individually
-        const totalChunks = recordingChunks.length;
-        const transcriptions = [];
-        const RATE_LIMIT_DELAY = 4000;
-        const { maxOutputTokens } =
-          await this._getTranscriptionRuntimeSettings();
-
-        this._debugLog(
-          `[CHUNKED TRANSCRIPTION] Will transcribe ${totalChunks} WebM chunks individually`,
-        );
-
-        if (onProgress) {
-          onProgress(
-            `Starting transcription of ${totalChunks} segments...`,
-            0,
-            totalChunks,
-          );
-        }
-
-        for (let i = 0; i < recordingChunks.length; i++) {
-          const chunk = recordingChunks[i];
-          const requestStartTime = Date.now();
-
-          if (onProgress) {
-            onProgress(
-              `Transcribing segment ${i + 1}/${totalChunks}...`,
-              i,
-              totalChunks,
-            );
-          }
-
-          try {
-            const mimeType = "audio/webm";
-            const sizeInMB = (chunk.data.length / (1024 * 1024)).toFixed(2);
-            this._debugLog(
-              `[CHUNKED TRANSCRIPTION] Segment ${i + 1}: size=${sizeInMB} MB, format=${mimeType}`,
-            );
-            const chunkTranscription = await this._transcribeSingleChunk(
-              chunk.data,
-              i + 1,
-              mimeType,
-              maxOutputTokens,
-            );
-            this._debugLog(
-              `[CHUNKED TRANSCRIPTION] Segment ${i + 1} transcription length: ${chunkTranscription.length} chars`,
-            );
-            transcriptions.push(chunkTranscription);
-
-            await this._saveTranscriptionProgress(
-              recordingKey,
-              i,
-              chunkTranscription,
-            );
-
-            if (i < recordingChunks.length - 1) {
-              const elapsedTime = Date.now() - requestStartTime;
-              const remainingDelay = Math.max(
-                0,
-                RATE_LIMIT_DELAY - elapsedTime,
-              );
-              if (remainingDelay > 0) {
-                this._debugLog(
-                  `[CHUNKED TRANSCRIPTION] Waiting ${remainingDelay}ms before next request`,
-                );
-                await this._sleep(remainingDelay);
-              }
-            }
-          } catch (error) {
-            console.error(`Error transcribing segment ${i + 1}:`, error);
-            await this._saveTranscriptionProgress(
-              recordingKey,
-              i,
-              null,
-              error.message,
-            );
-            throw new Error(
-              `Failed at segment ${i + 1}/${totalChunks}: ${error.message}`,
-            );
-          }
-        }
-
-        const finalTranscription = transcriptions.join(" ");
-        if (onProgress) {
-          onProgress(
-            "Transcription complete!",
-            totalChunks,
-            totalChunks,
-            finalTranscription,
-          );
-        }
-        return finalTranscription;
-      }
-    } catch (error) {
-      console.error("Chunked transcription error:", error);
-      throw new Error("Chunked transcription failed: " + error.message);
-    }
-  }
-
-  /**
-   * Streaming transcription for PCM format (memory-efficient)
-   * Generates and transcribes segments one at a time instead of preparing all upfront
-   * @private
-   */
-  async _transcribePcmStreaming(recordingKey, pcmChunks, metadata, onProgress) {
-    const originalSampleRate = metadata.sampleRate || 48000;
-    const numberOfChannels = metadata.numberOfChannels || 1;
-
-    const { chunkIntervalMs, maxOutputTokens } =
-      await this._getTranscriptionRuntimeSettings();
-    const originalSamplesPerSegment = Math.floor(
-      (chunkIntervalMs / 1000) * originalSampleRate,
-    );
-    const RATE_LIMIT_DELAY = 4000;
-
-    this._debugLog(
-      `[PCM STREAMING] Processing ${pcmChunks.length} storage chunks into streaming transcription segments`,
-    );
-    this._debugLog(
-      `[PCM STREAMING] Segment size: ${originalSamplesPerSegment} samples (${chunkIntervalMs}ms)`,
-    );
-
-    // Calculate total segments for progress tracking
-    const totalSamples = pcmChunks.reduce(
-      (sum, chunk) => sum + (chunk.samplesCount || 0),
-      0,
-    );
-    const totalSegments = Math.ceil(totalSamples / originalSamplesPerSegment);
-
-    this._debugLog(
-      `[PCM STREAMING] Estimated ${totalSegments} segments from ${totalSamples} samples`,
-    );
-
-    const transcriptions = [];
-    let currentSegmentData = [];
-    let currentSegmentSamples = 0;
-    let segmentNumber = 0;
-    let storageChunkIdx = 0;
-    let pcmData = null;
-    let sampleOffset = 0;
-
-    // Process storage chunks and create/transcribe segments on-the-fly
-    while (
-      storageChunkIdx < pcmChunks.length ||
-      currentSegmentSamples > 0 ||
-      (pcmData && sampleOffset < pcmData.length)
-    ) {
-      // Load next storage chunk if needed
-      if (!pcmData || sampleOffset >= pcmData.length) {
-        if (storageChunkIdx >= pcmChunks.length) {
-          // No more chunks to load - check if we have remaining data to process
-          if (currentSegmentSamples > 0) {
-            this._debugLog(
-              `[PCM STREAMING] Processing final segment with ${currentSegmentSamples} samples`,
-            );
-            pcmData = null;
-          } else {
-            break; // Nothing left to process
-          }
-        } else {
-          this._debugLog(
-            `[PCM STREAMING] Loading storage chunk ${storageChunkIdx + 1}/${pcmChunks.length}`,
-          );
-          const chunk = pcmChunks[storageChunkIdx];
-
-          // Decode PCM data (supports both Int16 and Float32 formats)
-          pcmData = this._decodePcmChunk(chunk);
-          sampleOffset = 0;
-          storageChunkIdx++;
-
-          // Allow garbage collection
-          await this._sleep(10);
-        }
+      const responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!responseText || responseText.trim() === "") {
+        throw new Error("No processed output received");
       }
 
-      // Fill current segment from loaded PCM data (skip if no more data to load)
-      if (pcmData) {
-        const samplesToTake = Math.min(
-          pcmData.length - sampleOffset,
-          originalSamplesPerSegment - currentSegmentSamples,
+      let parsed;
+      try {
+        parsed = JSON.parse(this._stripCodeFences(responseText));
+        errors = window.JsonSchemaUtils.validateJsonSchema(
+          parsed,
+          responseSchema,
         );
-
-        currentSegmentData.push(
-          pcmData.slice(sampleOffset, sampleOffset + samplesToTake),
-        );
-        currentSegmentSamples += samplesToTake;
-        sampleOffset += samplesToTake;
+      } catch (error) {
+        errors = [`The response is not valid JSON (${error.message})`];
       }
 
-      // If segment is complete, transcribe it immediately
-      if (
-        currentSegmentSamples >= originalSamplesPerSegment ||
-        (storageChunkIdx >= pcmChunks.length &&
-          (!pcmData || sampleOffset >= pcmData.length) &&
-          currentSegmentSamples > 0)
-      ) {
-        const requestStartTime = Date.now();
-
-        // Concatenate segment parts
-        const concatenated = new Float32Array(currentSegmentSamples);
-        let segmentOffset = 0;
-        for (const part of currentSegmentData) {
-          concatenated.set(part, segmentOffset);
-          segmentOffset += part.length;
-        }
-
-        this._debugLog(
-          `[PCM STREAMING] Segment ${segmentNumber + 1}: ${concatenated.length} samples (${(concatenated.length / originalSampleRate).toFixed(2)}s)`,
-        );
-
-        if (onProgress) {
-          onProgress(
-            `Transcribing segment ${segmentNumber + 1}/${totalSegments}...`,
-            segmentNumber,
-            totalSegments,
-          );
-        }
-
-        // Convert to WAV data URL and transcribe immediately
-        const wavDataUrl = this._pcmFloat32ToWavDataUrl(
-          concatenated,
-          originalSampleRate,
-          numberOfChannels,
-        );
-        const sizeInMB = (wavDataUrl.length / (1024 * 1024)).toFixed(2);
-        this._debugLog(
-          `[PCM STREAMING] Segment ${segmentNumber + 1} WAV size: ${sizeInMB} MB`,
-        );
-
-        try {
-          const transcription = await this._transcribeSingleChunk(
-            wavDataUrl,
-            segmentNumber + 1,
-            "audio/wav",
-            maxOutputTokens,
-          );
-          this._debugLog(
-            `[PCM STREAMING] Segment ${segmentNumber + 1} transcription: ${transcription.length} chars`,
-          );
-          if (transcription.length === 0) {
-            console.warn(
-              `[PCM STREAMING] WARNING: Segment ${segmentNumber + 1} returned empty transcription!`,
-            );
-          } else {
-            this._debugLog(
-              `[PCM STREAMING] Segment ${segmentNumber + 1} preview: "${transcription.substring(0, 100)}..."`,
-            );
-          }
-          transcriptions.push(transcription);
-
-          // Save progress
-          await this._saveTranscriptionProgress(
-            recordingKey,
-            segmentNumber,
-            transcription,
-          );
-
-          // Rate limiting
-          if (segmentNumber < totalSegments - 1) {
-            const elapsedTime = Date.now() - requestStartTime;
-            const remainingDelay = Math.max(0, RATE_LIMIT_DELAY - elapsedTime);
-            if (remainingDelay > 0) {
-              this._debugLog(
-                `[PCM STREAMING] Waiting ${remainingDelay}ms before next segment`,
-              );
-              await this._sleep(remainingDelay);
-            }
-          }
-        } catch (error) {
-          console.error(
-            `[PCM STREAMING] Error transcribing segment ${segmentNumber + 1}:`,
-            error,
-          );
-          await this._saveTranscriptionProgress(
-            recordingKey,
-            segmentNumber,
-            null,
-            error.message,
-          );
-          throw new Error(
-            `Failed at segment ${segmentNumber + 1}/${totalSegments}: ${error.message}`,
-          );
-        }
-
-        // Reset for next segment
-        currentSegmentData = [];
-        currentSegmentSamples = 0;
-        segmentNumber++;
+      if (errors.length === 0) {
+        return { text: JSON.stringify(parsed, null, 2), data: parsed };
       }
-    }
 
-    const finalTranscription = transcriptions.join(" ");
-    this._debugLog(
-      `[PCM STREAMING] Completed: ${segmentNumber} segments transcribed, ${finalTranscription.length} total characters`,
-    );
-
-    if (onProgress) {
-      onProgress(
-        "Transcription complete!",
-        segmentNumber,
-        segmentNumber,
-        finalTranscription,
+      console.warn(
+        `[GEMINI] Structured output attempt ${attempt}/${maxAttempts} failed validation:`,
+        errors,
       );
-    }
-
-    return finalTranscription;
-  }
-
-  /**
-   * Resume incomplete chunked transcription
-   * @param {string} recordingKey - Recording key
-   * @param {function} onProgress - Progress callback
-   * @returns {Promise<string>} - Complete merged transcription
-   */
-  async resumeChunkedTranscription(recordingKey, onProgress) {
-    try {
-      if (!this.isReady) {
-        await this.initialize(onProgress);
-      }
-
-      // Get transcription state
-      const state = await this._getTranscriptionState(recordingKey);
-
-      if (!state) {
-        throw new Error(
-          "No transcription state found. Start a new transcription instead.",
-        );
-      }
-
-      // Get recording metadata to check if it's PCM format
-      const metadata = await this._getRecordingMetadata(recordingKey);
-
-      // Get all chunks for this recording from IndexedDB
-      const rawChunks = await this._getRecordingChunks(recordingKey);
-
-      // Check if chunks are PCM format (new continuous recording system)
-      let recordingChunks;
-      const isPcmFormat =
-        rawChunks[0]?.format === "pcm-float32" ||
-        rawChunks[0]?.format === "pcm-int16" ||
-        metadata?.isPcm;
-
-      if (isPcmFormat) {
-        this._debugLog(
-          `[RESUME TRANSCRIPTION] Detected PCM format, converting to WAV segments`,
-        );
-        if (onProgress) {
-          onProgress("Converting PCM audio to transcription segments...", 0, 1);
-        }
-        // Convert PCM chunks to time-based WAV segments for transcription
-        recordingChunks = await this._preparePcmTranscriptionSegments(
-          recordingKey,
-          rawChunks,
-          metadata,
-        );
-      } else {
-        // Use WebM chunks directly (legacy format)
-        recordingChunks = rawChunks;
-      }
-
-      const totalChunks = recordingChunks.length;
-      const transcriptions = [...state.completedTranscriptions];
-      const startFromChunk = state.lastCompletedChunk + 1;
-      const RATE_LIMIT_DELAY = 4000;
-      const { maxOutputTokens } = await this._getTranscriptionRuntimeSettings();
+      if (attempt === maxAttempts) break;
 
       if (onProgress) {
         onProgress(
-          `Resuming from segment ${startFromChunk + 1}/${totalChunks}...`,
-          startFromChunk,
-          totalChunks,
+          `Output did not match the schema, retrying (${attempt}/${maxAttempts - 1})...`,
         );
       }
-
-      // Process remaining chunks individually
-      for (let i = startFromChunk; i < recordingChunks.length; i++) {
-        const chunk = recordingChunks[i];
-        const requestStartTime = Date.now();
-
-        if (onProgress) {
-          onProgress(
-            `Transcribing segment ${i + 1}/${totalChunks}...`,
-            i,
-            totalChunks,
-          );
-        }
-
-        try {
-          const mimeType = isPcmFormat ? "audio/wav" : "audio/webm";
-          const chunkTranscription = await this._transcribeSingleChunk(
-            chunk.data,
-            i + 1,
-            mimeType,
-            maxOutputTokens,
-          );
-          transcriptions.push(chunkTranscription);
-
-          await this._saveTranscriptionProgress(
-            recordingKey,
-            i,
-            chunkTranscription,
-          );
-
-          // Rate limiting: ensure at least RATE_LIMIT_DELAY between request starts
-          if (i < recordingChunks.length - 1) {
-            const elapsedTime = Date.now() - requestStartTime;
-            const remainingDelay = Math.max(0, RATE_LIMIT_DELAY - elapsedTime);
-            if (remainingDelay > 0) {
-              this._debugLog(
-                `[RESUME TRANSCRIPTION] Waiting ${remainingDelay}ms before next request`,
-              );
-              await this._sleep(remainingDelay);
-            }
-          }
-        } catch (error) {
-          console.error(`Error transcribing segment ${i + 1}:`, error);
-          await this._saveTranscriptionProgress(
-            recordingKey,
-            i,
-            null,
-            error.message,
-          );
-          throw new Error(
-            `Failed at segment ${i + 1}/${totalChunks}: ${error.message}`,
-          );
-        }
-      }
-
-      const finalTranscription = transcriptions.join(" ");
-
-      if (onProgress) {
-        onProgress(
-          "Transcription complete!",
-          totalChunks,
-          totalChunks,
-          finalTranscription,
-        );
-      }
-
-      return finalTranscription;
-    } catch (error) {
-      console.error("Resume chunked transcription error:", error);
-      throw new Error("Resume failed: " + error.message);
+      contents.push(
+        { role: "model", parts: [{ text: responseText }] },
+        {
+          role: "user",
+          parts: [
+            {
+              text: `Your JSON does not match the required schema:\n${errors.map((error) => `- ${error}`).join("\n")}\n\nReturn the complete corrected JSON object only.`,
+            },
+          ],
+        },
+      );
     }
-  }
 
-  /**
-   * Get recording chunks from IndexedDB
-   * @private
-   */
-  async _getRecordingChunks(recordingKey) {
-    const dbManager = await import("../utils/indexeddb.js").then(
-      (m) => m.default,
+    throw new Error(
+      `Output did not match the schema after ${maxAttempts} attempts: ${errors.slice(0, 3).join("; ")}`,
     );
-    await dbManager.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = dbManager.db.transaction(["recordings"], "readonly");
-      const objectStore = transaction.objectStore("recordings");
-      const index = objectStore.index("source");
-      const request = index.getAll("recording-chunk");
-
-      request.onsuccess = () => {
-        const allChunks = request.result;
-        // Filter chunks for this recording and sort by chunk number
-        const recordingChunks = allChunks
-          .filter((chunk) => chunk.parentRecordingId === recordingKey)
-          .sort((a, b) => a.chunkNumber - b.chunkNumber);
-        resolve(recordingChunks);
-      };
-
-      request.onerror = () => reject(request.error);
-    });
   }
 
   /**
-   * Get recording metadata from IndexedDB
-   * @private
-   */
-  async _getRecordingMetadata(recordingKey) {
-    const dbManager = await import("../utils/indexeddb.js").then(
-      (m) => m.default,
-    );
-    await dbManager.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = dbManager.db.transaction(["recordings"], "readonly");
-      const objectStore = transaction.objectStore("recordings");
-      const request = objectStore.get(recordingKey);
-
-      request.onsuccess = () => {
-        resolve(request.result);
-      };
-
-      request.onerror = () => reject(request.error);
-    });
-  }
-
-  /**
-   * Prepare transcription segments from PCM chunks
-   * Groups PCM data into time-based segments suitable for transcription
+   * Transcribe a single audio segment (may contain multiple merged chunks)
+   * @param {Object} [options]
+   * @param {string|null} [options.channelLayout] - "tab-mic" for dual-track audio
+   * @param {Array|null} [options.speakers] - Speaker roster; when set the segment is diarized
+   * @param {Object|null} [options.context] - Previous segment's ending and glossary
+   * @param {Array<string>} [options.vocabulary] - User glossary terms
+   * @param {Object} [options.language] - Expected languages ({ mode, languages, verbatim })
+   * @param {Function} [options.onProgress] - Receives retry status messages
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Function} [options.onUsage] - Receives the request's token counts
    * @private
    */
-  async _preparePcmTranscriptionSegments(recordingKey, pcmChunks, metadata) {
-    const originalSampleRate = metadata.sampleRate || 48000;
-    const numberOfChannels = metadata.numberOfChannels || 1;
-    const targetSampleRate = 16000; // Always downsample to 16kHz for transcription
-
-    const { chunkIntervalMs } = await this._getTranscriptionRuntimeSettings();
-
-    // Calculate samples per segment based on original sample rate
-    const originalSamplesPerSegment = Math.floor(
-      (chunkIntervalMs / 1000) * originalSampleRate,
-    );
-
-    this._debugLog(
-      `[PCM TRANSCRIPTION] Original rate: ${originalSampleRate} Hz, Target rate: ${targetSampleRate} Hz`,
-    );
-    this._debugLog(`[PCM TRANSCRIPTION] Chunk interval: ${chunkIntervalMs}ms`);
-    this._debugLog(
-      `[PCM TRANSCRIPTION] Samples per segment: ${originalSamplesPerSegment}`,
-    );
-
-    // Process chunks on-the-fly instead of concatenating everything at once (prevents memory issues for large files)
-    const segments = [];
-    let currentSegmentData = [];
-    let currentSegmentSamples = 0;
-    let segmentNumber = 0;
-    let totalProcessedSamples = 0;
-
-    this._debugLog(
-      `[PCM TRANSCRIPTION] Processing ${pcmChunks.length} storage chunks into transcription segments...`,
-    );
-
-    for (let chunkIdx = 0; chunkIdx < pcmChunks.length; chunkIdx++) {
-      const chunk = pcmChunks[chunkIdx];
-
-      // Decode PCM data (supports both Int16 and Float32 formats)
-      const pcmData = this._decodePcmChunk(chunk);
+  async _transcribeSingleChunk(
+    audioDataUrl,
+    segmentNumber,
+    mimeType = "audio/webm",
+    configuredMaxOutputTokens = null,
+    options = {},
+  ) {
+    const base64Audio = audioDataUrl.split(",")[1];
+    const maxOutputTokens =
+      configuredMaxOutputTokens ??
+      (await this._getTranscriptionRuntimeSettings()).maxOutputTokens;
 
-      this._debugLog(
-        `[PCM TRANSCRIPTION] Loaded storage chunk ${chunkIdx + 1}/${pcmChunks.length}: ${pcmData.length} samples`,
+    if (Array.isArray(options.speakers)) {
+      const diarized = await this._transcribeDiarizedChunk(
+        base64Audio,
+        segmentNumber,
+        mimeType,
+        maxOutputTokens,
+        options,
       );
-
-      // Process this chunk's data into segments
-      let sampleOffset = 0;
-      while (sampleOffset < pcmData.length) {
-        const samplesToTake = Math.min(
-          pcmData.length - sampleOffset,
-          originalSamplesPerSegment - currentSegmentSamples,
-        );
-
-        // Add samples to current segment
-        currentSegmentData.push(
-          pcmData.slice(sampleOffset, sampleOffset + samplesToTake),
-        );
-        currentSegmentSamples += samplesToTake;
-        totalProcessedSamples += samplesToTake;
-
-        // Check if segment is full
-        if (currentSegmentSamples >= originalSamplesPerSegment) {
-          // Concatenate all parts of this segment and convert to WAV
-          const concatenated = new Float32Array(currentSegmentSamples);
-          let segmentOffset = 0;
-          for (const part of currentSegmentData) {
-            concatenated.set(part, segmentOffset);
-            segmentOffset += part.length;
-          }
-
-          const wavDataUrl = this._pcmFloat32ToWavDataUrl(
-            concatenated,
-            originalSampleRate,
-            numberOfChannels,
-          );
-
-          segments.push({
-            data: wavDataUrl,
-            chunkNumber: segmentNumber,
-            samplesCount: concatenated.length,
-            duration: concatenated.length / originalSampleRate,
-          });
-
-          this._debugLog(
-            `[PCM TRANSCRIPTION] Segment ${segmentNumber}: ${concatenated.length} samples (${(concatenated.length / originalSampleRate).toFixed(2)}s), total processed: ${totalProcessedSamples}`,
-          );
-
-          // Reset for next segment
-          currentSegmentData = [];
-          currentSegmentSamples = 0;
-          segmentNumber++;
-        }
-
-        sampleOffset += samplesToTake;
-      }
-
-      // Allow garbage collection between chunks
-      if (chunkIdx % 5 === 0) {
-        await this._sleep(10);
+      if (diarized) {
+        return diarized;
       }
+      // Unparseable structured output - fall back to a plain transcription
     }
 
-    // Handle any remaining data
-    if (currentSegmentSamples > 0) {
-      const concatenated = new Float32Array(currentSegmentSamples);
-      let segmentOffset = 0;
-      for (const part of currentSegmentData) {
-        concatenated.set(part, segmentOffset);
-        segmentOffset += part.length;
-      }
-
-      const wavDataUrl = this._pcmFloat32ToWavDataUrl(
-        concatenated,
-        originalSampleRate,
-        numberOfChannels,
-      );
-
-      segments.push({
-        data: wavDataUrl,
-        chunkNumber: segmentNumber,
-        samplesCount: concatenated.length,
-        duration: concatenated.length / originalSampleRate,
-      });
+    let promptText = `Transcribe the audio exactly as spoken. This is segment ${segmentNumber} from a longer recording that has been split into 1-minute chunks. Transcribe ONLY what is actually said in this audio segment - do not add commentary, explanations, or make assumptions about missing context. If the segment starts mid-word or mid-sentence, transcribe from exactly where it begins. Return only the raw transcription text.${GEMINI_LANGUAGE_TAG_INSTRUCTION}`;
+    if (options.channelLayout === "tab-mic") {
+      promptText +=
+        ' The audio is stereo: the LEFT channel is the remote side captured from the browser tab and the RIGHT channel is the local microphone. Start a new line each time the speaking side changes and prefix it with "Them:" for the left channel or "Me:" for the right channel.';
+    }
+    promptText += this._formatLanguagePrompt(options.language);
+    promptText += this._formatVocabularyPrompt(options.vocabulary);
+    promptText += this._formatContextPrompt(options.context);
+
+    const { text: transcription, languages } = this._extractLanguageTag(
+      await this._requestSegmentTranscription(
+        promptText,
+        base64Audio,
+        mimeType,
+        {
+          maxOutputTokens,
+          onProgress: options.onProgress,
+          signal: options.signal,
+          onUsage: options.onUsage,
+        },
+        segmentNumber,
+      ),
+    );
 
-      this._debugLog(
-        `[PCM TRANSCRIPTION] Final segment ${segmentNumber}: ${concatenated.length} samples (${(concatenated.length / originalSampleRate).toFixed(2)}s)`,
-      );
+    if (!transcription || transcription.trim() === "") {
+      return { text: "", utterances: null, languages }; // Empty segment is okay
     }
 
-    this._debugLog(
-      `[PCM TRANSCRIPTION] Created ${segments.length} transcription segments from ${pcmChunks.length} storage chunks`,
-    );
-    return segments;
+    return {
+      text: this._cleanTranscription(transcription),
+      utterances: null,
+      languages,
+    };
   }
 
   /**
-   * Convert PCM Float32 data to WAV data URL
-   * Always downsamples to 16kHz for smaller file size (optimal for speech transcription)
+   * Prompt text saying which languages to expect and whether to keep code-switching verbatim
+   * @param {Object|null} language - { mode, languages, verbatim }
+   * @returns {string}
    * @private
    */
-  _pcmFloat32ToWavDataUrl(pcmData, sampleRate, numberOfChannels) {
-    // Always use 16kHz for transcription regardless of recording quality
-    // This reduces file size significantly while maintaining speech quality
-    const targetSampleRate = 16000;
-    const downsampledData = this._downsample(
-      pcmData,
-      sampleRate,
-      targetSampleRate,
-    );
+  _formatLanguagePrompt(language) {
+    if (!language) return "";
 
-    this._debugLog(
-      `[WAV CONVERSION] Original sample rate: ${sampleRate} Hz, Target: ${targetSampleRate} Hz, Samples: ${pcmData.length} -> ${downsampledData.length}`,
-    );
+    const names = language.languages.map((code) => {
+      const name = window.RECORDING_CONSTANTS?.TRANSCRIPTION_LANGUAGES?.[code];
+      return name ? `${name} (${code})` : code;
+    });
 
-    const bytesPerSample = 2; // 16-bit audio
-    const blockAlign = numberOfChannels * bytesPerSample;
-    const byteRate = targetSampleRate * blockAlign;
-    const dataSize = downsampledData.length * bytesPerSample;
-    const headerSize = 44;
-    const totalSize = headerSize + dataSize;
-
-    const buffer = new ArrayBuffer(totalSize);
-    const view = new DataView(buffer);
-
-    // RIFF header
-    this._writeString(view, 0, "RIFF");
-    view.setUint32(4, totalSize - 8, true);
-    this._writeString(view, 8, "WAVE");
-
-    // fmt chunk
-    this._writeString(view, 12, "fmt ");
-    view.setUint32(16, 16, true); // chunk size
-    view.setUint16(20, 1, true); // audio format (PCM)
-    view.setUint16(22, numberOfChannels, true);
-    view.setUint32(24, targetSampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bytesPerSample * 8, true); // bits per sample
-
-    // data chunk
-    this._writeString(view, 36, "data");
-    view.setUint32(40, dataSize, true);
-
-    // Write PCM samples (convert Float32 to Int16)
-    let writeOffset = 44;
-    for (let i = 0; i < downsampledData.length; i++) {
-      const sample = Math.max(-1, Math.min(1, downsampledData[i]));
-      const int16 = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
-      view.setInt16(writeOffset, int16, true);
-      writeOffset += 2;
+    let languageText;
+    if (language.mode === "single") {
+      languageText = `\n\nThe speech is in ${names[0]}. Transcribe it in that language, in its usual script.`;
+    } else if (language.mode === "multiple") {
+      languageText = `\n\nThe speakers are expected to use ${names.join(", ")}, and may switch between them.`;
+    } else {
+      languageText =
+        "\n\nDetect the language being spoken and transcribe in that language.";
     }
 
-    // Convert to base64 data URL
-    const uint8Array = new Uint8Array(buffer);
-    let binary = "";
-    for (let i = 0; i < uint8Array.length; i++) {
-      binary += String.fromCharCode(uint8Array[i]);
+    if (language.verbatim) {
+      languageText +=
+        " Write every word in the language it was spoken in, using that language's own script. NEVER translate: when speakers switch languages, even mid-sentence, keep each part in its original language.";
     }
-    const base64 = btoa(binary);
-
-    return `data:audio/wav;base64,${base64}`;
+    return languageText;
   }
 
   /**
-   * Decode PCM chunk data to Float32Array (supports both Int16 and Float32 formats)
+   * Split the "[languages: ...]" line off a plain-text transcription
+   * @param {string} responseText - Model output
+   * @returns {{text: string, languages: Array<string>|null}}
    * @private
    */
-  _decodePcmChunk(chunk) {
-    const base64Data = chunk.data.split(",")[1];
-    const binaryString = atob(base64Data);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
+  _extractLanguageTag(responseText) {
+    const text = responseText || "";
+    const match = text.match(GEMINI_LANGUAGE_TAG_PATTERN);
+    if (!match) {
+      return { text, languages: null };
     }
 
-    // Check format and convert to Float32Array
-    if (chunk.format === "pcm-int16") {
-      // Int16 format - convert to Float32 for processing
-      const int16Data = new Int16Array(bytes.buffer);
-      const float32Data = new Float32Array(int16Data.length);
-      for (let i = 0; i < int16Data.length; i++) {
-        // Convert Int16 [-32768, 32767] to Float32 [-1, 1]
-        float32Data[i] = int16Data[i] / (int16Data[i] < 0 ? 0x8000 : 0x7fff);
-      }
-      return float32Data;
-    } else {
-      // Float32 format (legacy)
-      return new Float32Array(bytes.buffer);
-    }
+    return {
+      text: text.slice(match[0].length),
+      languages: this._normalizeLanguageCodes(match[1].split(/[\s,]+/)),
+    };
   }
 
   /**
-   * Downsample audio data using simple linear interpolation
+   * Prompt text listing the user's glossary terms
+   * @param {Array<string>} [vocabulary] - Glossary terms
+   * @returns {string} - Text to append to the prompt ("" without terms)
    * @private
    */
-  _downsample(pcmData, fromSampleRate, toSampleRate) {
-    if (fromSampleRate === toSampleRate) {
-      return pcmData;
-    }
-
-    const ratio = fromSampleRate / toSampleRate;
-    const outputLength = Math.floor(pcmData.length / ratio);
-    const downsampled = new Float32Array(outputLength);
-
-    for (let i = 0; i < outputLength; i++) {
-      const sourceIndex = i * ratio;
-      const index0 = Math.floor(sourceIndex);
-      const index1 = Math.min(index0 + 1, pcmData.length - 1);
-      const fraction = sourceIndex - index0;
-
-      // Linear interpolation
-      downsampled[i] =
-        pcmData[index0] * (1 - fraction) + pcmData[index1] * fraction;
-    }
-
-    return downsampled;
+  _formatVocabularyPrompt(vocabulary) {
+    if (!vocabulary || vocabulary.length === 0) return "";
+    return `\n\nThe speakers may use these names and terms. When you hear one, write it with exactly this spelling: ${vocabulary.join(", ")}.`;
   }
 
   /**
-   * Write string to DataView
+   * Prompt text describing what earlier segments said, so spelling and names stay consistent
+   * @param {Object|null} context - { previousText, glossary }
+   * @returns {string} - Text to append to the prompt ("" without context)
    * @private
    */
-  _writeString(view, offset, string) {
-    for (let i = 0; i < string.length; i++) {
-      view.setUint8(offset + i, string.charCodeAt(i));
+  _formatContextPrompt(context) {
+    if (!context) return "";
+
+    let contextText = "";
+    if (context.glossary.length > 0) {
+      contextText += `\n\nNames and terms used earlier in this recording: ${context.glossary.join(", ")}. Spell them the same way when you hear them.`;
+    }
+    if (context.previousText) {
+      contextText += `\n\nThe previous segment ended with: "${context.previousText}"\nUse this only for continuity and spelling - do NOT include it in your transcription.`;
     }
+    return contextText;
   }
 
   /**
-   * Group chunks into larger segments
+   * Transcribe a segment as speaker-labelled utterances using structured output
+   * Speakers heard in earlier segments are described in the prompt so the model
+   * reuses their labels, and new speakers are added to the shared roster.
+   * @returns {Promise<{text: string, utterances: Array}|null>} - null if the output couldn't be parsed
    * @private
    */
-  _groupChunks(chunks, chunksPerGroup) {
-    const groups = [];
-    for (let i = 0; i < chunks.length; i += chunksPerGroup) {
-      groups.push(chunks.slice(i, i + chunksPerGroup));
+  async _transcribeDiarizedChunk(
+    base64Audio,
+    segmentNumber,
+    mimeType,
+    maxOutputTokens,
+    {
+      channelLayout = null,
+      speakers,
+      context = null,
+      vocabulary = [],
+      language = null,
+      onProgress = null,
+      signal = null,
+      onUsage = null,
+    },
+  ) {
+    let promptText = `Transcribe the audio exactly as spoken and label who is speaking. This is segment ${segmentNumber} from a longer recording that has been split into chunks. Split the speech into utterances, one per continuous turn of a single speaker, in the order they are spoken. Transcribe ONLY what is actually said - do not add commentary or summaries. Label speakers "Speaker A", "Speaker B" and so on, even if their names are mentioned. For every speaker in this segment, give a short description (voice, role in the conversation, name if stated) that would let someone recognise them in another part of the recording. List the ISO 639-1 codes of the languages spoken in "languages".`;
+
+    if (channelLayout === "tab-mic") {
+      promptText +=
+        ' The audio is stereo: the LEFT channel is the remote side captured from the browser tab and the RIGHT channel is the local microphone. Label whoever speaks on the RIGHT channel "Me"; use letter labels only for remote speakers.';
     }
-    return groups;
-  }
 
-  /**
-   * Merge multiple audio chunks into a single data URL
-   * @private
-   */
-  async _mergeAudioChunks(chunks) {
-    if (chunks.length === 1) {
-      return chunks[0].data;
+    if (speakers.length > 0) {
+      const roster = speakers
+        .map(
+          (speaker) =>
+            `- ${speaker.label}: ${speaker.description || "no description"}`,
+        )
+        .join("\n");
+      promptText += `\n\nSpeakers already identified in earlier segments of this recording:\n${roster}\nReuse these exact labels whenever the same person speaks. Give a new voice the next unused letter.`;
+    }
+    promptText += this._formatLanguagePrompt(language);
+    promptText += this._formatVocabularyPrompt(vocabulary);
+    promptText += this._formatContextPrompt(context);
+
+    const responseText = await this._requestSegmentTranscription(
+      promptText,
+      base64Audio,
+      mimeType,
+      {
+        maxOutputTokens,
+        responseMimeType: "application/json",
+        responseSchema: GEMINI_DIARIZATION_SCHEMA,
+        onProgress,
+        signal,
+        onUsage,
+      },
+      segmentNumber,
+    );
+
+    if (!responseText || responseText.trim() === "") {
+      return { text: "", utterances: [], languages: null };
     }
 
+    let parsed;
     try {
-      // Convert data URLs to blobs (without fetch to avoid CSP issues)
-      const blobs = chunks.map((chunk) => this._dataURLtoBlob(chunk.data));
-
-      // Merge blobs
-      const mergedBlob = new Blob(blobs, { type: "audio/webm" });
-
-      // Convert back to data URL
-      return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onloadend = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(mergedBlob);
-      });
+      parsed = JSON.parse(this._stripCodeFences(responseText));
     } catch (error) {
-      console.error("Error merging audio chunks:", error);
-      throw new Error("Failed to merge audio chunks");
+      console.warn(
+        `[TRANSCRIPTION] Segment ${segmentNumber} diarized output was not valid JSON, retrying without speaker labels:`,
+        error,
+      );
+      return null;
     }
+
+    const utterances = (Array.isArray(parsed.utterances) ? parsed.utterances : [])
+      .map((utterance) => ({
+        speaker: String(utterance.speaker || "").trim() || "Unknown",
+        text: this._cleanTranscription(String(utterance.text || "")),
+      }))
+      .filter((utterance) => utterance.text);
+
+    this._mergeSpeakers(speakers, parsed.speakers, utterances);
+
+    return {
+      text: ChunkedTranscriptionService.formatUtterances(utterances),
+      utterances,
+      languages: this._normalizeLanguageCodes(parsed.languages),
+    };
   }
 
   /**
-   * Convert data URL to Blob without fetch (avoids CSP issues)
+   * Add newly heard speakers to the roster, keeping existing labels and descriptions
    * @private
    */
-  _dataURLtoBlob(dataURL) {
-    const arr = dataURL.split(",");
-    const mime = arr[0].match(/:(.*?);/)[1];
-    const bstr = atob(arr[1]);
-    let n = bstr.length;
-    const u8arr = new Uint8Array(n);
-    while (n--) {
-      u8arr[n] = bstr.charCodeAt(n);
+  _mergeSpeakers(roster, reportedSpeakers, utterances) {
+    const descriptions = new Map();
+    for (const speaker of Array.isArray(reportedSpeakers) ? reportedSpeakers : []) {
+      const label = String(speaker.label || "").trim();
+      if (label) {
+        descriptions.set(label, String(speaker.description || "").trim());
+      }
+    }
+
+    // Utterance labels count too, in case the model left a speaker out of the list
+    const labels = new Set([
+      ...descriptions.keys(),
+      ...utterances.map((utterance) => utterance.speaker),
+    ]);
+
+    for (const label of labels) {
+      const known = roster.find((speaker) => speaker.label === label);
+      if (!known) {
+        roster.push({ label, description: descriptions.get(label) || "" });
+      } else if (!known.description && descriptions.get(label)) {
+        known.description = descriptions.get(label);
+      }
     }
-    return new Blob([u8arr], { type: mime });
   }
 
   /**
-   * Transcribe a single audio segment (may contain multiple merged chunks)
+   * Send one audio segment with a prompt to generateContent and return the raw text
    * @private
    */
-  async _transcribeSingleChunk(
-    audioDataUrl,
+  async _requestSegmentTranscription(
+    promptText,
+    base64Audio,
+    mimeType,
+    {
+      maxOutputTokens,
+      responseMimeType,
+      responseSchema,
+      onProgress = null,
+      signal = null,
+      onUsage = null,
+    },
     segmentNumber,
-    mimeType = "audio/webm",
-    configuredMaxOutputTokens = null,
   ) {
-    const base64Audio = audioDataUrl.split(",")[1];
-    const maxOutputTokens =
-      configuredMaxOutputTokens ??
-      (await this._getTranscriptionRuntimeSettings()).maxOutputTokens;
+    const generationConfig = {
+      temperature: 0.1,
+      topK: 1,
+      topP: 0.95,
+      maxOutputTokens,
+    };
+    if (responseMimeType) {
+      generationConfig.responseMimeType = responseMimeType;
+      generationConfig.responseSchema = responseSchema;
+    }
 
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
+    const label = `Segment ${segmentNumber}`;
+    const { part: audioPart, file } = await this._createAudioPart(
+      base64Audio,
+      mimeType,
+      { onProgress, label, signal },
+    );
+
+    let data;
+    try {
+      data = await this._generateContent(
+        {
           contents: [
             {
               parts: [
                 {
-                  text: `Transcribe the audio exactly as spoken. This is segment ${segmentNumber} from a longer recording that has been split into 1-minute chunks. Transcribe ONLY what is actually said in this audio segment - do not add commentary, explanations, or make assumptions about missing context. If the segment starts mid-word or mid-sentence, transcribe from exactly where it begins. Return only the raw transcription text.`,
-                },
-                {
-                  inline_data: {
-                    mime_type: mimeType,
-                    data: base64Audio,
-                  },
+                  text: promptText,
                 },
+                audioPart,
               ],
             },
           ],
-          generationConfig: {
-            temperature: 0.1,
-            topK: 1,
-            topP: 0.95,
-            maxOutputTokens,
-          },
-        }),
-      },
-    );
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(
-        error.error?.message || `API request failed: ${response.status}`,
+          generationConfig,
+        },
+        { onProgress, label, signal, onUsage },
       );
+    } finally {
+      await this._deleteFile(file);
     }
 
-    const data = await response.json();
-
     // Check if response was truncated due to token limit
     const finishReason = data.candidates?.[0]?.finishReason;
     if (finishReason === "MAX_TOKENS") {
@@ -1404,86 +1158,14 @@ class GeminiTranscriptionService extends BaseTranscriptionService {
       );
     }
 
-    const transcription = data.candidates?.[0]?.content?.parts?.[0]?.text;
-
-    if (!transcription || transcription.trim() === "") {
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text || text.trim() === "") {
       console.warn(
         `[TRANSCRIPTION] Segment ${segmentNumber} returned empty transcription. FinishReason: ${finishReason}`,
       );
-      return ""; // Empty segment is okay
     }
 
-    return this._cleanTranscription(transcription);
-  }
-
-  /**
-   * Save transcription progress to chrome.storage.local
-   * @private
-   */
-  async _saveTranscriptionProgress(
-    recordingKey,
-    chunkIndex,
-    transcription,
-    error = null,
-  ) {
-    const stateKey = `transcription_state_${recordingKey}`;
-
-    let state = await this._storageGet(stateKey).then(
-      (r) =>
-        r[stateKey] || {
-          recordingKey,
-          completedTranscriptions: [],
-          lastCompletedChunk: -1,
-          startedAt: Date.now(),
-        },
-    );
-
-    if (transcription !== null) {
-      state.completedTranscriptions[chunkIndex] = transcription;
-      state.lastCompletedChunk = chunkIndex;
-      state.lastUpdated = Date.now();
-      delete state.error;
-    } else if (error) {
-      state.error = error;
-      state.failedChunk = chunkIndex;
-      state.lastUpdated = Date.now();
-    }
-
-    await this._storageSet({ [stateKey]: state });
-  }
-
-  /**
-   * Get transcription state
-   * @private
-   */
-  async _getTranscriptionState(recordingKey) {
-    const stateKey = `transcription_state_${recordingKey}`;
-    const result = await this._storageGet(stateKey);
-    return result[stateKey] || null;
-  }
-
-  /**
-   * Clear transcription state (call after successful completion)
-   */
-  async clearTranscriptionState(recordingKey) {
-    const stateKey = `transcription_state_${recordingKey}`;
-    await this._storageRemove(stateKey);
-  }
-
-  /**
-   * Check if recording has incomplete transcription
-   */
-  async hasIncompleteTranscription(recordingKey) {
-    const state = await this._getTranscriptionState(recordingKey);
-    return state !== null;
-  }
-
-  /**
-   * Sleep utility
-   * @private
-   */
-  _sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+    return text || "";
   }
 
   async clearApiKey() {
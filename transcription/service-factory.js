@@ -42,8 +42,8 @@ class TranscriptionServiceFactory {
   static get SERVICES() {
     return {
       GEMINI: 'gemini',
+      WHISPER: 'whisper', // Any OpenAI-compatible /v1/audio/transcriptions server
       // Future services can be added here:
-      // OPENAI: 'openai',
       // LOCAL: 'local',
       // WHISPER_WASM: 'whisper-wasm',
     };
@@ -59,10 +59,10 @@ class TranscriptionServiceFactory {
       case TranscriptionServiceFactory.SERVICES.GEMINI:
         return new GeminiTranscriptionService();
 
+      case TranscriptionServiceFactory.SERVICES.WHISPER:
+        return new WhisperTranscriptionService();
+
       // Future services:
-      // case TranscriptionServiceFactory.SERVICES.OPENAI:
-      //   return new OpenAITranscriptionService();
-      //
       // case TranscriptionServiceFactory.SERVICES.LOCAL:
       //   return new LocalTranscriptionService();
 
@@ -93,6 +93,13 @@ class TranscriptionServiceFactory {
       ...gemini.getInfo()
     });
 
+    // Add OpenAI-compatible Whisper
+    const whisper = new WhisperTranscriptionService();
+    services.push({
+      type: TranscriptionServiceFactory.SERVICES.WHISPER,
+      ...whisper.getInfo()
+    });
+
     // Future: Add other services when implemented
 
     return services;
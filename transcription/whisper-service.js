@@ -0,0 +1,249 @@
+// Transcription service for OpenAI-compatible Whisper servers
+// Works with api.openai.com or a self-hosted server exposing /v1/audio/transcriptions
+
+const DEFAULT_WHISPER_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_WHISPER_MODEL = "whisper-1";
+
+// Whisper servers choose the decoder from the uploaded file's extension
+const WHISPER_FILE_EXTENSIONS = {
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/wave": "wav",
+  "audio/webm": "webm",
+  "audio/mpeg": "mp3",
+  "audio/mp3": "mp3",
+  "audio/mp4": "m4a",
+  "audio/x-m4a": "m4a",
+  "audio/m4a": "m4a",
+  "audio/aac": "m4a",
+  "audio/ogg": "ogg",
+  "audio/opus": "ogg",
+  "audio/flac": "flac",
+  "audio/x-flac": "flac",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+};
+
+class WhisperTranscriptionService extends ChunkedTranscriptionService {
+  constructor() {
+    super();
+    this.apiKey = null; // Optional - self-hosted servers often run without one
+    this.baseUrl = DEFAULT_WHISPER_BASE_URL;
+    this.model = DEFAULT_WHISPER_MODEL;
+  }
+
+  getInfo() {
+    return {
+      name: "OpenAI-compatible Whisper",
+      requiresApiKey: false,
+      requiresInternet: false,
+      cost: "Depends on server (free when self-hosted)",
+      accuracy: "Very Good",
+      model: this.model,
+    };
+  }
+
+  async initialize(onProgress) {
+    if (this.isReady) return true;
+
+    try {
+      if (onProgress) onProgress("Checking Whisper server configuration...");
+
+      const result = await this._storageGet([
+        "whisper_api_key",
+        "whisper_base_url",
+        "whisper_model",
+      ]);
+      this.apiKey = result.whisper_api_key || null;
+      this.baseUrl = WhisperTranscriptionService.normalizeBaseUrl(
+        result.whisper_base_url || DEFAULT_WHISPER_BASE_URL,
+      );
+      this.model = result.whisper_model || DEFAULT_WHISPER_MODEL;
+
+      this.isReady = true;
+      if (onProgress) onProgress("Whisper server ready");
+      return true;
+    } catch (error) {
+      console.error("Failed to initialize Whisper service:", error);
+      throw new Error("Whisper initialization failed: " + error.message);
+    }
+  }
+
+  /**
+   * Strip trailing slashes so endpoints can be appended ("http://host:8000/v1/")
+   * @param {string} baseUrl - Base URL including the API version path
+   * @returns {string}
+   */
+  static normalizeBaseUrl(baseUrl) {
+    return String(baseUrl || "")
+      .trim()
+      .replace(/\/+$/, "");
+  }
+
+  async transcribe(audioDataUrl, onProgress, options = {}) {
+    try {
+      if (!this.isReady) {
+        await this.initialize(onProgress);
+      }
+
+      const vocabulary = await this._getTranscriptionVocabulary(
+        options.glossary,
+      );
+      const { language } = await this._getTranscriptionRuntimeSettings();
+
+      if (onProgress) onProgress("Sending to Whisper server...");
+
+      const blob = this._dataURLtoBlob(audioDataUrl);
+      const { text: transcription, languages } =
+        await this._requestTranscription(blob, blob.type, {
+          filename: options.filename,
+          prompt: this._buildPrompt({ vocabulary }),
+          language,
+          signal: options.signal,
+        });
+
+      if (!transcription) {
+        throw new Error("No speech detected in audio");
+      }
+      if (languages && options.onLanguagesDetected) {
+        options.onLanguagesDetected(languages);
+      }
+
+      return this._correctGlossarySpellings(transcription, vocabulary);
+    } catch (error) {
+      if (this._isAbortError(error)) throw error;
+      console.error("Whisper transcription error:", error);
+      throw new Error("Transcription failed: " + error.message);
+    }
+  }
+
+  /**
+   * Transcribe a single audio segment
+   * Whisper can't tell channels apart, so dual-track segments are transcribed as-is.
+   * Glossary terms and carried-over context are sent as the `prompt`, which Whisper
+   * reads as preceding text.
+   * @private
+   */
+  async _transcribeSingleChunk(
+    audioDataUrl,
+    segmentNumber,
+    mimeType = "audio/webm",
+    configuredMaxOutputTokens = null,
+    options = {},
+  ) {
+    const blob = this._dataURLtoBlob(audioDataUrl);
+    const { text, languages } = await this._requestTranscription(
+      blob,
+      mimeType,
+      {
+        prompt: this._buildPrompt(options),
+        language: options.language,
+        signal: options.signal,
+      },
+    );
+
+    if (!text) {
+      console.warn(
+        `[TRANSCRIPTION] Segment ${segmentNumber} returned empty transcription`,
+      );
+    }
+
+    return { text, utterances: null, languages };
+  }
+
+  /**
+   * Build the `prompt` field from glossary terms and carried-over context
+   * Whisper only reads the end of a long prompt, so the previous text goes last
+   * @private
+   */
+  _buildPrompt({ vocabulary = [], context = null } = {}) {
+    const terms = [...new Set([...vocabulary, ...(context?.glossary || [])])];
+    return [terms.length > 0 ? `${terms.join(", ")}.` : "", context?.previousText]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  /**
+   * POST audio to {baseUrl}/audio/transcriptions and return the cleaned text
+   * @param {Object} [options]
+   * @param {string} [options.filename] - Original file name, whose extension is used
+   *   when the MIME type is not a known audio type
+   * @param {string} [options.prompt] - Text the model treats as preceding the audio
+   * @param {Object} [options.language] - Expected languages; only a single language
+   *   can be passed to Whisper, otherwise it detects the language itself
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<{text: string, languages: Array<string>|null}>} - Text, plus the
+   *   detected language when the server reports one
+   * @private
+   */
+  async _requestTranscription(
+    blob,
+    mimeType = blob.type,
+    { filename = "", prompt = "", language = null, signal = null } = {},
+  ) {
+    const baseType = String(mimeType || "").split(";")[0].trim().toLowerCase();
+    const extension =
+      WHISPER_FILE_EXTENSIONS[baseType] ||
+      /\.([a-z0-9]{2,4})$/i.exec(filename || "")?.[1]?.toLowerCase() ||
+      "webm";
+    const formData = new FormData();
+    formData.append("file", blob, `audio.${extension}`);
+    formData.append("model", this.model);
+    // Only verbose_json reports the detected language; the gpt-4o transcription
+    // models don't accept it (and don't report a language either)
+    formData.append(
+      "response_format",
+      /^gpt-4o/i.test(this.model) ? "json" : "verbose_json",
+    );
+    if (prompt) {
+      formData.append("prompt", prompt);
+    }
+    if (language?.mode === "single") {
+      formData.append("language", language.languages[0]);
+    }
+
+    const headers = {};
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+      method: "POST",
+      headers,
+      body: formData,
+      signal,
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(
+        error.error?.message || `API request failed: ${response.status}`,
+      );
+    }
+
+    const data = await response.json();
+    return {
+      text: this._cleanTranscription(data.text || ""),
+      languages: data.language
+        ? this._normalizeLanguageCodes([data.language])
+        : language?.mode === "single"
+          ? language.languages
+          : null,
+    };
+  }
+
+  async clearApiKey() {
+    await this._storageRemove("whisper_api_key");
+    this.isReady = false;
+    this.apiKey = null;
+  }
+
+  async destroy() {
+    // No cleanup needed for API-based service
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== "undefined") {
+  window.WhisperTranscriptionService = WhisperTranscriptionService;
+}
@@ -9,12 +9,30 @@ const DEFAULT_CONFIG = {
   micGain: 1.5,
   audioQuality: 48000, // Sample rate in Hz (16000, 22050, 32000, 44100, 48000)
   enableMicrophoneCapture: false, // Enable/disable microphone capture (default: false - tab audio only)
+  dualTrackRecording: false, // Store tab and mic on separate stereo channels (requires microphone capture)
+  dualTrackExportMode: 'stereo', // Dual-track WAV download: 'stereo', 'mix' (mono) or 'split' (one file per side)
 
   // Transcription settings
   transcriptionService: 'gemini',
   autoTranscribe: false,
   transcriptionChunkIntervalMs: 60000, // Segment duration for transcription (1 minute default)
+  transcriptionOverlapMs: 2000, // Audio shared by neighbouring segments, de-duplicated when stitching (0 disables)
+  transcriptionSilenceCut: true, // Move segment boundaries to the quietest point near the nominal cut
+  transcriptionContextCarryOver: true, // Pass the previous segment's ending and a glossary of names into each prompt
+  transcriptionLanguageMode: 'auto', // 'auto' (detect), 'single' or 'multiple' expected languages
+  transcriptionLanguages: [], // ISO 639-1 codes for 'single' (first entry) or 'multiple'
+  transcriptionVerbatim: true, // Keep code-switched speech in the language it was spoken in, never translate
   geminiTranscriptionMaxOutputTokens: 16384, // Max output tokens for Gemini transcription responses
+  geminiDiarization: false, // Ask Gemini for speaker-labelled utterances (structured output)
+  geminiRequestsPerMinute: 15, // Segment request budget (free tier: 15; paid tiers allow more)
+  geminiConcurrency: 1, // Segments transcribed at the same time
+
+  // Usage settings
+  monthlyBudgetUsd: 0, // Estimated Gemini spend per month to warn about before a job starts (0 = no warning)
+
+  // Subtitle export settings
+  subtitleMaxLineLength: 42, // Characters per caption line in SRT/VTT exports
+  subtitleMaxLines: 2, // Lines per caption cue
 
   // UI settings
   showNotifications: true,
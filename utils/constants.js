@@ -37,6 +37,8 @@ const StorageKeys = {
 const MessageType = {
   START_RECORDING: 'start-recording',
   STOP_RECORDING: 'stop-recording',
+  PAUSE_RECORDING: 'pause-recording',
+  RESUME_RECORDING: 'resume-recording',
   RECORDING_STARTED: 'recording-started',
   RECORDING_STOPPED: 'recording-stopped',
   GET_STATUS: 'get-status',
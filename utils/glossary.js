@@ -0,0 +1,108 @@
+/**
+ * Transcription glossary manager
+ * Global product, company and people names that transcription should spell exactly.
+ * Per-recording terms live on the recording itself (recording.glossary).
+ */
+
+/**
+ * Clean up a list of terms: trim, drop empties and case-insensitive duplicates
+ * @param {Array<string>} terms - Raw terms
+ * @returns {Array<string>}
+ */
+function normalizeGlossaryTerms(terms) {
+  const seen = new Set();
+  const normalized = [];
+
+  for (const term of terms || []) {
+    const cleaned = String(term || '').replace(/\s+/g, ' ').trim();
+    const key = cleaned.toLowerCase();
+    if (cleaned && !seen.has(key)) {
+      seen.add(key);
+      normalized.push(cleaned);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Split text typed by the user (one term per line, or comma-separated) into terms
+ * @param {string} text - User input
+ * @returns {Array<string>}
+ */
+function parseGlossaryText(text) {
+  return normalizeGlossaryTerms(String(text || '').split(/[\n,]/));
+}
+
+class GlossaryManager {
+  constructor() {
+    this.terms = [];
+  }
+
+  /**
+   * Load global glossary terms from storage
+   * @returns {Promise<Array<string>>}
+   */
+  async loadTerms() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['transcription_glossary'], (result) => {
+        this.terms = result.transcription_glossary || [];
+        resolve(this.terms);
+      });
+    });
+  }
+
+  /**
+   * Replace the global glossary
+   * @param {Array<string>} terms - Terms to save
+   * @returns {Promise<void>}
+   */
+  async saveTerms(terms) {
+    this.terms = normalizeGlossaryTerms(terms);
+
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ transcription_glossary: this.terms }, () => {
+        console.log('Transcription glossary saved');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Export the global glossary as JSON
+   * @returns {Promise<string>}
+   */
+  async exportGlossary() {
+    await this.loadTerms();
+    return JSON.stringify({ terms: this.terms }, null, 2);
+  }
+
+  /**
+   * Import glossary terms from JSON, merging them into the existing ones
+   * Accepts { terms: [...] } as written by exportGlossary() or a plain array.
+   * @param {string} jsonString - JSON string of terms
+   * @returns {Promise<number>} - Number of new terms
+   */
+  async importGlossary(jsonString) {
+    try {
+      const imported = JSON.parse(jsonString);
+      const importedTerms = Array.isArray(imported) ? imported : imported?.terms;
+      if (!Array.isArray(importedTerms)) {
+        throw new Error('expected a "terms" array');
+      }
+
+      await this.loadTerms();
+      const before = this.terms.length;
+      await this.saveTerms([...this.terms, ...importedTerms.filter(term => typeof term === 'string')]);
+      return this.terms.length - before;
+    } catch (error) {
+      throw new Error('Invalid glossary JSON: ' + error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const glossaryManager = new GlossaryManager();
+
+export default glossaryManager;
+export { normalizeGlossaryTerms, parseGlossaryText };
@@ -4,8 +4,20 @@
  */
 
 const DB_NAME = 'ChromeRecorderDB';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const RECORDINGS_STORE = 'recordings';
+const CHUNKS_STORE = 'chunks';
+const JOBS_STORE = 'jobs';
+const CHUNK_SOURCE = 'recording-chunk';
+
+/**
+ * Key range covering every chunk of one recording on the [parentRecordingId, chunkNumber] index
+ * @param {string} parentRecordingId - Parent recording ID
+ * @returns {IDBKeyRange}
+ */
+function chunkRangeFor(parentRecordingId) {
+  return IDBKeyRange.bound([parentRecordingId, -Infinity], [parentRecordingId, Infinity]);
+}
 
 class IndexedDBManager {
   constructor() {
@@ -31,12 +43,15 @@ class IndexedDBManager {
 
       request.onsuccess = () => {
         this.db = request.result;
+        // Let another page (e.g. after an extension update) upgrade the schema
+        this.db.onversionchange = () => this.close();
         console.log('IndexedDB initialized successfully');
         resolve(this.db);
       };
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const transaction = event.target.transaction;
 
         // Create recordings object store if it doesn't exist
         if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
@@ -48,12 +63,58 @@ class IndexedDBManager {
 
           console.log('Created recordings object store with indexes');
         }
+
+        // v2: chunks live in their own store so lookups don't scan every recording
+        if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+          const chunkStore = db.createObjectStore(CHUNKS_STORE, { keyPath: 'key' });
+          chunkStore.createIndex('parentRecordingId', 'parentRecordingId', { unique: false });
+          chunkStore.createIndex('parentChunk', ['parentRecordingId', 'chunkNumber'], { unique: false });
+
+          console.log('Created chunks object store with indexes');
+        }
+
+        // v3: queued transcription and post-processing jobs, run by the offscreen document
+        if (!db.objectStoreNames.contains(JOBS_STORE)) {
+          const jobStore = db.createObjectStore(JOBS_STORE, { keyPath: 'id' });
+          jobStore.createIndex('createdAt', 'createdAt', { unique: false });
+
+          console.log('Created jobs object store');
+        }
+
+        if (event.oldVersion >= 1 && event.oldVersion < 2) {
+          this._moveChunksToChunkStore(transaction);
+        }
       };
     });
   }
 
+  /**
+   * Move v1 chunk records out of the recordings store (runs inside the upgrade transaction)
+   * @param {IDBTransaction} transaction - The versionchange transaction
+   * @private
+   */
+  _moveChunksToChunkStore(transaction) {
+    const recordingsStore = transaction.objectStore(RECORDINGS_STORE);
+    const chunkStore = transaction.objectStore(CHUNKS_STORE);
+    const request = recordingsStore.index('source').openCursor(IDBKeyRange.only(CHUNK_SOURCE));
+    let moved = 0;
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        chunkStore.put(cursor.value);
+        cursor.delete();
+        moved++;
+        cursor.continue();
+      } else {
+        console.log(`Moved ${moved} chunks to the chunks store`);
+      }
+    };
+  }
+
   /**
    * Save a recording to IndexedDB
+   * Chunk records (source "recording-chunk") are routed to the chunks store
    * @param {string} key - Unique key for the recording
    * @param {Object} recordingData - Recording data object
    * @returns {Promise<void>}
@@ -61,9 +122,11 @@ class IndexedDBManager {
   async saveRecording(key, recordingData) {
     await this.init();
 
+    const storeName = recordingData.source === CHUNK_SOURCE ? CHUNKS_STORE : RECORDINGS_STORE;
+
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([RECORDINGS_STORE], 'readwrite');
-      const objectStore = transaction.objectStore(RECORDINGS_STORE);
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const objectStore = transaction.objectStore(storeName);
 
       const recording = {
         key,
@@ -109,8 +172,32 @@ class IndexedDBManager {
     });
   }
 
+  /**
+   * Get a specific chunk by key
+   * @param {string} key - Chunk key
+   * @returns {Promise<Object|null>}
+   */
+  async getChunk(key) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([CHUNKS_STORE], 'readonly');
+      const request = transaction.objectStore(CHUNKS_STORE).get(key);
+
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+
+      request.onerror = () => {
+        console.error('Error getting chunk:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
   /**
    * Get all recordings sorted by timestamp (newest first)
+   * Chunks are kept in their own store and are not included
    * @returns {Promise<Array>}
    */
   async getAllRecordings() {
@@ -127,22 +214,10 @@ class IndexedDBManager {
       request.onsuccess = (event) => {
         const cursor = event.target.result;
         if (cursor) {
-          const recording = cursor.value;
-
-          // For chunk entries, strip the data to save memory
-          if (recording.source === 'recording-chunk' && recording.data) {
-            recordings.push({
-              ...recording,
-              data: null, // Strip chunk data for memory efficiency
-              _hasData: true // Flag that data exists but was stripped
-            });
-          } else {
-            recordings.push(recording);
-          }
-
+          recordings.push(cursor.value);
           cursor.continue();
         } else {
-          console.log(`Retrieved ${recordings.length} recordings from IndexedDB (chunks data stripped)`);
+          console.log(`Retrieved ${recordings.length} recordings from IndexedDB`);
           resolve(recordings);
         }
       };
@@ -162,43 +237,46 @@ class IndexedDBManager {
     await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([RECORDINGS_STORE], 'readonly');
-      const objectStore = transaction.objectStore(RECORDINGS_STORE);
+      const transaction = this.db.transaction([RECORDINGS_STORE, CHUNKS_STORE], 'readonly');
 
       // Use getAll() for faster bulk retrieval instead of cursor iteration
-      const request = objectStore.getAll();
+      const recordingsRequest = transaction.objectStore(RECORDINGS_STORE).getAll();
 
-      request.onsuccess = (event) => {
-        const allRecords = event.target.result;
-        const recordings = [];
-        const chunkMetadata = [];
-
-        // Process all records in memory (much faster than cursor)
-        for (const recording of allRecords) {
-          if (recording.source === 'recording-chunk') {
-            // For chunks, only store metadata (no audio data)
-            chunkMetadata.push({
-              key: recording.key,
-              parentRecordingId: recording.parentRecordingId,
-              chunkNumber: recording.chunkNumber,
-              samplesCount: recording.samplesCount,
-              timestamp: recording.timestamp,
-              source: recording.source,
-              format: recording.format,
-              chunkSize: recording.chunkSize,
-              sampleRate: recording.sampleRate,
-              numberOfChannels: recording.numberOfChannels,
-              chunkTimestamp: recording.chunkTimestamp
-            });
-          } else {
-            // For main recordings, strip data field to save memory
-            const {data, ...metadata} = recording;
-            recordings.push({
-              ...metadata,
-              _dataStripped: !!data
-            });
-          }
-        }
+      // Chunks hold the audio, so walk them one at a time and keep only their metadata
+      const chunkMetadata = [];
+      const chunksRequest = transaction.objectStore(CHUNKS_STORE).index('parentRecordingId').openCursor();
+
+      chunksRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const chunk = cursor.value;
+        chunkMetadata.push({
+          key: chunk.key,
+          parentRecordingId: chunk.parentRecordingId,
+          chunkNumber: chunk.chunkNumber,
+          samplesCount: chunk.samplesCount,
+          timestamp: chunk.timestamp,
+          source: chunk.source,
+          format: chunk.format,
+          chunkSize: chunk.chunkSize,
+          sampleRate: chunk.sampleRate,
+          numberOfChannels: chunk.numberOfChannels,
+          channelLayout: chunk.channelLayout,
+          chunkTimestamp: chunk.chunkTimestamp
+        });
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => {
+        // For main recordings, strip data field to save memory
+        const recordings = recordingsRequest.result.map((recording) => {
+          const {data, ...metadata} = recording;
+          return {
+            ...metadata,
+            _dataStripped: !!data
+          };
+        });
 
         // Sort recordings by timestamp (newest first)
         recordings.sort((a, b) => b.timestamp - a.timestamp);
@@ -206,9 +284,9 @@ class IndexedDBManager {
         resolve({ recordings, chunkMetadata });
       };
 
-      request.onerror = () => {
-        console.error('Error getting recordings metadata:', request.error);
-        reject(request.error);
+      transaction.onerror = () => {
+        console.error('Error getting recordings metadata:', transaction.error);
+        reject(transaction.error);
       };
     });
   }
@@ -222,17 +300,15 @@ class IndexedDBManager {
     await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([RECORDINGS_STORE], 'readonly');
-      const objectStore = transaction.objectStore(RECORDINGS_STORE);
-      const request = objectStore.getAll();
+      const transaction = this.db.transaction([CHUNKS_STORE], 'readonly');
+      const index = transaction.objectStore(CHUNKS_STORE).index('parentChunk');
 
-      request.onsuccess = () => {
-        const chunks = request.result
-          .filter(r => r.source === 'recording-chunk' && r.parentRecordingId === parentRecordingId)
-          .sort((a, b) => a.chunkNumber - b.chunkNumber);
+      // The compound index returns chunks already ordered by chunkNumber
+      const request = index.getAll(chunkRangeFor(parentRecordingId));
 
-        console.log(`Retrieved ${chunks.length} chunks with data for ${parentRecordingId}`);
-        resolve(chunks);
+      request.onsuccess = () => {
+        console.log(`Retrieved ${request.result.length} chunks with data for ${parentRecordingId}`);
+        resolve(request.result);
       };
 
       request.onerror = () => {
@@ -243,21 +319,202 @@ class IndexedDBManager {
   }
 
   /**
-   * Update transcription for a specific recording
+   * Count the chunks stored for a recording
+   * @param {string} parentRecordingId - Parent recording ID
+   * @returns {Promise<number>}
+   */
+  async countRecordingChunks(parentRecordingId) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([CHUNKS_STORE], 'readonly');
+      const index = transaction.objectStore(CHUNKS_STORE).index('parentRecordingId');
+      const request = index.count(IDBKeyRange.only(parentRecordingId));
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onerror = () => {
+        console.error('Error counting chunks:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Delete every chunk of a recording
+   * @param {string} parentRecordingId - Parent recording ID
+   * @returns {Promise<number>} - Number of chunks deleted
+   */
+  async deleteRecordingChunks(parentRecordingId) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([CHUNKS_STORE], 'readwrite');
+      const index = transaction.objectStore(CHUNKS_STORE).index('parentRecordingId');
+      const request = index.openKeyCursor(IDBKeyRange.only(parentRecordingId));
+      const objectStore = transaction.objectStore(CHUNKS_STORE);
+      let deleted = 0;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          objectStore.delete(cursor.primaryKey);
+          deleted++;
+          cursor.continue();
+        }
+      };
+
+      transaction.oncomplete = () => {
+        console.log(`Deleted ${deleted} chunks for ${parentRecordingId}`);
+        resolve(deleted);
+      };
+
+      transaction.onerror = () => {
+        console.error('Error deleting chunks:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Change a recording inside one readwrite transaction, so the history page and the
+   * background job runner can update the same recording without dropping each other's writes
    * @param {string} key - Recording key
-   * @param {string} transcription - Transcription text
+   * @param {Function} update - Receives the stored recording and changes it in place
+   *   (synchronously, the transaction closes at the next await)
    * @returns {Promise<void>}
+   * @private
    */
-  async updateTranscription(key, transcription) {
+  async _updateRecording(key, update) {
     await this.init();
 
-    const recording = await this.getRecording(key);
-    if (!recording) {
-      throw new Error(`Recording ${key} not found`);
-    }
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([RECORDINGS_STORE], 'readwrite');
+      const store = transaction.objectStore(RECORDINGS_STORE);
+      const request = store.get(key);
+      let found = false;
+
+      request.onsuccess = () => {
+        const recording = request.result;
+        if (!recording) {
+          return;
+        }
+
+        found = true;
+        update(recording);
+        store.put(recording);
+      };
+
+      transaction.oncomplete = () => {
+        if (found) {
+          console.log(`Recording ${key} updated in IndexedDB`);
+          resolve();
+        } else {
+          reject(new Error(`Recording ${key} not found`));
+        }
+      };
+
+      transaction.onerror = () => {
+        console.error('Error updating recording:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Update transcription for a specific recording
+   * @param {string} key - Recording key
+   * @param {string} transcription - Plain transcription text (derived from segments when present)
+   * @param {Array|null} segments - Timed segments ({ index, start, end, text }, seconds)
+   * @param {Array<string>|null} languages - Detected language codes, most spoken first
+   * @returns {Promise<void>}
+   */
+  async updateTranscription(key, transcription, segments = null, languages = null) {
+    return this._updateRecording(key, (recording) => {
+      recording.transcription = transcription;
+      if (segments) {
+        recording.transcriptionSegments = segments;
+      } else {
+        delete recording.transcriptionSegments;
+      }
+      if (languages && languages.length > 0) {
+        recording.languages = languages;
+      } else {
+        delete recording.languages;
+      }
+      // A new transcript has new speaker labels, so old renames no longer apply
+      delete recording.speakerNames;
+      // Translations were made from the old transcript
+      delete recording.translations;
+    });
+  }
 
-    recording.transcription = transcription;
-    return this.saveRecording(key, recording);
+  /**
+   * Rename diarized speakers for a specific recording
+   * @param {string} key - Recording key
+   * @param {Object} speakerNames - Display names keyed by speaker label
+   * @param {string} transcription - Plain transcription re-derived with the new names
+   * @returns {Promise<void>}
+   */
+  async updateSpeakerNames(key, speakerNames, transcription) {
+    return this._updateRecording(key, (recording) => {
+      recording.speakerNames = speakerNames;
+      recording.transcription = transcription;
+    });
+  }
+
+  /**
+   * Set the glossary terms used when transcribing a specific recording
+   * @param {string} key - Recording key
+   * @param {Array<string>} glossary - Terms, merged with the global glossary at transcription time
+   * @returns {Promise<void>}
+   */
+  async updateGlossary(key, glossary) {
+    return this._updateRecording(key, (recording) => {
+      if (glossary && glossary.length > 0) {
+        recording.glossary = glossary;
+      } else {
+        delete recording.glossary;
+      }
+    });
+  }
+
+  /**
+   * Store or remove one translated variant of a recording's transcription
+   * @param {string} key - Recording key
+   * @param {string} language - Target language code
+   * @param {Object|null} translation - { language, text, segments, createdAt }, or null to remove it
+   * @returns {Promise<void>}
+   */
+  async updateTranslation(key, language, translation) {
+    return this._updateRecording(key, (recording) => {
+      const translations = { ...(recording.translations || {}) };
+      if (translation) {
+        translations[language] = translation;
+      } else {
+        delete translations[language];
+      }
+
+      if (Object.keys(translations).length > 0) {
+        recording.translations = translations;
+      } else {
+        delete recording.translations;
+      }
+    });
+  }
+
+  /**
+   * Append token usage entries to a recording's usage log
+   * @param {string} key - Recording key
+   * @param {Array<Object>} entries - { kind, model, promptTokens, audioTokens, outputTokens, retries, at, ... }
+   * @returns {Promise<void>}
+   */
+  async addRecordingUsage(key, entries) {
+    return this._updateRecording(key, (recording) => {
+      recording.usage = [...(recording.usage || []), ...entries];
+    });
   }
 
   /**
@@ -265,27 +522,162 @@ class IndexedDBManager {
    * @param {string} key - Recording key
    * @param {string} processedTranscription - Processed transcription text
    * @param {string} promptId - ID of the prompt used for processing
+   * @param {*} [data] - Parsed output, for prompts with an output schema
    * @returns {Promise<void>}
    */
-  async updateProcessedTranscription(key, processedTranscription, promptId) {
+  async updateProcessedTranscription(key, processedTranscription, promptId, data = null) {
+    return this._updateRecording(key, (recording) => {
+      if (!recording.processedTranscriptions) {
+        recording.processedTranscriptions = {};
+      }
+
+      recording.processedTranscriptions[promptId] = {
+        text: processedTranscription,
+        timestamp: Date.now(),
+        promptId: promptId
+      };
+      if (data !== null) {
+        recording.processedTranscriptions[promptId].data = data;
+      }
+    });
+  }
+
+  /**
+   * Remove one processed transcription from a recording
+   * @param {string} key - Recording key
+   * @param {string} promptId - ID of the prompt whose result is removed
+   * @returns {Promise<void>}
+   */
+  async deleteProcessedTranscription(key, promptId) {
+    return this._updateRecording(key, (recording) => {
+      if (recording.processedTranscriptions) {
+        delete recording.processedTranscriptions[promptId];
+      }
+    });
+  }
+
+  /**
+   * Save (insert or replace) a background job
+   * @param {Object} job - Job record, keyed by job.id
+   * @returns {Promise<void>}
+   */
+  async saveJob(job) {
     await this.init();
 
-    const recording = await this.getRecording(key);
-    if (!recording) {
-      throw new Error(`Recording ${key} not found`);
-    }
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([JOBS_STORE], 'readwrite');
+      const request = transaction.objectStore(JOBS_STORE).put(job);
 
-    if (!recording.processedTranscriptions) {
-      recording.processedTranscriptions = {};
-    }
+      request.onsuccess = () => resolve();
 
-    recording.processedTranscriptions[promptId] = {
-      text: processedTranscription,
-      timestamp: Date.now(),
-      promptId: promptId
-    };
+      request.onerror = () => {
+        console.error('Error saving job:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Merge changes into a stored job, reading and writing it in one transaction so
+   * concurrent updates (progress, finishing, cancelling) can't overwrite each other
+   * @param {string} id - Job ID
+   * @param {Object} changes - Fields to overwrite
+   * @param {string|null} [expectedStatus] - Only update while the job has this status
+   * @returns {Promise<Object|null>} - Updated job, or null if it doesn't exist or its
+   *   status differs from expectedStatus
+   */
+  async updateJob(id, changes, expectedStatus = null) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([JOBS_STORE], 'readwrite');
+      const store = transaction.objectStore(JOBS_STORE);
+      const request = store.get(id);
+      let updated = null;
+
+      request.onsuccess = () => {
+        const job = request.result;
+        if (!job || (expectedStatus && job.status !== expectedStatus)) {
+          return;
+        }
+
+        updated = { ...job, ...changes };
+        store.put(updated);
+      };
+
+      transaction.oncomplete = () => resolve(updated);
+
+      transaction.onerror = () => {
+        console.error('Error updating job:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Get a background job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(id) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([JOBS_STORE], 'readonly');
+      const request = transaction.objectStore(JOBS_STORE).get(id);
+
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+
+      request.onerror = () => {
+        console.error('Error getting job:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Get all background jobs, oldest first
+   * @returns {Promise<Array>}
+   */
+  async getAllJobs() {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([JOBS_STORE], 'readonly');
+      const request = transaction.objectStore(JOBS_STORE).index('createdAt').getAll();
 
-    return this.saveRecording(key, recording);
+      request.onsuccess = () => {
+        resolve(request.result || []);
+      };
+
+      request.onerror = () => {
+        console.error('Error getting jobs:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Delete a background job
+   * @param {string} id - Job ID
+   * @returns {Promise<void>}
+   */
+  async deleteJob(id) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([JOBS_STORE], 'readwrite');
+      const request = transaction.objectStore(JOBS_STORE).delete(id);
+
+      request.onsuccess = () => resolve();
+
+      request.onerror = () => {
+        console.error('Error deleting job:', request.error);
+        reject(request.error);
+      };
+    });
   }
 
   /**
@@ -297,18 +689,19 @@ class IndexedDBManager {
     await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([RECORDINGS_STORE], 'readwrite');
-      const objectStore = transaction.objectStore(RECORDINGS_STORE);
-      const request = objectStore.delete(key);
+      // The key may belong to a recording or a chunk; deleting a missing key is a no-op
+      const transaction = this.db.transaction([RECORDINGS_STORE, CHUNKS_STORE], 'readwrite');
+      transaction.objectStore(RECORDINGS_STORE).delete(key);
+      transaction.objectStore(CHUNKS_STORE).delete(key);
 
-      request.onsuccess = () => {
+      transaction.oncomplete = () => {
         console.log(`Recording ${key} deleted from IndexedDB`);
         resolve();
       };
 
-      request.onerror = () => {
-        console.error('Error deleting recording:', request.error);
-        reject(request.error);
+      transaction.onerror = () => {
+        console.error('Error deleting recording:', transaction.error);
+        reject(transaction.error);
       };
     });
   }
@@ -321,18 +714,19 @@ class IndexedDBManager {
     await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([RECORDINGS_STORE], 'readwrite');
-      const objectStore = transaction.objectStore(RECORDINGS_STORE);
-      const request = objectStore.clear();
+      const transaction = this.db.transaction([RECORDINGS_STORE, CHUNKS_STORE, JOBS_STORE], 'readwrite');
+      transaction.objectStore(RECORDINGS_STORE).clear();
+      transaction.objectStore(CHUNKS_STORE).clear();
+      transaction.objectStore(JOBS_STORE).clear();
 
-      request.onsuccess = () => {
+      transaction.oncomplete = () => {
         console.log('All recordings cleared from IndexedDB');
         resolve();
       };
 
-      request.onerror = () => {
-        console.error('Error clearing recordings:', request.error);
-        reject(request.error);
+      transaction.onerror = () => {
+        console.error('Error clearing recordings:', transaction.error);
+        reject(transaction.error);
       };
     });
   }
@@ -350,14 +744,40 @@ class IndexedDBManager {
     recordings.forEach(recording => {
       // Estimate size of the recording data
       if (recording.data) {
-        // For data URLs, the base64 portion is the actual data
-        totalSize += recording.data.length;
+        // Binary chunks report their byte length; for data URLs the base64 portion is the actual data
+        totalSize += recording.data.byteLength ?? recording.data.length;
       }
       if (recording.transcription) {
         totalSize += recording.transcription.length * 2; // Rough estimate for string size
       }
     });
 
+    // Chunk audio lives in its own store; read it record by record rather than all at once
+    totalSize += await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([CHUNKS_STORE], 'readonly');
+      const request = transaction.objectStore(CHUNKS_STORE).openCursor();
+      let chunksSize = 0;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve(chunksSize);
+          return;
+        }
+
+        const data = cursor.value.data;
+        if (data) {
+          chunksSize += data.byteLength ?? data.length;
+        }
+        cursor.continue();
+      };
+
+      request.onerror = () => {
+        console.error('Error measuring chunk storage:', request.error);
+        reject(request.error);
+      };
+    });
+
     // Convert to MB
     const sizeInMB = (totalSize / (1024 * 1024)).toFixed(2);
 
@@ -368,6 +788,51 @@ class IndexedDBManager {
     };
   }
 
+  /**
+   * Convert PCM chunks stored as base64 data URLs into ArrayBuffers
+   * Runs one record per transaction so recording and playback are never blocked for long
+   * @returns {Promise<{migrated: number, failed: number, total: number}>}
+   */
+  async migrateChunksToBinary() {
+    await this.init();
+
+    const chunkKeys = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([CHUNKS_STORE], 'readonly');
+      const request = transaction.objectStore(CHUNKS_STORE).getAllKeys();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    let migrated = 0;
+    let failed = 0;
+    let total = 0;
+
+    for (const key of chunkKeys) {
+      const chunk = await this.getChunk(key);
+      const isPcm = chunk?.format === 'pcm-int16' || chunk?.format === 'pcm-float32';
+      if (!isPcm || typeof chunk.data !== 'string') {
+        continue;
+      }
+
+      total++;
+      try {
+        chunk.data = dataUrlToArrayBuffer(chunk.data);
+        await this.saveRecording(key, chunk);
+        migrated++;
+      } catch (error) {
+        console.error(`Failed to migrate chunk ${key} to binary:`, error);
+        failed++;
+      }
+
+      // Yield between records to keep the page responsive
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    console.log(`Binary chunk migration: ${migrated}/${total} converted, ${failed} failed`);
+    return { migrated, failed, total };
+  }
+
   /**
    * Get recordings count
    * @returns {Promise<number>}
@@ -403,6 +868,20 @@ class IndexedDBManager {
   }
 }
 
+/**
+ * Decode a base64 data URL into an ArrayBuffer
+ * @param {string} dataUrl - Data URL (e.g. data:application/octet-stream;base64,...)
+ * @returns {ArrayBuffer}
+ */
+function dataUrlToArrayBuffer(dataUrl) {
+  const binaryString = atob(dataUrl.split(',')[1]);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
 // Create a singleton instance
 const dbManager = new IndexedDBManager();
 
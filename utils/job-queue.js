@@ -0,0 +1,305 @@
+// Background job queue for transcriptions and post-processing runs
+// Jobs are stored in IndexedDB so they survive closed tabs and browser restarts.
+// Any page can enqueue or cancel jobs; the offscreen document runs them one at a
+// time (see processJobQueue() in offscreen.js) and the service worker wakes it up.
+
+const JOB_TYPES = {
+  TRANSCRIPTION: 'transcription',
+  POST_PROCESSING: 'post-processing'
+};
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// chrome.storage key holding a summary of the queue for the popup
+const JOB_QUEUE_STATUS_KEY = 'job_queue_status';
+
+async function jobQueueStorageSet(items) {
+  if (chrome?.storage?.local) {
+    return chrome.storage.local.set(items);
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'storage-set',
+    target: 'service-worker-storage',
+    items
+  });
+
+  if (!response?.success) {
+    throw new Error(response?.error || 'storage-set bridge failed');
+  }
+}
+
+// StorageUtils is loaded as a module, so it may not exist yet when this runs
+async function getJobStorage() {
+  let attempts = 0;
+  while (!window.StorageUtils && attempts < 100) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    attempts++;
+  }
+
+  if (!window.StorageUtils) {
+    throw new Error('StorageUtils not available for the job queue');
+  }
+
+  return window.StorageUtils;
+}
+
+/**
+ * Whether a job is still waiting or running
+ * @param {Object} job - Job record
+ * @returns {boolean}
+ */
+function isJobActive(job) {
+  return job?.status === JOB_STATUS.QUEUED || job?.status === JOB_STATUS.RUNNING;
+}
+
+/**
+ * Get all jobs, oldest first
+ * @returns {Promise<Array>}
+ */
+async function getJobs() {
+  const storage = await getJobStorage();
+  return storage.getAllJobs();
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(id) {
+  const storage = await getJobStorage();
+  return storage.getJob(id);
+}
+
+/**
+ * Merge changes into a stored job
+ * The read and the write happen in one transaction, so a late update can't
+ * bring back a status that was changed in the meantime.
+ * @param {string} id - Job ID
+ * @param {Object} changes - Fields to overwrite
+ * @param {Object} [options]
+ * @param {string} [options.ifStatus] - Only update while the job has this status
+ * @returns {Promise<Object|null>} - Updated job, or null if it no longer exists or
+ *   no longer has the expected status
+ */
+async function updateJob(id, changes, { ifStatus = null } = {}) {
+  const storage = await getJobStorage();
+  return storage.updateJob(id, changes, ifStatus);
+}
+
+/**
+ * Tell open history pages that a job changed
+ * @param {Object} job - Job record
+ */
+function broadcastJobUpdate(job) {
+  chrome.runtime
+    .sendMessage({ type: 'job-updated', target: 'history', data: { job } })
+    .catch(() => {}); // No history page open
+}
+
+/**
+ * Mirror a summary of the queue into chrome.storage for the popup
+ * @returns {Promise<void>}
+ */
+async function publishQueueStatus() {
+  const jobs = await getJobs();
+  const running = jobs.find((job) => job.status === JOB_STATUS.RUNNING);
+
+  await jobQueueStorageSet({
+    [JOB_QUEUE_STATUS_KEY]: {
+      running: running
+        ? {
+            id: running.id,
+            type: running.type,
+            recordingKey: running.recordingKey,
+            progress: running.progress || null
+          }
+        : null,
+      queued: jobs.filter((job) => job.status === JOB_STATUS.QUEUED).length,
+      updatedAt: Date.now()
+    }
+  });
+}
+
+/**
+ * Ask the service worker to start the runner in the offscreen document
+ */
+function notifyQueueChanged() {
+  chrome.runtime
+    .sendMessage({ type: 'job-queue-updated', target: 'service-worker' })
+    .catch((error) => {
+      console.warn('Could not wake the job queue runner:', error);
+    });
+}
+
+/**
+ * Add a job to the queue, or return the matching job that is already queued or running
+ * @param {string} type - One of JOB_TYPES
+ * @param {string} recordingKey - Recording the job works on
+ * @param {Object} fields - Type-specific fields (resume, prompt, source)
+ * @param {Function} isSameJob - Whether an active job of this type duplicates the new one
+ * @returns {Promise<Object>} - The queued job
+ */
+async function enqueueJob(type, recordingKey, fields, isSameJob = () => true) {
+  const storage = await getJobStorage();
+  const existing = (await storage.getAllJobs()).find(
+    (job) =>
+      job.type === type &&
+      job.recordingKey === recordingKey &&
+      isJobActive(job) &&
+      isSameJob(job)
+  );
+  if (existing) {
+    return existing;
+  }
+
+  const job = {
+    id: `job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    recordingKey,
+    status: JOB_STATUS.QUEUED,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    progress: null,
+    error: null,
+    source: 'manual',
+    ...fields
+  };
+
+  await storage.saveJob(job);
+  console.log(`[JOB QUEUE] Queued ${type} job ${job.id} for ${recordingKey}`);
+
+  broadcastJobUpdate(job);
+  await publishQueueStatus();
+  notifyQueueChanged();
+  return job;
+}
+
+/**
+ * Queue a transcription of a recording
+ * @param {string} recordingKey - Recording key
+ * @param {Object} [options]
+ * @param {boolean} [options.resume] - Continue from saved segment progress when there is some
+ * @param {string} [options.source] - 'manual' or 'auto'
+ * @returns {Promise<Object>} - The queued job
+ */
+async function enqueueTranscription(
+  recordingKey,
+  { resume = false, source = 'manual' } = {}
+) {
+  return enqueueJob(JOB_TYPES.TRANSCRIPTION, recordingKey, { resume, source });
+}
+
+/**
+ * Queue a post-processing run of a recording's transcription
+ * The prompt is copied into the job because prompts live in chrome.storage,
+ * which the offscreen runner can only reach through the service worker.
+ * @param {string} recordingKey - Recording key
+ * @param {Object} prompt - Prompt ({ id, name, systemPrompt, provider?, model?, outputSchema? })
+ * @returns {Promise<Object>} - The queued job
+ */
+async function enqueuePostProcessing(recordingKey, prompt) {
+  return enqueueJob(
+    JOB_TYPES.POST_PROCESSING,
+    recordingKey,
+    {
+      prompt: {
+        id: prompt.id,
+        name: prompt.name,
+        systemPrompt: prompt.systemPrompt,
+        provider: prompt.provider || null,
+        model: prompt.model || null,
+        outputSchema: prompt.outputSchema || null
+      }
+    },
+    (job) => job.prompt?.id === prompt.id
+  );
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled here; running jobs are aborted by the runner.
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} - The job as it stands after the request
+ */
+async function cancelJob(id) {
+  const job = await getJob(id);
+  if (!isJobActive(job)) {
+    return job;
+  }
+
+  const abortRunningJob = () => chrome.runtime
+    .sendMessage({ type: 'cancel-job', target: 'offscreen', data: { jobId: id } })
+    .catch(() => null);
+
+  if (job.status === JOB_STATUS.RUNNING) {
+    const response = await abortRunningJob();
+
+    // No runner holds the job (its offscreen document is gone), so nothing is left to abort
+    if (response?.found) {
+      return job;
+    }
+  }
+
+  // Only while the status is still the one checked above: the runner may claim a
+  // queued job in between, and then it has to be aborted instead
+  const cancelled = await updateJob(
+    id,
+    { status: JOB_STATUS.CANCELLED, finishedAt: Date.now() },
+    { ifStatus: job.status }
+  );
+  if (!cancelled) {
+    const current = await getJob(id);
+    if (current?.status === JOB_STATUS.RUNNING) {
+      await abortRunningJob();
+    }
+    return current;
+  }
+
+  broadcastJobUpdate(cancelled);
+  await publishQueueStatus();
+  return cancelled;
+}
+
+/**
+ * Delete finished jobs older than the retention period
+ * @returns {Promise<void>}
+ */
+async function pruneFinishedJobs() {
+  const retentionMs =
+    window.RECORDING_CONSTANTS?.JOB_QUEUE_RETENTION_MS || 86400000;
+  const storage = await getJobStorage();
+  const cutoff = Date.now() - retentionMs;
+
+  for (const job of await storage.getAllJobs()) {
+    if (!isJobActive(job) && (job.finishedAt || job.createdAt) < cutoff) {
+      await storage.deleteJob(job.id);
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.JobQueue = {
+    JOB_TYPES,
+    JOB_STATUS,
+    JOB_QUEUE_STATUS_KEY,
+    isJobActive,
+    getJobs,
+    getJob,
+    updateJob,
+    broadcastJobUpdate,
+    publishQueueStatus,
+    enqueueTranscription,
+    enqueuePostProcessing,
+    cancelJob,
+    pruneFinishedJobs
+  };
+}
@@ -0,0 +1,162 @@
+// Output schemas for structured post-processing prompts
+// Schemas use the subset of OpenAPI 3.0 that Gemini's responseSchema accepts (type,
+// nullable, enum, properties, required, items, minItems, maxItems, anyOf), so the
+// same object is sent to the model and used to check its answer here.
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+// Keeps the retry prompt short when the model's answer is far off
+const MAX_SCHEMA_ERRORS = 20;
+
+function getSchemaType(schema) {
+  return typeof schema?.type === 'string' ? schema.type.toLowerCase() : null;
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function describeJsonValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function collectSchemaErrors(value, schema, path, errors) {
+  if (errors.length >= MAX_SCHEMA_ERRORS || !schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (value === null && schema.nullable) {
+    return;
+  }
+
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) {
+    const matches = schema.anyOf.some((option) => validateJsonSchema(value, option).length === 0);
+    if (!matches) {
+      errors.push(`${path}: does not match any of the allowed schemas`);
+    }
+    return;
+  }
+
+  const type = getSchemaType(schema);
+  if (type && !matchesSchemaType(value, type)) {
+    errors.push(`${path}: expected ${type}${schema.nullable ? ' or null' : ''}, got ${describeJsonValue(value)}`);
+    return;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < Number(schema.minItems)) {
+      errors.push(`${path}: expected at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > Number(schema.maxItems)) {
+      errors.push(`${path}: expected at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => collectSchemaErrors(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        collectSchemaErrors(value[key], propertySchema, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Check a parsed JSON value against an output schema
+ * Properties the schema doesn't list are allowed.
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Output schema
+ * @returns {Array<string>} - Problems found ("$.actions[0].priority: expected one of ..."),
+ *   empty when the value matches
+ */
+function validateJsonSchema(value, schema) {
+  const errors = [];
+  collectSchemaErrors(value, schema, '$', errors);
+  return errors;
+}
+
+/**
+ * Check that a schema typed by the user only uses what Gemini's responseSchema accepts
+ * @param {*} schema - Parsed schema
+ * @param {string} [path] - Location in the schema, for messages
+ * @returns {Array<string>} - Problems found, empty when the schema is usable
+ */
+function checkOutputSchema(schema, path = '$') {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [`${path}: a schema must be an object`];
+  }
+
+  const errors = [];
+  const type = getSchemaType(schema);
+
+  if (Array.isArray(schema.anyOf)) {
+    schema.anyOf.forEach((option, index) => {
+      errors.push(...checkOutputSchema(option, `${path}.anyOf[${index}]`));
+    });
+    return errors;
+  }
+
+  if (!SCHEMA_TYPES.includes(type)) {
+    errors.push(`${path}: "type" must be one of ${SCHEMA_TYPES.join(', ')}`);
+    return errors;
+  }
+
+  if (type === 'array') {
+    if (schema.items) {
+      errors.push(...checkOutputSchema(schema.items, `${path}.items`));
+    } else {
+      errors.push(`${path}: an array schema needs "items"`);
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      errors.push(...checkOutputSchema(propertySchema, `${path}.properties.${key}`));
+    }
+    for (const key of schema.required || []) {
+      if (!(key in properties)) {
+        errors.push(`${path}: required property "${key}" is not in "properties"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.JsonSchemaUtils = {
+    validateJsonSchema,
+    checkOutputSchema
+  };
+}
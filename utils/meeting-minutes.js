@@ -0,0 +1,120 @@
+// Meeting minutes produced by the built-in meeting-minutes prompt, and action-item
+// lists from the action-items prompt (an "actions" array without meeting_meta)
+// Results from before output schemas were validated only have the text, so the
+// JSON is parsed from it and recognised by its shape rather than by the prompt ID.
+
+const PRIORITY_ORDER = ['High', 'Medium', 'Low'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Get the meeting minutes (or action-item list) from a processed result, if it holds any
+ * @param {Object} processed - Entry of recording.processedTranscriptions ({ text, data? })
+ * @returns {Object|null} - Minutes object, or null for other output
+ */
+function parseMeetingMinutes(processed) {
+  let minutes = processed?.data;
+
+  if (minutes === undefined || minutes === null) {
+    const text = String(processed?.text || '')
+      .trim()
+      .replace(/^```[a-zA-Z]*\n?/, '')
+      .replace(/\n?```$/, '')
+      .trim();
+    if (!text.startsWith('{')) return null;
+
+    try {
+      minutes = JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!isPlainObject(minutes) || !Array.isArray(minutes.actions)) {
+    return null;
+  }
+  if (minutes.meeting_meta !== undefined && !isPlainObject(minutes.meeting_meta)) {
+    return null;
+  }
+  return minutes;
+}
+
+/**
+ * All action items of the minutes: the actions list, then people's TODOs that
+ * aren't already in it (same title and assignee)
+ * @param {Object} minutes - Minutes from parseMeetingMinutes()
+ * @returns {Array<{title: string, assignee: string, project: string, priority: string, status: string, dueDate: string|null, notes: string}>}
+ */
+function collectActionItems(minutes) {
+  const items = [];
+  const seen = new Set();
+
+  const add = (task, assignee) => {
+    const item = {
+      title: String(task?.title || '').trim(),
+      assignee: String(assignee || '').trim() || 'Unassigned',
+      project: String(task?.project_name || '').trim() || 'General',
+      priority: String(task?.priority || '').trim() || 'Medium',
+      status: String(task?.status || '').trim() || 'New',
+      dueDate: task?.due_date || null,
+      notes: String(task?.notes || '').trim()
+    };
+    const key = `${item.title.toLowerCase()}\u0000${item.assignee.toLowerCase()}`;
+    if (item.title && !seen.has(key)) {
+      seen.add(key);
+      items.push(item);
+    }
+  };
+
+  for (const action of asArray(minutes?.actions)) {
+    add(action, action?.assignee);
+  }
+  for (const person of asArray(minutes?.people)) {
+    for (const todo of asArray(person?.TODO)) {
+      add(todo, person?.name);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Timeline milestones, soonest first; milestones without a date come last
+ * @param {Object} minutes - Minutes from parseMeetingMinutes()
+ * @returns {Array<Object>}
+ */
+function getSortedTimeline(minutes) {
+  return asArray(minutes?.timeline)
+    .filter((milestone) => milestone?.milestone)
+    .sort((a, b) => {
+      if (!a.target_date) return b.target_date ? 1 : 0;
+      if (!b.target_date) return -1;
+      return String(a.target_date).localeCompare(String(b.target_date));
+    });
+}
+
+/**
+ * Sort key for priorities: High, Medium, Low, then anything else
+ * @param {string} priority - Priority label
+ * @returns {number}
+ */
+function getPriorityRank(priority) {
+  const index = PRIORITY_ORDER.indexOf(priority);
+  return index === -1 ? PRIORITY_ORDER.length : index;
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.MeetingMinutes = {
+    parseMeetingMinutes,
+    collectActionItems,
+    getSortedTimeline,
+    getPriorityRank
+  };
+}
@@ -3,6 +3,127 @@
  * Handles built-in and user-defined system prompts
  */
 
+const NULLABLE_STRING = { type: 'STRING', nullable: true };
+const STRING_LIST = { type: 'ARRAY', items: { type: 'STRING' } };
+const PRIORITY = { type: 'STRING', enum: ['High', 'Medium', 'Low'] };
+const TASK_STATUS = { type: 'STRING', enum: ['New', 'In Progress', 'Blocked', 'Done'] };
+
+const ACTION_ITEM_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    title: { type: 'STRING' },
+    assignee: { type: 'STRING' },
+    project_name: { type: 'STRING' },
+    priority: PRIORITY,
+    status: TASK_STATUS,
+    due_date: NULLABLE_STRING,
+    notes: { type: 'STRING' }
+  },
+  required: ['title', 'assignee', 'project_name', 'priority', 'status', 'due_date', 'notes']
+};
+
+// Output schema of the meeting-minutes prompt, in Gemini responseSchema form
+// (see utils/json-schema.js); it mirrors the format described in the prompt
+const MEETING_MINUTES_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    meeting_meta: {
+      type: 'OBJECT',
+      properties: {
+        title: { type: 'STRING' },
+        date: NULLABLE_STRING,
+        time: NULLABLE_STRING,
+        location: NULLABLE_STRING,
+        facilitator: NULLABLE_STRING,
+        scribe: NULLABLE_STRING
+      },
+      required: ['title', 'date', 'time', 'location', 'facilitator', 'scribe']
+    },
+    attendees: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          name: { type: 'STRING' },
+          role: NULLABLE_STRING,
+          present: { type: 'BOOLEAN' }
+        },
+        required: ['name', 'role', 'present']
+      }
+    },
+    projects: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          project_name: { type: 'STRING' },
+          status: { type: 'STRING' },
+          highlights: STRING_LIST,
+          decisions: STRING_LIST,
+          risks: STRING_LIST,
+          dependencies: STRING_LIST,
+          open_questions: STRING_LIST
+        },
+        required: ['project_name', 'status', 'highlights', 'decisions', 'risks', 'dependencies', 'open_questions']
+      }
+    },
+    actions: { type: 'ARRAY', items: ACTION_ITEM_SCHEMA },
+    people: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          name: { type: 'STRING' },
+          updates: STRING_LIST,
+          blockers: STRING_LIST,
+          needs: STRING_LIST,
+          TODO: {
+            type: 'ARRAY',
+            items: {
+              type: 'OBJECT',
+              properties: {
+                title: { type: 'STRING' },
+                project_name: { type: 'STRING' },
+                priority: PRIORITY,
+                due_date: NULLABLE_STRING,
+                status: TASK_STATUS,
+                notes: { type: 'STRING' }
+              },
+              required: ['title', 'project_name', 'priority', 'due_date', 'status']
+            }
+          }
+        },
+        required: ['name', 'updates', 'blockers', 'needs', 'TODO']
+      }
+    },
+    timeline: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          milestone: { type: 'STRING' },
+          project_name: { type: 'STRING' },
+          target_date: NULLABLE_STRING,
+          status: { type: 'STRING', enum: ['On Track', 'At Risk', 'Off Track'] },
+          owner: { type: 'STRING' }
+        },
+        required: ['milestone', 'project_name', 'target_date', 'status', 'owner']
+      }
+    },
+    notes: STRING_LIST
+  },
+  required: ['meeting_meta', 'attendees', 'projects', 'actions', 'people', 'timeline', 'notes']
+};
+
+// Output schema of the action-items prompt: the "actions" list of the meeting minutes
+const ACTION_ITEMS_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    actions: { type: 'ARRAY', items: ACTION_ITEM_SCHEMA }
+  },
+  required: ['actions']
+};
+
 const BUILTIN_PROMPTS = {
   'meeting-minutes': {
     id: 'meeting-minutes',
@@ -96,6 +217,7 @@ INPUT
 TRANSCRIPT_END>>>
 
 Now output ONLY the JSON object, nothing else.`,
+    outputSchema: MEETING_MINUTES_SCHEMA,
     isBuiltin: true,
     category: 'Business'
   },
@@ -125,7 +247,21 @@ Provide the summary in a well-structured format with bullet points or paragraphs
 Transcription:
 {{TRANSCRIPTION}}
 
-Format the output as a numbered list with clear structure.`,
+Output ONLY a JSON object of this form, nothing else:
+{
+  "actions": [
+    {
+      "title": "<task phrased as an action>",
+      "assignee": "<person or 'Unassigned'>",
+      "project_name": "<related project or 'General'>",
+      "priority": "High|Medium|Low",
+      "status": "New|In Progress|Blocked|Done",
+      "due_date": "<YYYY-MM-DD if an explicit date is given, else null>",
+      "notes": "<deadline phrases like 'by Friday' and other context, or empty>"
+    }
+  ]
+}`,
+    outputSchema: ACTION_ITEMS_SCHEMA,
     isBuiltin: true,
     category: 'Productivity'
   },
@@ -164,6 +300,7 @@ Include any follow-up questions and clarifications.`,
 class PromptsManager {
   constructor() {
     this.customPrompts = {};
+    this.builtinProviders = {}; // Provider/model choices for built-in prompts
   }
 
   /**
@@ -179,6 +316,19 @@ class PromptsManager {
     });
   }
 
+  /**
+   * Load provider/model choices for built-in prompts from storage
+   * @returns {Promise<Object>}
+   */
+  async loadBuiltinProviders() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['builtin_prompt_providers'], (result) => {
+        this.builtinProviders = result.builtin_prompt_providers || {};
+        resolve(this.builtinProviders);
+      });
+    });
+  }
+
   /**
    * Save custom prompts to storage
    * @returns {Promise<void>}
@@ -198,8 +348,15 @@ class PromptsManager {
    */
   async getAllPrompts() {
     await this.loadCustomPrompts();
+    await this.loadBuiltinProviders();
+
+    const builtinPrompts = {};
+    Object.entries(BUILTIN_PROMPTS).forEach(([id, prompt]) => {
+      builtinPrompts[id] = { ...prompt, ...this.builtinProviders[id] };
+    });
+
     return {
-      ...BUILTIN_PROMPTS,
+      ...builtinPrompts,
       ...this.customPrompts
     };
   }
@@ -217,7 +374,8 @@ class PromptsManager {
   /**
    * Add or update a custom prompt
    * @param {string} id - Prompt ID
-   * @param {Object} promptData - Prompt data (name, description, systemPrompt, category)
+   * @param {Object} promptData - Prompt data (name, description, systemPrompt, category, provider, model,
+   *   outputSchema)
    * @returns {Promise<void>}
    */
   async savePrompt(id, promptData) {
@@ -233,6 +391,9 @@ class PromptsManager {
       description: promptData.description,
       systemPrompt: promptData.systemPrompt,
       category: promptData.category || 'Custom',
+      provider: promptData.provider || '',
+      model: promptData.model || '',
+      outputSchema: promptData.outputSchema || null,
       isBuiltin: false,
       createdAt: this.customPrompts[id]?.createdAt || Date.now(),
       updatedAt: Date.now()
@@ -241,6 +402,43 @@ class PromptsManager {
     await this.saveCustomPrompts();
   }
 
+  /**
+   * Choose the post-processing provider and model for a prompt
+   * Built-in prompts are read-only, so their choice is stored separately.
+   * Empty values fall back to the default provider and its configured model.
+   * @param {string} id - Prompt ID
+   * @param {Object} providerData - { provider, model }
+   * @returns {Promise<void>}
+   */
+  async setPromptProvider(id, { provider = '', model = '' } = {}) {
+    if (BUILTIN_PROMPTS[id]) {
+      await this.loadBuiltinProviders();
+
+      if (provider || model) {
+        this.builtinProviders[id] = { provider, model };
+      } else {
+        delete this.builtinProviders[id];
+      }
+
+      return new Promise((resolve) => {
+        chrome.storage.local.set({ builtin_prompt_providers: this.builtinProviders }, () => resolve());
+      });
+    }
+
+    await this.loadCustomPrompts();
+    if (!this.customPrompts[id]) {
+      throw new Error(`Prompt ${id} not found`);
+    }
+
+    this.customPrompts[id] = {
+      ...this.customPrompts[id],
+      provider,
+      model,
+      updatedAt: Date.now()
+    };
+    await this.saveCustomPrompts();
+  }
+
   /**
    * Delete a custom prompt
    * @param {string} id - Prompt ID
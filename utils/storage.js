@@ -3,7 +3,7 @@ import dbManager from './indexeddb.js';
 
 /**
  * Save a recording to IndexedDB
- * @param {string} audioDataUrl - Audio data in data URL format
+ * @param {string|ArrayBuffer} audioDataUrl - Audio data in data URL format (PCM chunks use a raw ArrayBuffer)
  * @param {Object} metadata - Optional metadata (source, filename, fileSize, mimeType, duration, key)
  * @returns {Promise<string>} - Key of the saved recording
  */
@@ -64,10 +64,54 @@ async function deleteRecording(key) {
  * Update transcription for a recording
  * @param {string} key - Recording key
  * @param {string} transcription - Transcription text
+ * @param {Array|null} segments - Timed transcript segments, if known
+ * @param {Array<string>|null} languages - Detected language codes, most spoken first
  * @returns {Promise<void>}
  */
-async function updateTranscription(key, transcription) {
-  await dbManager.updateTranscription(key, transcription);
+async function updateTranscription(key, transcription, segments = null, languages = null) {
+  await dbManager.updateTranscription(key, transcription, segments, languages);
+}
+
+/**
+ * Rename diarized speakers for a recording
+ * @param {string} key - Recording key
+ * @param {Object} speakerNames - Display names keyed by speaker label
+ * @param {string} transcription - Plain transcription using the new names
+ * @returns {Promise<void>}
+ */
+async function updateSpeakerNames(key, speakerNames, transcription) {
+  await dbManager.updateSpeakerNames(key, speakerNames, transcription);
+}
+
+/**
+ * Set a recording's own glossary terms
+ * @param {string} key - Recording key
+ * @param {Array<string>} glossary - Glossary terms
+ * @returns {Promise<void>}
+ */
+async function updateGlossary(key, glossary) {
+  await dbManager.updateGlossary(key, glossary);
+}
+
+/**
+ * Store or remove a translated variant of a recording's transcription
+ * @param {string} key - Recording key
+ * @param {string} language - Target language code
+ * @param {Object|null} translation - Translation, or null to remove it
+ * @returns {Promise<void>}
+ */
+async function updateTranslation(key, language, translation) {
+  await dbManager.updateTranslation(key, language, translation);
+}
+
+/**
+ * Append token usage entries to a recording
+ * @param {string} key - Recording key
+ * @param {Array<Object>} entries - Usage entries, one per billed request
+ * @returns {Promise<void>}
+ */
+async function addRecordingUsage(key, entries) {
+  await dbManager.addRecordingUsage(key, entries);
 }
 
 /**
@@ -75,10 +119,21 @@ async function updateTranscription(key, transcription) {
  * @param {string} key - Recording key
  * @param {string} processedTranscription - Processed transcription text
  * @param {string} promptId - ID of the prompt used for processing
+ * @param {*} [data] - Parsed output, for prompts with an output schema
  * @returns {Promise<void>}
  */
-async function updateProcessedTranscription(key, processedTranscription, promptId) {
-  await dbManager.updateProcessedTranscription(key, processedTranscription, promptId);
+async function updateProcessedTranscription(key, processedTranscription, promptId, data = null) {
+  await dbManager.updateProcessedTranscription(key, processedTranscription, promptId, data);
+}
+
+/**
+ * Remove a processed transcription from a recording
+ * @param {string} key - Recording key
+ * @param {string} promptId - ID of the prompt whose result is removed
+ * @returns {Promise<void>}
+ */
+async function deleteProcessedTranscription(key, promptId) {
+  await dbManager.deleteProcessedTranscription(key, promptId);
 }
 
 /**
@@ -153,6 +208,14 @@ async function migrateFromChromeStorage() {
   return { migrated, failed, total: recordingKeys.length };
 }
 
+/**
+ * Convert legacy base64 PCM chunks to binary ArrayBuffers
+ * @returns {Promise<Object>} - Migration results
+ */
+async function migrateChunksToBinary() {
+  return await dbManager.migrateChunksToBinary();
+}
+
 /**
  * Get chunks with data for a specific recording
  * @param {string} parentRecordingId - Parent recording ID
@@ -162,6 +225,70 @@ async function getRecordingChunksWithData(parentRecordingId) {
   return await dbManager.getRecordingChunksWithData(parentRecordingId);
 }
 
+/**
+ * Count the chunks stored for a recording
+ * @param {string} parentRecordingId - Parent recording ID
+ * @returns {Promise<number>}
+ */
+async function countRecordingChunks(parentRecordingId) {
+  return await dbManager.countRecordingChunks(parentRecordingId);
+}
+
+/**
+ * Delete all chunks belonging to a recording
+ * @param {string} parentRecordingId - Parent recording ID
+ * @returns {Promise<number>} - Number of chunks deleted
+ */
+async function deleteRecordingChunks(parentRecordingId) {
+  return await dbManager.deleteRecordingChunks(parentRecordingId);
+}
+
+/**
+ * Save (insert or replace) a background job
+ * @param {Object} job - Job record
+ * @returns {Promise<void>}
+ */
+async function saveJob(job) {
+  await dbManager.saveJob(job);
+}
+
+/**
+ * Merge changes into a stored job in one transaction
+ * @param {string} id - Job ID
+ * @param {Object} changes - Fields to overwrite
+ * @param {string|null} [expectedStatus] - Only update while the job has this status
+ * @returns {Promise<Object|null>} - Updated job, or null if nothing was updated
+ */
+async function updateJob(id, changes, expectedStatus = null) {
+  return await dbManager.updateJob(id, changes, expectedStatus);
+}
+
+/**
+ * Get a background job by ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(id) {
+  return await dbManager.getJob(id);
+}
+
+/**
+ * Get all background jobs, oldest first
+ * @returns {Promise<Array>}
+ */
+async function getAllJobs() {
+  return await dbManager.getAllJobs();
+}
+
+/**
+ * Delete a background job
+ * @param {string} id - Job ID
+ * @returns {Promise<void>}
+ */
+async function deleteJob(id) {
+  await dbManager.deleteJob(id);
+}
+
 // Export for use in other scripts
 if (typeof window !== 'undefined') {
   window.StorageUtils = {
@@ -170,11 +297,24 @@ if (typeof window !== 'undefined') {
     getAllRecordingsMetadata,
     getRecording,
     getRecordingChunksWithData,
+    countRecordingChunks,
     deleteRecording,
+    deleteRecordingChunks,
     updateTranscription,
+    updateSpeakerNames,
+    updateGlossary,
+    updateTranslation,
+    addRecordingUsage,
     updateProcessedTranscription,
+    deleteProcessedTranscription,
     getStorageInfo,
     clearAllRecordings,
-    migrateFromChromeStorage
+    migrateFromChromeStorage,
+    migrateChunksToBinary,
+    saveJob,
+    updateJob,
+    getJob,
+    getAllJobs,
+    deleteJob
   };
 }
@@ -0,0 +1,159 @@
+// Subtitle export (SRT / WebVTT) for timed transcripts
+// Transcript segments only carry their own start and end, so long segments are
+// split into caption-sized cues and the segment's time is shared between them
+// in proportion to their text length.
+
+const DEFAULT_SUBTITLE_OPTIONS = {
+  maxLineLength: 42, // Characters per caption line
+  maxLines: 2 // Lines per cue
+};
+
+/**
+ * Word-wrap text into lines of at most maxLineLength characters
+ * Words longer than a line are hard-split.
+ * @param {string} text - Text to wrap
+ * @param {number} maxLineLength - Maximum characters per line
+ * @returns {string[]} - Wrapped lines
+ */
+function wrapCaptionText(text, maxLineLength) {
+  const lines = [];
+  let current = '';
+
+  for (let word of text.split(/\s+/).filter(Boolean)) {
+    while (word.length > maxLineLength) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, maxLineLength));
+      word = word.slice(maxLineLength);
+    }
+
+    if (!word) continue;
+
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= maxLineLength) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  }
+
+  if (current) {
+    lines.push(current);
+  }
+
+  return lines;
+}
+
+/**
+ * Split timed transcript segments into caption cues
+ * @param {Array} segments - Segments ({ start, end, text, utterances? }, seconds)
+ * @param {Object} [options]
+ * @param {number} [options.maxLineLength] - Characters per caption line
+ * @param {number} [options.maxLines] - Lines per cue
+ * @param {Object} [options.speakerNames] - Display names keyed by speaker label
+ * @returns {Array<{start: number, end: number, lines: string[]}>}
+ */
+function buildSubtitleCues(segments, options = {}) {
+  const maxLineLength = Math.max(10, Number(options.maxLineLength) || DEFAULT_SUBTITLE_OPTIONS.maxLineLength);
+  const maxLines = Math.max(1, Number(options.maxLines) || DEFAULT_SUBTITLE_OPTIONS.maxLines);
+  const speakerNames = options.speakerNames || {};
+  const cues = [];
+
+  for (const segment of segments) {
+    // Speaker turns (diarized utterances or "Them:"/"Me:" lines) never share a cue
+    const turns = segment.utterances
+      ? segment.utterances.map(utterance =>
+        `${speakerNames[utterance.speaker] || utterance.speaker}: ${utterance.text}`
+      )
+      : String(segment.text || '').split('\n');
+
+    const pieces = [];
+    for (const turn of turns) {
+      const lines = wrapCaptionText(turn, maxLineLength);
+      for (let i = 0; i < lines.length; i += maxLines) {
+        const cueLines = lines.slice(i, i + maxLines);
+        pieces.push({ lines: cueLines, weight: cueLines.join(' ').length });
+      }
+    }
+
+    const totalWeight = pieces.reduce((sum, piece) => sum + piece.weight, 0);
+    const duration = Math.max(0, segment.end - segment.start);
+    let cueStart = segment.start;
+
+    for (const piece of pieces) {
+      const cueEnd = cueStart + (duration * piece.weight) / totalWeight;
+      cues.push({ start: cueStart, end: cueEnd, lines: piece.lines });
+      cueStart = cueEnd;
+    }
+  }
+
+  return cues;
+}
+
+/**
+ * Format seconds as a subtitle timestamp (HH:MM:SS,mmm for SRT, HH:MM:SS.mmm for VTT)
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Millisecond separator
+ * @returns {string}
+ */
+function formatSubtitleTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Render cues as SubRip (.srt)
+ * @param {Array} cues - Cues from buildSubtitleCues()
+ * @returns {string}
+ */
+function cuesToSrt(cues) {
+  return cues
+    .map((cue, i) =>
+      `${i + 1}\n` +
+      `${formatSubtitleTimestamp(cue.start, ',')} --> ${formatSubtitleTimestamp(cue.end, ',')}\n` +
+      `${cue.lines.join('\n')}\n`
+    )
+    .join('\n');
+}
+
+/**
+ * Render cues as WebVTT (.vtt)
+ * @param {Array} cues - Cues from buildSubtitleCues()
+ * @returns {string}
+ */
+function cuesToVtt(cues) {
+  // Cue payloads are markup, so &, < and > must be escaped
+  const escapeCueText = text => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const body = cues
+    .map(cue =>
+      `${formatSubtitleTimestamp(cue.start, '.')} --> ${formatSubtitleTimestamp(cue.end, '.')}\n` +
+      `${escapeCueText(cue.lines.join('\n'))}\n`
+    )
+    .join('\n');
+
+  return `WEBVTT\n\n${body}`;
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.SubtitleUtils = {
+    DEFAULT_SUBTITLE_OPTIONS,
+    wrapCaptionText,
+    buildSubtitleCues,
+    cuesToSrt,
+    cuesToVtt
+  };
+}
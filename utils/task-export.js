@@ -0,0 +1,221 @@
+// Task exports for meeting-minutes and action-item results
+// Action items (actions plus people's TODOs, see utils/meeting-minutes.js) and
+// timeline milestones become a CSV, an iCalendar file, or a JSON list of issues
+// for task trackers.
+
+const CSV_COLUMNS = ['Title', 'Assignee', 'Project', 'Priority', 'Status', 'Due Date'];
+
+// RFC 5545 PRIORITY: 1 is highest, 9 lowest
+const ICS_PRIORITIES = { High: 1, Medium: 5, Low: 9 };
+const ICS_TODO_STATUSES = {
+  New: 'NEEDS-ACTION',
+  'In Progress': 'IN-PROCESS',
+  Blocked: 'NEEDS-ACTION',
+  Done: 'COMPLETED'
+};
+
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// Fields come from model output; spreadsheet apps run ones starting with these as formulas
+function escapeCsvField(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Action items as CSV (Title, Assignee, Project, Priority, Status, Due Date)
+ * Starts with a byte order mark so spreadsheet apps read it as UTF-8.
+ * @param {Object} minutes - Minutes from MeetingMinutes.parseMeetingMinutes()
+ * @returns {string}
+ */
+function tasksToCsv(minutes) {
+  const rows = window.MeetingMinutes.collectActionItems(minutes).map((item) => [
+    item.title,
+    item.assignee,
+    item.project,
+    item.priority,
+    item.status,
+    item.dueDate || ''
+  ]);
+
+  return '\uFEFF' + [CSV_COLUMNS, ...rows].map((row) => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74; // Continuation lines lose one octet to the space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatIcsDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+function formatIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function getNextIcsDate(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return formatIcsDate(date.toISOString().slice(0, 10));
+}
+
+/**
+ * Action items with a due date as VTODOs and dated milestones as all-day VEVENTs
+ * @param {Object} minutes - Minutes from MeetingMinutes.parseMeetingMinutes()
+ * @param {Object} [options]
+ * @param {string} [options.uidPrefix] - Makes UIDs unique per result, so re-importing updates entries
+ * @param {Date} [options.now] - DTSTAMP of the entries
+ * @returns {{content: string, todos: number, events: number}} - Calendar text and entry counts
+ */
+function tasksToIcs(minutes, { uidPrefix = 'meeting', now = new Date() } = {}) {
+  const stamp = formatIcsTimestamp(now);
+  const meetingTitle = minutes.meeting_meta?.title;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TabTalk Recorder//Meeting Tasks//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+  let todos = 0;
+  let events = 0;
+
+  window.MeetingMinutes.collectActionItems(minutes).forEach((item, index) => {
+    if (!isIsoDate(item.dueDate)) return;
+
+    const description = [
+      `Assignee: ${item.assignee}`,
+      `Project: ${item.project}`,
+      meetingTitle && `Meeting: ${meetingTitle}`,
+      item.notes
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VTODO',
+      `UID:${uidPrefix}-task-${index}@tabtalk-recorder`,
+      `DTSTAMP:${stamp}`,
+      `SUMMARY:${escapeIcsText(item.title)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `DUE;VALUE=DATE:${formatIcsDate(item.dueDate)}`,
+      `PRIORITY:${ICS_PRIORITIES[item.priority] ?? 0}`,
+      `STATUS:${ICS_TODO_STATUSES[item.status] || 'NEEDS-ACTION'}`,
+      `CATEGORIES:${escapeIcsText(item.project)}`,
+      'END:VTODO'
+    );
+    todos++;
+  });
+
+  window.MeetingMinutes.getSortedTimeline(minutes).forEach((milestone, index) => {
+    if (!isIsoDate(milestone.target_date)) return;
+
+    const description = [
+      milestone.project_name && `Project: ${milestone.project_name}`,
+      milestone.owner && `Owner: ${milestone.owner}`,
+      milestone.status && `Status: ${milestone.status}`
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uidPrefix}-milestone-${index}@tabtalk-recorder`,
+      `DTSTAMP:${stamp}`,
+      `SUMMARY:${escapeIcsText(milestone.milestone)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(milestone.target_date)}`,
+      `DTEND;VALUE=DATE:${getNextIcsDate(milestone.target_date)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+    events++;
+  });
+
+  lines.push('END:VCALENDAR');
+  return { content: lines.map(foldIcsLine).join('\r\n') + '\r\n', todos, events };
+}
+
+/**
+ * Action items and milestones as a tracker-neutral JSON import file
+ * Field names follow what Jira, Linear and GitHub issue importers have in common;
+ * the project and priority are also given as labels.
+ * @param {Object} minutes - Minutes from MeetingMinutes.parseMeetingMinutes()
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Export time
+ * @returns {string} - Pretty-printed JSON
+ */
+function tasksToIssuesJson(minutes, { now = new Date() } = {}) {
+  const meta = minutes.meeting_meta || {};
+
+  const issues = window.MeetingMinutes.collectActionItems(minutes).map((item) => ({
+    title: item.title,
+    description: item.notes,
+    assignee: item.assignee === 'Unassigned' ? null : item.assignee,
+    project: item.project,
+    priority: item.priority,
+    status: item.status,
+    dueDate: isIsoDate(item.dueDate) ? item.dueDate : null,
+    labels: [
+      ...(item.project !== 'General' ? [item.project] : []),
+      `priority:${item.priority.toLowerCase()}`
+    ]
+  }));
+
+  const milestones = window.MeetingMinutes.getSortedTimeline(minutes).map((milestone) => ({
+    title: milestone.milestone,
+    project: milestone.project_name || null,
+    owner: milestone.owner || null,
+    status: milestone.status || null,
+    dueDate: isIsoDate(milestone.target_date) ? milestone.target_date : null
+  }));
+
+  return JSON.stringify(
+    {
+      source: 'TabTalk Recorder',
+      exportedAt: now.toISOString(),
+      meeting: { title: meta.title || null, date: isIsoDate(meta.date) ? meta.date : null },
+      issues,
+      milestones
+    },
+    null,
+    2
+  );
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.TaskExport = {
+    CSV_COLUMNS,
+    tasksToCsv,
+    tasksToIcs,
+    tasksToIssuesJson
+  };
+}
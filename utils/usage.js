@@ -0,0 +1,315 @@
+// Token and cost accounting for Gemini requests
+// Every billed request is logged on its recording (recording.usage) and added to
+// per-month totals in chrome.storage, which outlive deleted recordings. The service
+// worker is the only writer of the monthly totals (see addMonthlyUsage()), so pages
+// and the offscreen job runner billing at the same time don't overwrite each other.
+// Costs are estimates from RECORDING_CONSTANTS.GEMINI_PRICING_USD_PER_MILLION.
+
+const USAGE_KINDS = {
+  TRANSCRIPTION: 'transcription',
+  POST_PROCESSING: 'post-processing',
+  TRANSLATION: 'translation'
+};
+
+// chrome.storage key holding { 'YYYY-MM': { model: totals } }
+const USAGE_MONTHLY_KEY = 'usage_monthly';
+
+// Usage writes from this page run one at a time, in the order they were billed
+let usageWriteChain = Promise.resolve();
+
+// Monthly totals written by the service worker, one entry at a time
+let monthlyUsageChain = Promise.resolve();
+
+async function usageStorageGet(keys) {
+  if (chrome?.storage?.local) {
+    return chrome.storage.local.get(keys);
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'storage-get',
+    target: 'service-worker-storage',
+    keys
+  });
+
+  if (!response?.success) {
+    throw new Error(response?.error || 'storage-get bridge failed');
+  }
+
+  return response.data || {};
+}
+
+// StorageUtils is loaded as a module, so it may not exist yet when this runs
+async function getUsageStorage() {
+  let attempts = 0;
+  while (!window.StorageUtils && attempts < 100) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    attempts++;
+  }
+
+  if (!window.StorageUtils) {
+    throw new Error('StorageUtils not available for usage accounting');
+  }
+
+  return window.StorageUtils;
+}
+
+/**
+ * Month a timestamp falls in, in local time
+ * @param {number} [timestamp] - Milliseconds since the epoch (default: now)
+ * @returns {string} - 'YYYY-MM'
+ */
+function getUsageMonth(timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Empty token totals
+ * @returns {{requests: number, promptTokens: number, audioTokens: number, outputTokens: number, retries: number}}
+ */
+function createUsageTotals() {
+  return { requests: 0, promptTokens: 0, audioTokens: 0, outputTokens: 0, retries: 0 };
+}
+
+/**
+ * Add one request's usage to running totals
+ * @param {Object} totals - Totals from createUsageTotals()
+ * @param {Object} entry - Usage entry
+ * @returns {Object} - The same totals
+ */
+function addUsageToTotals(totals, entry) {
+  totals.requests += 1;
+  totals.promptTokens += entry.promptTokens || 0;
+  totals.audioTokens += entry.audioTokens || 0;
+  totals.outputTokens += entry.outputTokens || 0;
+  totals.retries += entry.retries || 0;
+  return totals;
+}
+
+/**
+ * Sum usage entries per model
+ * @param {Array<Object>} entries - Usage entries
+ * @returns {Object} - { model: totals }
+ */
+function summarizeUsageByModel(entries) {
+  const byModel = {};
+  for (const entry of entries || []) {
+    const model = entry.model || 'unknown';
+    byModel[model] = addUsageToTotals(byModel[model] || createUsageTotals(), entry);
+  }
+  return byModel;
+}
+
+/**
+ * Prices for a model, matching versioned names to the longest known prefix
+ * @param {string} model - Model name
+ * @returns {{input: number, audioInput: number, output: number}|null} - USD per million tokens
+ */
+function getModelPricing(model) {
+  const pricing = window.RECORDING_CONSTANTS?.GEMINI_PRICING_USD_PER_MILLION || {};
+  const name = String(model || '');
+  const match = Object.keys(pricing)
+    .filter((known) => name === known || name.startsWith(`${known}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? pricing[match] : null;
+}
+
+/**
+ * Estimated cost of token totals
+ * Audio tokens are part of the prompt count and are billed at the audio rate.
+ * @param {string} model - Model name
+ * @param {Object} totals - { promptTokens, audioTokens, outputTokens }
+ * @returns {number|null} - USD, or null for a model without known prices
+ */
+function estimateUsageCost(model, totals) {
+  const pricing = getModelPricing(model);
+  if (!pricing) return null;
+
+  const audioTokens = totals.audioTokens || 0;
+  const textTokens = Math.max(0, (totals.promptTokens || 0) - audioTokens);
+  return (
+    (textTokens * pricing.input +
+      audioTokens * pricing.audioInput +
+      (totals.outputTokens || 0) * pricing.output) /
+    1000000
+  );
+}
+
+/**
+ * Estimated cost of per-model totals
+ * @param {Object} byModel - { model: totals }
+ * @returns {{costUsd: number, unpricedModels: Array<string>}}
+ */
+function estimateTotalsCost(byModel) {
+  let costUsd = 0;
+  const unpricedModels = [];
+  for (const [model, totals] of Object.entries(byModel || {})) {
+    const cost = estimateUsageCost(model, totals);
+    if (cost === null) {
+      unpricedModels.push(model);
+    } else {
+      costUsd += cost;
+    }
+  }
+  return { costUsd, unpricedModels };
+}
+
+/**
+ * Add one usage entry to the monthly totals
+ * Runs in the service worker, which receives every entry through the storage bridge
+ * ('usage-add-monthly'); elsewhere, use recordUsage().
+ * @param {Object} entry - Usage entry ({ model, at, ...token counts })
+ * @returns {Promise<void>}
+ */
+function addMonthlyUsage(entry) {
+  monthlyUsageChain = monthlyUsageChain
+    .catch(() => {})
+    .then(async () => {
+      const month = getUsageMonth(entry.at);
+      const monthly = (await chrome.storage.local.get([USAGE_MONTHLY_KEY]))[USAGE_MONTHLY_KEY] || {};
+      const models = monthly[month] || {};
+      models[entry.model] = addUsageToTotals(
+        models[entry.model] || createUsageTotals(),
+        entry
+      );
+      monthly[month] = models;
+      await chrome.storage.local.set({ [USAGE_MONTHLY_KEY]: monthly });
+    });
+  return monthlyUsageChain;
+}
+
+/**
+ * Record one billed request on a recording and in the monthly totals
+ * Accounting errors are logged, never thrown, so they can't fail the job being billed.
+ * @param {string} recordingKey - Recording the request worked on
+ * @param {string} kind - One of USAGE_KINDS
+ * @param {Object} usage - { model, promptTokens, audioTokens, outputTokens, retries }
+ * @param {Object} [details] - Extra fields for the entry (promptId, language)
+ * @returns {Promise<void>} - Settles once the entry is stored
+ */
+function recordUsage(recordingKey, kind, usage, details = {}) {
+  const entry = { kind, ...usage, ...details, at: Date.now() };
+
+  usageWriteChain = usageWriteChain.then(async () => {
+    try {
+      const storage = await getUsageStorage();
+      await storage.addRecordingUsage(recordingKey, [entry]);
+
+      const response = await chrome.runtime.sendMessage({
+        type: 'usage-add-monthly',
+        target: 'service-worker-storage',
+        entry
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'usage-add-monthly bridge failed');
+      }
+    } catch (error) {
+      console.warn(`[USAGE] Could not record ${kind} usage for ${recordingKey}:`, error);
+    }
+  });
+  return usageWriteChain;
+}
+
+/**
+ * Wait for pending usage writes, before anything else rewrites the recording
+ * @returns {Promise<void>}
+ */
+function flushUsage() {
+  return usageWriteChain;
+}
+
+/**
+ * Per-month, per-model totals
+ * @returns {Promise<Object>} - { 'YYYY-MM': { model: totals } }
+ */
+async function getMonthlyUsage() {
+  return (await usageStorageGet([USAGE_MONTHLY_KEY]))[USAGE_MONTHLY_KEY] || {};
+}
+
+/**
+ * Rough cost of transcribing a recording before it starts
+ * @param {string} model - Gemini model
+ * @param {number} durationSeconds - Recording length
+ * @returns {number|null} - USD, or null for a model without known prices
+ */
+function estimateTranscriptionCost(model, durationSeconds) {
+  const constants = window.RECORDING_CONSTANTS || {};
+  const seconds = Math.max(0, Number(durationSeconds) || 0);
+  const audioTokens = seconds * (constants.GEMINI_AUDIO_TOKENS_PER_SECOND || 32);
+
+  return estimateUsageCost(model, {
+    promptTokens: audioTokens,
+    audioTokens,
+    outputTokens: seconds * (constants.TRANSCRIPT_TOKENS_PER_SECOND_ESTIMATE || 4)
+  });
+}
+
+/**
+ * Rough cost of a text request before it starts, at about 4 characters per token
+ * @param {string} model - Gemini model
+ * @param {number} inputChars - Prompt length
+ * @param {number} outputChars - Expected output length
+ * @returns {number|null} - USD, or null for a model without known prices
+ */
+function estimateTextCost(model, inputChars, outputChars) {
+  return estimateUsageCost(model, {
+    promptTokens: Math.ceil(inputChars / 4),
+    audioTokens: 0,
+    outputTokens: Math.ceil(outputChars / 4)
+  });
+}
+
+/**
+ * Compare a job's estimated cost with what is left of the monthly budget
+ * @param {number|null} estimatedCostUsd - Estimate for the job
+ * @param {number} budgetUsd - Monthly budget (0 or less: no budget)
+ * @returns {Promise<{budgetUsd: number, spentUsd: number, estimatedCostUsd: number, overBudget: boolean}|null>} -
+ *   null when there is no budget or nothing to estimate
+ */
+async function checkMonthlyBudget(estimatedCostUsd, budgetUsd) {
+  if (!(budgetUsd > 0) || estimatedCostUsd === null) {
+    return null;
+  }
+
+  const monthly = await getMonthlyUsage();
+  const { costUsd: spentUsd } = estimateTotalsCost(monthly[getUsageMonth()]);
+  return {
+    budgetUsd,
+    spentUsd,
+    estimatedCostUsd,
+    overBudget: spentUsd + estimatedCostUsd > budgetUsd
+  };
+}
+
+/**
+ * Format a USD amount, keeping precision for fractions of a cent
+ * @param {number} amount - USD
+ * @returns {string}
+ */
+function formatUsd(amount) {
+  if (amount > 0 && amount < 0.01) {
+    return `$${amount.toFixed(4)}`;
+  }
+  return `$${amount.toFixed(2)}`;
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.UsageTracker = {
+    USAGE_KINDS,
+    getUsageMonth,
+    createUsageTotals,
+    addUsageToTotals,
+    summarizeUsageByModel,
+    getModelPricing,
+    estimateUsageCost,
+    estimateTotalsCost,
+    recordUsage,
+    flushUsage,
+    getMonthlyUsage,
+    estimateTranscriptionCost,
+    estimateTextCost,
+    checkMonthlyBudget,
+    formatUsd
+  };
+}